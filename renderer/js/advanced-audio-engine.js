@@ -3,9 +3,15 @@ class AdvancedAudioEngine {
     constructor() {
         this.audioContext = null;
         this.sourceNode = null;
-        this.nextSourceNode = null; // For crossfade and gapless playback
+        this.currentTrack = null; // { source, gain, level } of the playing track
         this.audioBuffer = null;
-        this.nextAudioBuffer = null; // Preload next track
+        
+        // Track transitions (gapless and crossfade)
+        this.nextAudioBuffer = null; // Preloaded next track
+        this.nextNormalizationGain = 1.0;
+        this.nextSource = null; // Next track scheduled on the audio clock
+        this.fadingTrack = null; // Previous track still fading out
+        this.transitionTimer = null;
         this.startTime = 0;
         this.pauseTime = 0;
         this.isPlaying = false;
@@ -14,14 +20,13 @@ class AdvancedAudioEngine {
         // Advanced nodes
         this.masterGainNode = null;
         this.crossfadeGainA = null;
-        this.crossfadeGainB = null;
         this.pannerNode = null;
         this.stereoPannerNode = null;
         
         // Parametric EQ nodes (10-band)
         this.eqFilters = [];
-        this.eqFrequencies = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
-        this.eqGains = new Array(10).fill(0); // dB values
+        this.eqFrequencies = [...EQ_FREQUENCIES];
+        this.eqGains = new Array(EQ_FREQUENCIES.length).fill(0); // dB values
         
         // Visualization nodes
         this.analyserNode = null;
@@ -30,24 +35,46 @@ class AdvancedAudioEngine {
         this.merger = null;
         
         // Effect nodes
+        this.inputBus = null;
+        this.effectsSend = null;
         this.convolverNode = null;
+        this.impulseBuffer = null; // Shared by the live and export convolvers
         this.bassFilter = null;
         this.compressor = null;
         this.limiter = null;
         this.distortionNode = null;
         this.delayNode = null;
         this.feedbackGain = null;
+        this.delayWetGain = null;
         this.chorusNode = null;
+        this.chorusWetGain = null;
         this.flangerNode = null;
         this.phaserNode = null;
         
+        // Effect parameters (same units as AudioEngine)
+        this.playbackRate = 1.0;
+        this.pitchShift = 0;
+        this.preservePitch = true;
+        this.actualPlaybackRate = 1.0;
+        this.isTimeStretching = false; // Current source is a SoundTouch TimeStretchNode
+        this.reverbMix = 0; // 0 to 1
+        this.delayMix = 0; // 0 to 1
+        this.chorusMix = 0; // 0 to 1
+        this.bassBoost = 0; // 0 to 20 dB
+        this.compressorThreshold = -24; // dB
+        this.distortionAmount = 0;
+        this.delayTime = 0;
+        
         // Advanced parameters
         this.spatialPosition = { x: 0, y: 0, z: 0 };
-        this.crossfadeDuration = 3; // seconds
-        this.isCrossfading = false;
+        this.spatialAudioEnabled = false;
+        this.crossfadeDuration = 0; // seconds, 0 = no crossfade
         this.gaplessMode = true;
         this.normalizationGain = 1.0;
         
+        // A-B loop of the current track, { start, end } in seconds of the original audio
+        this.loopRegion = null;
+        
         // Performance monitoring
         this.cpuUsage = 0;
         this.memoryUsage = 0;
@@ -57,8 +84,8 @@ class AdvancedAudioEngine {
         // Audio worklet for custom DSP
         this.audioWorkletNode = null;
         
-        // Initialize everything
-        this.initializeAudioContext();
+        // Initialize everything, createAudioEngine waits for it
+        this.ready = this.initializeAudioContext();
     }
     
     async initializeAudioContext() {
@@ -69,36 +96,21 @@ class AdvancedAudioEngine {
                 sampleRate: 48000 // Higher quality
             });
             
-            // Create master gain for output limiting
-            this.masterGainNode = this.audioContext.createGain();
-            this.masterGainNode.gain.value = 1.0;
-            
-            // Create crossfade gains for smooth transitions
-            this.crossfadeGainA = this.audioContext.createGain();
-            this.crossfadeGainB = this.audioContext.createGain();
-            this.crossfadeGainA.gain.value = 1.0;
-            this.crossfadeGainB.gain.value = 0.0;
-            
-            // Initialize spatial audio
-            this.initializeSpatialAudio();
-            
-            // Initialize parametric EQ
-            this.initializeParametricEQ();
-            
-            // Initialize advanced effects
-            this.initializeAdvancedEffects();
+            // Effects chain, built before anything async so setters work right away.
+            // Exports build their own copy with the same code.
+            Object.assign(this, this.buildEffectChain(this.audioContext));
             
             // Initialize visualization
             this.initializeVisualization();
             
-            // Load custom audio worklet for advanced DSP
-            await this.loadAudioWorklet();
+            // Connect analysers and the output
+            this.connectVisualization();
             
             // Start performance monitoring
             this.startPerformanceMonitoring();
             
-            // Setup the audio chain
-            this.setupAudioChain();
+            // Load custom audio worklet for advanced DSP
+            await this.loadAudioWorklet();
             
         } catch (error) {
             console.error('Failed to initialize advanced audio context:', error);
@@ -106,20 +118,54 @@ class AdvancedAudioEngine {
         }
     }
     
-    initializeSpatialAudio() {
+    // Every node between the per-track gains and the speakers, wired from inputNode to
+    // outputNode (master volume). Live playback and exports both build it here.
+    buildEffectChain(context) {
+        const chain = {};
+        
+        // Create master gain for output limiting
+        chain.masterGainNode = context.createGain();
+        chain.masterGainNode.gain.value = 1.0;
+        
+        // Output of the effects chain, feeds the analysers and the limiter
+        chain.crossfadeGainA = context.createGain();
+        chain.crossfadeGainA.gain.value = 1.0;
+        
+        // Initialize spatial audio
+        this.initializeSpatialAudio(context, chain);
+        
+        // Initialize parametric EQ
+        this.initializeParametricEQ(context, chain);
+        
+        // Initialize advanced effects
+        this.initializeAdvancedEffects(context, chain);
+        
+        this.setupAudioChain(chain);
+        
+        // An export chain starts from what the live one sounds like right now
+        if (this.inputBus) {
+            this.copyEffectSettings(chain);
+        }
+        
+        chain.inputNode = chain.inputBus;
+        chain.outputNode = chain.masterGainNode;
+        return chain;
+    }
+    
+    initializeSpatialAudio(context, chain) {
         // Create 3D panner for spatial audio
-        this.pannerNode = this.audioContext.createPanner();
-        this.pannerNode.panningModel = 'HRTF'; // Head-Related Transfer Function
-        this.pannerNode.distanceModel = 'inverse';
-        this.pannerNode.refDistance = 1;
-        this.pannerNode.maxDistance = 10000;
-        this.pannerNode.rolloffFactor = 1;
-        this.pannerNode.coneInnerAngle = 360;
-        this.pannerNode.coneOuterAngle = 0;
-        this.pannerNode.coneOuterGain = 0;
+        chain.pannerNode = context.createPanner();
+        chain.pannerNode.panningModel = 'HRTF'; // Head-Related Transfer Function
+        chain.pannerNode.distanceModel = 'inverse';
+        chain.pannerNode.refDistance = 1;
+        chain.pannerNode.maxDistance = 10000;
+        chain.pannerNode.rolloffFactor = 1;
+        chain.pannerNode.coneInnerAngle = 360;
+        chain.pannerNode.coneOuterAngle = 0;
+        chain.pannerNode.coneOuterGain = 0;
         
         // Set listener position (user's position)
-        const listener = this.audioContext.listener;
+        const listener = context.listener;
         if (listener.positionX) {
             listener.positionX.value = 0;
             listener.positionY.value = 0;
@@ -133,14 +179,14 @@ class AdvancedAudioEngine {
         }
         
         // Create stereo panner for simpler L/R panning
-        this.stereoPannerNode = this.audioContext.createStereoPanner();
-        this.stereoPannerNode.pan.value = 0;
+        chain.stereoPannerNode = context.createStereoPanner();
+        chain.stereoPannerNode.pan.value = 0;
     }
     
-    initializeParametricEQ() {
+    initializeParametricEQ(context, chain) {
         // Create 10-band parametric EQ
-        this.eqFilters = this.eqFrequencies.map((freq, index) => {
-            const filter = this.audioContext.createBiquadFilter();
+        chain.eqFilters = this.eqFrequencies.map((freq, index) => {
+            const filter = context.createBiquadFilter();
             
             if (index === 0) {
                 filter.type = 'lowshelf';
@@ -158,142 +204,155 @@ class AdvancedAudioEngine {
         });
         
         // Connect EQ filters in series
-        for (let i = 0; i < this.eqFilters.length - 1; i++) {
-            this.eqFilters[i].connect(this.eqFilters[i + 1]);
+        for (let i = 0; i < chain.eqFilters.length - 1; i++) {
+            chain.eqFilters[i].connect(chain.eqFilters[i + 1]);
         }
     }
     
-    initializeAdvancedEffects() {
+    initializeAdvancedEffects(context, chain) {
+        // Input bus every track connects to (normalization sits on the per-track gain)
+        chain.inputBus = context.createGain();
+        chain.inputBus.gain.value = 1.0;
+        
+        // Send bus feeding the parallel effects
+        chain.effectsSend = context.createGain();
+        chain.effectsSend.gain.value = 1.0;
+        
         // Dynamic range compressor with better settings
-        this.compressor = this.audioContext.createDynamicsCompressor();
-        this.compressor.threshold.value = -24;
-        this.compressor.knee.value = 30;
-        this.compressor.ratio.value = 12;
-        this.compressor.attack.value = 0.003;
-        this.compressor.release.value = 0.25;
+        chain.compressor = context.createDynamicsCompressor();
+        chain.compressor.threshold.value = -24;
+        chain.compressor.knee.value = 30;
+        chain.compressor.ratio.value = 12;
+        chain.compressor.attack.value = 0.003;
+        chain.compressor.release.value = 0.25;
         
         // Limiter (aggressive compressor to prevent clipping)
-        this.limiter = this.audioContext.createDynamicsCompressor();
-        this.limiter.threshold.value = -0.1;
-        this.limiter.knee.value = 0;
-        this.limiter.ratio.value = 20;
-        this.limiter.attack.value = 0.001;
-        this.limiter.release.value = 0.01;
+        chain.limiter = context.createDynamicsCompressor();
+        chain.limiter.threshold.value = -0.1;
+        chain.limiter.knee.value = 0;
+        chain.limiter.ratio.value = 20;
+        chain.limiter.attack.value = 0.001;
+        chain.limiter.release.value = 0.01;
         
         // Enhanced bass filter
-        this.bassFilter = this.audioContext.createBiquadFilter();
-        this.bassFilter.type = 'lowshelf';
-        this.bassFilter.frequency.value = 250;
-        this.bassFilter.Q.value = 0.7;
-        this.bassFilter.gain.value = 0;
+        chain.bassFilter = context.createBiquadFilter();
+        chain.bassFilter.type = 'lowshelf';
+        chain.bassFilter.frequency.value = 250;
+        chain.bassFilter.Q.value = 0.7;
+        chain.bassFilter.gain.value = 0;
         
         // Delay effect
-        this.delayNode = this.audioContext.createDelay(5.0);
-        this.delayNode.delayTime.value = 0.0;
-        this.feedbackGain = this.audioContext.createGain();
-        this.feedbackGain.gain.value = 0.0;
+        chain.delayNode = context.createDelay(5.0);
+        chain.delayNode.delayTime.value = 0.0;
+        chain.feedbackGain = context.createGain();
+        chain.feedbackGain.gain.value = 0.0;
+        chain.delayWetGain = context.createGain();
+        chain.delayWetGain.gain.value = 0.0;
         
         // Create convolver for reverb
-        this.convolverNode = this.audioContext.createConvolver();
-        this.loadImpulseResponse();
+        chain.convolverNode = context.createConvolver();
+        if (!this.impulseBuffer) {
+            this.loadImpulseResponse();
+        }
+        chain.convolverNode.buffer = this.impulseBuffer;
         
         // Create dry/wet mix nodes
-        this.dryGain = this.audioContext.createGain();
-        this.wetGain = this.audioContext.createGain();
-        this.dryGain.gain.value = 1.0;
-        this.wetGain.gain.value = 0.0;
+        chain.dryGain = context.createGain();
+        chain.wetGain = context.createGain();
+        chain.dryGain.gain.value = 1.0;
+        chain.wetGain.gain.value = 0.0;
         
         // Distortion using WaveShaper
-        this.distortionNode = this.audioContext.createWaveShaper();
-        this.distortionNode.curve = this.makeDistortionCurve(0);
-        this.distortionNode.oversample = '4x';
+        chain.distortionNode = context.createWaveShaper();
+        chain.distortionNode.curve = this.makeDistortionCurve(0);
+        chain.distortionNode.oversample = '4x';
         
         // Initialize chorus effect
-        this.initializeChorus();
+        this.initializeChorus(context, chain);
         
         // Initialize flanger effect
-        this.initializeFlanger();
+        this.initializeFlanger(context, chain);
         
         // Initialize phaser effect
-        this.initializePhaser();
+        this.initializePhaser(context, chain);
     }
     
-    initializeChorus() {
+    initializeChorus(context, chain) {
         // Chorus using oscillator-controlled delay
-        this.chorusNode = this.audioContext.createDelay(0.1);
-        this.chorusNode.delayTime.value = 0.03;
+        chain.chorusNode = context.createDelay(0.1);
+        chain.chorusNode.delayTime.value = 0.03;
         
-        this.chorusLFO = this.audioContext.createOscillator();
-        this.chorusLFO.frequency.value = 0.5; // Hz
-        this.chorusLFO.type = 'sine';
+        chain.chorusLFO = context.createOscillator();
+        chain.chorusLFO.frequency.value = 0.5; // Hz
+        chain.chorusLFO.type = 'sine';
         
-        this.chorusDepth = this.audioContext.createGain();
-        this.chorusDepth.gain.value = 0.002; // Depth in seconds
+        chain.chorusDepth = context.createGain();
+        chain.chorusDepth.gain.value = 0.002; // Depth in seconds
         
-        this.chorusLFO.connect(this.chorusDepth);
-        this.chorusDepth.connect(this.chorusNode.delayTime);
-        this.chorusLFO.start();
+        chain.chorusLFO.connect(chain.chorusDepth);
+        chain.chorusDepth.connect(chain.chorusNode.delayTime);
+        chain.chorusLFO.start();
         
-        this.chorusMix = this.audioContext.createGain();
-        this.chorusMix.gain.value = 0; // Start with no chorus
+        chain.chorusWetGain = context.createGain();
+        chain.chorusWetGain.gain.value = 0; // Start with no chorus
     }
     
-    initializeFlanger() {
+    initializeFlanger(context, chain) {
         // Flanger using shorter delay with feedback
-        this.flangerNode = this.audioContext.createDelay(0.02);
-        this.flangerNode.delayTime.value = 0.005;
+        chain.flangerNode = context.createDelay(0.02);
+        chain.flangerNode.delayTime.value = 0.005;
         
-        this.flangerLFO = this.audioContext.createOscillator();
-        this.flangerLFO.frequency.value = 0.25;
-        this.flangerLFO.type = 'triangle';
+        chain.flangerLFO = context.createOscillator();
+        chain.flangerLFO.frequency.value = 0.25;
+        chain.flangerLFO.type = 'triangle';
         
-        this.flangerDepth = this.audioContext.createGain();
-        this.flangerDepth.gain.value = 0.002;
+        chain.flangerDepth = context.createGain();
+        chain.flangerDepth.gain.value = 0.002;
         
-        this.flangerLFO.connect(this.flangerDepth);
-        this.flangerDepth.connect(this.flangerNode.delayTime);
-        this.flangerLFO.start();
+        chain.flangerLFO.connect(chain.flangerDepth);
+        chain.flangerDepth.connect(chain.flangerNode.delayTime);
+        chain.flangerLFO.start();
         
-        this.flangerFeedback = this.audioContext.createGain();
-        this.flangerFeedback.gain.value = 0.5;
+        chain.flangerFeedback = context.createGain();
+        chain.flangerFeedback.gain.value = 0.5;
         
-        this.flangerMix = this.audioContext.createGain();
-        this.flangerMix.gain.value = 0;
+        chain.flangerMix = context.createGain();
+        chain.flangerMix.gain.value = 0;
     }
     
-    initializePhaser() {
+    initializePhaser(context, chain) {
         // Phaser using all-pass filters
-        this.phaserFilters = [];
+        chain.phaserFilters = [];
         const frequencies = [200, 400, 800, 1600];
         
         frequencies.forEach(freq => {
-            const filter = this.audioContext.createBiquadFilter();
+            const filter = context.createBiquadFilter();
             filter.type = 'allpass';
             filter.frequency.value = freq;
             filter.Q.value = 2;
-            this.phaserFilters.push(filter);
+            chain.phaserFilters.push(filter);
         });
         
         // Connect phaser filters in series
-        for (let i = 0; i < this.phaserFilters.length - 1; i++) {
-            this.phaserFilters[i].connect(this.phaserFilters[i + 1]);
+        for (let i = 0; i < chain.phaserFilters.length - 1; i++) {
+            chain.phaserFilters[i].connect(chain.phaserFilters[i + 1]);
         }
         
-        this.phaserLFO = this.audioContext.createOscillator();
-        this.phaserLFO.frequency.value = 0.3;
-        this.phaserLFO.type = 'sine';
+        chain.phaserLFO = context.createOscillator();
+        chain.phaserLFO.frequency.value = 0.3;
+        chain.phaserLFO.type = 'sine';
         
-        this.phaserDepth = this.audioContext.createGain();
-        this.phaserDepth.gain.value = 500;
+        chain.phaserDepth = context.createGain();
+        chain.phaserDepth.gain.value = 500;
         
-        this.phaserLFO.connect(this.phaserDepth);
-        this.phaserFilters.forEach(filter => {
-            this.phaserDepth.connect(filter.frequency);
+        chain.phaserLFO.connect(chain.phaserDepth);
+        chain.phaserFilters.forEach(filter => {
+            chain.phaserDepth.connect(filter.frequency);
         });
-        this.phaserLFO.start();
+        chain.phaserLFO.start();
         
-        this.phaserMix = this.audioContext.createGain();
-        this.phaserMix.gain.value = 0;
+        chain.phaserMix = context.createGain();
+        chain.phaserMix.gain.value = 0;
     }
     
     initializeVisualization() {
@@ -418,7 +477,6 @@ class AdvancedAudioEngine {
         };
         
         this.impulseBuffer = createImpulse(presets.hall);
-        this.convolverNode.buffer = this.impulseBuffer;
     }
     
     makeDistortionCurve(amount) {
@@ -438,43 +496,147 @@ class AdvancedAudioEngine {
         return curve;
     }
     
-    setupAudioChain() {
-        // Complex audio routing for maximum flexibility
-        // This will be reconnected dynamically based on enabled effects
+    setupAudioChain(chain) {
+        // Static routing, built once per context. Tracks only connect to inputBus,
+        // effects with no audible contribution sit at unity/zero gain.
+        
+        // Series: input -> EQ -> bass -> distortion -> compressor
+        chain.inputBus.connect(chain.eqFilters[0]);
+        chain.eqFilters[chain.eqFilters.length - 1].connect(chain.bassFilter);
+        chain.bassFilter.connect(chain.distortionNode);
+        chain.distortionNode.connect(chain.compressor);
+        
+        // Dry signal
+        chain.compressor.connect(chain.dryGain);
+        chain.dryGain.connect(chain.stereoPannerNode);
+        
+        // Effects routing (parallel processing)
+        chain.compressor.connect(chain.effectsSend);
+        
+        // Reverb
+        chain.effectsSend.connect(chain.convolverNode);
+        chain.convolverNode.connect(chain.wetGain);
+        chain.wetGain.connect(chain.stereoPannerNode);
+        
+        // Delay with feedback loop
+        chain.effectsSend.connect(chain.delayNode);
+        chain.delayNode.connect(chain.feedbackGain);
+        chain.feedbackGain.connect(chain.delayNode);
+        chain.delayNode.connect(chain.delayWetGain);
+        chain.delayWetGain.connect(chain.stereoPannerNode);
+        
+        // Chorus
+        chain.effectsSend.connect(chain.chorusNode);
+        chain.chorusNode.connect(chain.chorusWetGain);
+        chain.chorusWetGain.connect(chain.stereoPannerNode);
+        
+        // Flanger
+        chain.effectsSend.connect(chain.flangerNode);
+        chain.flangerNode.connect(chain.flangerFeedback);
+        chain.flangerFeedback.connect(chain.flangerNode);
+        chain.flangerNode.connect(chain.flangerMix);
+        chain.flangerMix.connect(chain.stereoPannerNode);
+        
+        // Phaser
+        chain.effectsSend.connect(chain.phaserFilters[0]);
+        chain.phaserFilters[chain.phaserFilters.length - 1].connect(chain.phaserMix);
+        chain.phaserMix.connect(chain.stereoPannerNode);
+        
+        // Panning and optional spatial audio
+        this.connectSpatialStage(chain);
+        
+        // Output through limiter and master volume
+        chain.crossfadeGainA.connect(chain.limiter);
+        chain.limiter.connect(chain.masterGainNode);
+    }
+    
+    // Current values of the live nodes, several effects keep no state outside them
+    copyEffectSettings(chain) {
+        const params = {
+            masterGainNode: ['gain'],
+            dryGain: ['gain'],
+            wetGain: ['gain'],
+            bassFilter: ['gain'],
+            compressor: ['threshold', 'ratio'],
+            delayNode: ['delayTime'],
+            feedbackGain: ['gain'],
+            delayWetGain: ['gain'],
+            chorusLFO: ['frequency'],
+            chorusDepth: ['gain'],
+            chorusWetGain: ['gain'],
+            flangerLFO: ['frequency'],
+            flangerDepth: ['gain'],
+            flangerFeedback: ['gain'],
+            flangerMix: ['gain'],
+            phaserLFO: ['frequency'],
+            phaserDepth: ['gain'],
+            phaserMix: ['gain'],
+            stereoPannerNode: ['pan']
+        };
+        Object.keys(params).forEach(node => {
+            params[node].forEach(param => {
+                chain[node][param].value = this[node][param].value;
+            });
+        });
+        
+        chain.eqFilters.forEach((filter, index) => {
+            filter.gain.value = this.eqGains[index];
+        });
+        chain.distortionNode.curve = this.distortionNode.curve;
+        
+        if (chain.pannerNode.positionX) {
+            const { x, y, z } = this.spatialPosition;
+            chain.pannerNode.positionX.value = x;
+            chain.pannerNode.positionY.value = y;
+            chain.pannerNode.positionZ.value = z;
+        }
+    }
+    
+    connectVisualization() {
+        this.crossfadeGainA.connect(this.analyserNode);
+        this.crossfadeGainA.connect(this.waveformAnalyser);
+        this.crossfadeGainA.connect(this.splitter);
+        
+        this.splitter.connect(this.leftAnalyser, 0);
+        this.splitter.connect(this.rightAnalyser, 1);
+        
+        this.masterGainNode.connect(this.audioContext.destination);
+    }
+    
+    connectSpatialStage(chain = this) {
+        chain.stereoPannerNode.disconnect();
+        chain.pannerNode.disconnect();
+        
+        if (this.spatialAudioEnabled) {
+            chain.stereoPannerNode.connect(chain.pannerNode);
+            chain.pannerNode.connect(chain.crossfadeGainA);
+        } else {
+            chain.stereoPannerNode.connect(chain.crossfadeGainA);
+        }
     }
     
-    async loadAudioFile(arrayBuffer, analyzeAudio = true) {
+    async loadAudioFile(arrayBuffer) {
         try {
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
             
-            // Decode audio data
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            // Analyze audio for normalization if enabled
-            if (analyzeAudio) {
-                this.normalizationGain = await this.analyzeAudioLoudness(audioBuffer);
-            }
+            // Decode audio data, streamed tracks are decoded by their media element
+            const audioBuffer = arrayBuffer instanceof StreamedAudio
+                ? arrayBuffer
+                : await this.audioContext.decodeAudioData(arrayBuffer);
             
-            // Store for playback
+            // Store for playback, normalization is set by the app once measured
+            StreamedAudio.release(this.audioBuffer);
             this.audioBuffer = audioBuffer;
+            this.normalizationGain = 1.0;
             this.pauseTime = 0;
             this.startTime = 0;
             
-            // Extract additional metadata
-            const metadata = {
-                duration: audioBuffer.duration,
-                sampleRate: audioBuffer.sampleRate,
-                channels: audioBuffer.numberOfChannels,
-                length: audioBuffer.length,
-                normalizationGain: this.normalizationGain
-            };
-            
-            // Generate waveform data for visualization
-            metadata.waveform = this.generateWaveformData(audioBuffer);
+            // A preloaded "next" track belonged to the previous current track
+            this.clearNextTrack();
             
-            return metadata;
+            return this.describeTrack(audioBuffer);
             
         } catch (error) {
             console.error('Failed to decode audio:', error);
@@ -482,35 +644,21 @@ class AdvancedAudioEngine {
         }
     }
     
-    async analyzeAudioLoudness(audioBuffer) {
-        // Analyze perceived loudness for normalization
-        const channelData = audioBuffer.getChannelData(0);
-        const blockSize = 2048;
-        let sum = 0;
-        let count = 0;
-        
-        for (let i = 0; i < channelData.length; i += blockSize) {
-            let blockSum = 0;
-            const blockEnd = Math.min(i + blockSize, channelData.length);
-            
-            for (let j = i; j < blockEnd; j++) {
-                blockSum += channelData[j] * channelData[j];
-            }
-            
-            const rms = Math.sqrt(blockSum / (blockEnd - i));
-            sum += rms;
-            count++;
-        }
-        
-        const avgRMS = sum / count;
-        const targetRMS = 0.2; // Target loudness
-        const gain = targetRMS / (avgRMS + 0.001); // Avoid division by zero
-        
-        // Limit gain to reasonable range
-        return Math.min(Math.max(gain, 0.1), 3.0);
+    describeTrack(buffer) {
+        return {
+            duration: buffer.duration,
+            sampleRate: buffer.sampleRate,
+            channels: buffer.numberOfChannels,
+            length: buffer.length,
+            // Waveform data for visualization
+            waveform: this.generateWaveformData(buffer)
+        };
     }
     
     generateWaveformData(audioBuffer, resolution = 1000) {
+        // Streamed tracks have no samples to summarize
+        if (audioBuffer instanceof StreamedAudio) return null;
+        
         const channelData = audioBuffer.getChannelData(0);
         const samples = Math.floor(channelData.length / resolution);
         const waveform = new Float32Array(resolution);
@@ -530,238 +678,24 @@ class AdvancedAudioEngine {
         return waveform;
     }
     
-    async preloadNextTrack(arrayBuffer) {
-        // Preload next track for gapless playback
-        try {
-            this.nextAudioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            return true;
-        } catch (error) {
-            console.error('Failed to preload next track:', error);
-            return false;
-        }
-    }
-    
-    play() {
-        if (!this.audioBuffer || this.isPlaying) return;
-        
-        // Create source node
-        this.sourceNode = this.audioContext.createBufferSource();
-        this.sourceNode.buffer = this.audioBuffer;
-        
-        // Apply playback parameters
-        this.sourceNode.playbackRate.value = this.playbackRate || 1.0;
-        if (this.pitchShift) {
-            this.sourceNode.detune.value = this.pitchShift * 100;
-        }
-        
-        // Build complex audio chain
-        this.connectAudioChain(this.sourceNode);
-        
-        // Handle playback end
-        this.sourceNode.onended = () => {
-            if (this.isPlaying) {
-                this.handleTrackEnd();
-            }
-        };
-        
-        // Start playback
-        const offset = this.pauseTime;
-        this.sourceNode.start(0, offset);
-        this.startTime = this.audioContext.currentTime - (offset / (this.playbackRate || 1.0));
-        this.isPlaying = true;
-        
-        // Prepare next track if available
-        if (this.nextAudioBuffer && this.gaplessMode) {
-            this.prepareGaplessTransition();
-        }
-    }
-    
-    connectAudioChain(source) {
-        // Build dynamic audio processing chain
-        let currentNode = source;
-        
-        // Apply normalization gain
-        const normGain = this.audioContext.createGain();
-        normGain.gain.value = this.normalizationGain;
-        currentNode.connect(normGain);
-        currentNode = normGain;
-        
-        // Connect through EQ if any band is active
-        if (this.eqGains.some(gain => gain !== 0)) {
-            currentNode.connect(this.eqFilters[0]);
-            currentNode = this.eqFilters[this.eqFilters.length - 1];
-        }
-        
-        // Bass boost
-        currentNode.connect(this.bassFilter);
-        currentNode = this.bassFilter;
-        
-        // Distortion if enabled
-        if (this.distortionAmount > 0) {
-            currentNode.connect(this.distortionNode);
-            currentNode = this.distortionNode;
-        }
-        
-        // Compressor
-        currentNode.connect(this.compressor);
-        currentNode = this.compressor;
-        
-        // Effects routing (parallel processing)
-        const effectsSend = this.audioContext.createGain();
-        currentNode.connect(effectsSend);
-        
-        // Delay
-        if (this.delayTime > 0) {
-            effectsSend.connect(this.delayNode);
-            this.delayNode.connect(this.feedbackGain);
-            this.feedbackGain.connect(this.delayNode);
-            this.delayNode.connect(this.wetGain);
-        }
-        
-        // Reverb
-        effectsSend.connect(this.convolverNode);
-        this.convolverNode.connect(this.wetGain);
-        
-        // Chorus
-        if (this.chorusMix.gain.value > 0) {
-            effectsSend.connect(this.chorusNode);
-            this.chorusNode.connect(this.chorusMix);
-            this.chorusMix.connect(this.wetGain);
-        }
-        
-        // Dry signal
-        currentNode.connect(this.dryGain);
-        
-        // Mix dry and wet
-        this.dryGain.connect(this.stereoPannerNode);
-        this.wetGain.connect(this.stereoPannerNode);
-        
-        // Spatial audio if enabled
-        if (this.spatialAudioEnabled) {
-            this.stereoPannerNode.connect(this.pannerNode);
-            this.pannerNode.connect(this.crossfadeGainA);
-        } else {
-            this.stereoPannerNode.connect(this.crossfadeGainA);
-        }
-        
-        // Connect to visualization
-        this.crossfadeGainA.connect(this.analyserNode);
-        this.crossfadeGainA.connect(this.waveformAnalyser);
-        this.crossfadeGainA.connect(this.splitter);
-        
-        this.splitter.connect(this.leftAnalyser, 0);
-        this.splitter.connect(this.rightAnalyser, 1);
-        
-        // Final output through limiter
-        this.crossfadeGainA.connect(this.limiter);
-        this.limiter.connect(this.masterGainNode);
-        this.masterGainNode.connect(this.audioContext.destination);
-    }
-    
-    prepareGaplessTransition() {
-        // Prepare next source node for gapless playback
-        const remainingTime = this.getDuration() - this.getCurrentTime();
-        
-        setTimeout(() => {
-            if (this.nextAudioBuffer && this.isPlaying) {
-                this.nextSourceNode = this.audioContext.createBufferSource();
-                this.nextSourceNode.buffer = this.nextAudioBuffer;
-                
-                // Connect to crossfade gain B
-                // Build similar chain but output to crossfadeGainB
-                this.connectAudioChain(this.nextSourceNode);
-                
-                // Start next track at exact end of current
-                const startTime = this.audioContext.currentTime + 
-                                 (remainingTime / (this.playbackRate || 1.0));
-                this.nextSourceNode.start(startTime);
-                
-                // Crossfade between tracks
-                this.startCrossfade(startTime - this.crossfadeDuration);
-            }
-        }, (remainingTime - this.crossfadeDuration) * 1000);
-    }
-    
-    startCrossfade(startTime) {
-        if (this.isCrossfading) return;
-        
-        this.isCrossfading = true;
-        const duration = this.crossfadeDuration;
-        
-        // Fade out current track
-        this.crossfadeGainA.gain.setValueAtTime(1, startTime);
-        this.crossfadeGainA.gain.linearRampToValueAtTime(0, startTime + duration);
-        
-        // Fade in next track
-        this.crossfadeGainB.gain.setValueAtTime(0, startTime);
-        this.crossfadeGainB.gain.linearRampToValueAtTime(1, startTime + duration);
-        
-        setTimeout(() => {
-            this.isCrossfading = false;
-            // Swap buffers and gains
-            this.audioBuffer = this.nextAudioBuffer;
-            this.sourceNode = this.nextSourceNode;
-            this.nextAudioBuffer = null;
-            this.nextSourceNode = null;
-            
-            // Reset gains
-            this.crossfadeGainA.gain.value = 1;
-            this.crossfadeGainB.gain.value = 0;
-        }, duration * 1000);
-    }
-    
-    handleTrackEnd() {
-        this.stop();
-        if (this.onEnded) {
-            this.onEnded();
-        }
+    getTrackOutput() {
+        // The chain itself is static (see setupAudioChain), tracks just plug into it
+        return this.inputBus;
     }
     
     pause() {
         if (!this.isPlaying || !this.sourceNode) return;
         
-        const elapsed = this.audioContext.currentTime - this.startTime;
-        this.pauseTime = this.pauseTime + (elapsed * (this.playbackRate || 1.0));
+        this.pauseTime = this.getCurrentTime();
         
-        try {
-            this.sourceNode.stop();
-            this.sourceNode.disconnect();
-            if (this.nextSourceNode) {
-                this.nextSourceNode.stop();
-                this.nextSourceNode.disconnect();
-            }
-        } catch (e) {
-            // Already stopped
-        }
-        
-        this.sourceNode = null;
-        this.nextSourceNode = null;
+        this.releaseAllSources();
         this.isPlaying = false;
     }
     
     stop() {
-        if (this.sourceNode) {
-            try {
-                this.sourceNode.stop();
-                this.sourceNode.disconnect();
-            } catch (e) {
-                // Already stopped
-            }
-            this.sourceNode = null;
-        }
-        
-        if (this.nextSourceNode) {
-            try {
-                this.nextSourceNode.stop();
-                this.nextSourceNode.disconnect();
-            } catch (e) {
-                // Already stopped
-            }
-            this.nextSourceNode = null;
-        }
+        this.releaseAllSources();
         
         this.isPlaying = false;
-        this.isCrossfading = false;
         this.pauseTime = 0;
         this.startTime = 0;
     }
@@ -787,8 +721,14 @@ class AdvancedAudioEngine {
         if (!this.audioBuffer) return 0;
         
         if (this.isPlaying && this.sourceNode) {
-            const elapsed = this.audioContext.currentTime - this.startTime;
-            const currentTime = this.pauseTime + (elapsed * (this.playbackRate || 1.0));
+            if (this.isTimeStretching || this.sourceNode instanceof StreamSourceNode) {
+                // Stretch and stream nodes track their own position in the original audio
+                return Math.min(this.sourceNode.currentTime, this.audioBuffer.duration);
+            }
+            
+            // startTime can sit slightly ahead right after a scheduled track change
+            const elapsed = Math.max(0, this.audioContext.currentTime - this.startTime);
+            const currentTime = this.wrapLoopTime(this.pauseTime + (elapsed * this.actualPlaybackRate));
             return Math.min(currentTime, this.audioBuffer.duration);
         }
         
@@ -799,6 +739,16 @@ class AdvancedAudioEngine {
         return this.audioBuffer ? this.audioBuffer.duration : 0;
     }
     
+    getEffectiveDuration() {
+        // Real-time length at the current speed
+        if (!this.audioBuffer) return 0;
+        const rate = this.actualPlaybackRate || 0;
+        if (rate <= 0) {
+            return Infinity;
+        }
+        return this.audioBuffer.duration / rate;
+    }
+    
     // Setters for all effects
     setVolume(value) {
         if (this.masterGainNode) {
@@ -809,6 +759,156 @@ class AdvancedAudioEngine {
         }
     }
     
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        this.applyPlaybackRate();
+    }
+    
+    setPitchShift(semitones) {
+        this.pitchShift = semitones;
+        this.applyPlaybackRate();
+    }
+    
+    shouldTimeStretch() {
+        // Unity speed and pitch play straight from the buffer, untouched
+        return this.preservePitch &&
+            TimeStretchNode.isAvailable() &&
+            (this.playbackRate !== 1 || this.pitchShift !== 0);
+    }
+    
+    updateActualPlaybackRate() {
+        if (this.preservePitch) {
+            this.actualPlaybackRate = this.playbackRate;
+        } else {
+            const pitchFactor = Math.pow(2, this.pitchShift / 12);
+            this.actualPlaybackRate = this.playbackRate * pitchFactor;
+        }
+    }
+    
+    applyPlaybackRate() {
+        if (!this.sourceNode || !this.isPlaying) {
+            this.updateActualPlaybackRate();
+            return;
+        }
+        
+        // Finish an audible handover first so the new rate lands on the new track
+        if (this.nextSource && this.nextSource.startAt <= this.audioContext.currentTime) {
+            this.commitTransition();
+        }
+        
+        if (this.shouldTimeStretch() !== this.isTimeStretching) {
+            // Switching between direct and stretched playback needs a new source node
+            this.pause();
+            this.play();
+            return;
+        }
+        
+        if (this.isTimeStretching || this.sourceNode instanceof StreamSourceNode) {
+            this.updateActualPlaybackRate();
+            this.sourceNode.setTempo(this.playbackRate);
+            this.sourceNode.setPitchSemitones(this.pitchShift);
+            // The track now ends at a different time
+            this.prepareGaplessTransition();
+            return;
+        }
+        
+        const now = this.audioContext.currentTime;
+        
+        // Bank the position at the old rate before switching
+        this.pauseTime = this.getCurrentTime();
+        this.startTime = now;
+        this.updateActualPlaybackRate();
+        
+        this.sourceNode.playbackRate.cancelScheduledValues(now);
+        this.sourceNode.playbackRate.setValueAtTime(this.sourceNode.playbackRate.value, now);
+        this.sourceNode.playbackRate.linearRampToValueAtTime(this.actualPlaybackRate, now + 0.1);
+        
+        if (this.preservePitch) {
+            this.sourceNode.detune.cancelScheduledValues(now);
+            this.sourceNode.detune.setValueAtTime(this.sourceNode.detune.value, now);
+            this.sourceNode.detune.linearRampToValueAtTime(this.pitchShift * 100, now + 0.1);
+        }
+        
+        // The track now ends at a different time
+        this.prepareGaplessTransition();
+    }
+    
+    setReverbMix(value) {
+        this.reverbMix = value / 100;
+        
+        const now = this.audioContext.currentTime;
+        this.dryGain.gain.cancelScheduledValues(now);
+        this.dryGain.gain.setValueAtTime(this.dryGain.gain.value, now);
+        this.dryGain.gain.linearRampToValueAtTime(1 - this.reverbMix, now + 0.1);
+        
+        this.wetGain.gain.cancelScheduledValues(now);
+        this.wetGain.gain.setValueAtTime(this.wetGain.gain.value, now);
+        this.wetGain.gain.linearRampToValueAtTime(this.reverbMix, now + 0.1);
+    }
+    
+    setDelayMix(value) {
+        const clamped = Math.max(0, Math.min(100, Number(value)));
+        this.delayMix = clamped / 100;
+        
+        // Same curve as AudioEngine: longer, denser echoes as the mix goes up
+        const targetDelay = 0.08 + (0.6 - 0.08) * this.delayMix;
+        const feedback = 0.1 + this.delayMix * 0.6;
+        const wetLevel = this.delayMix * 0.9;
+        this.setDelay(targetDelay, feedback, wetLevel);
+    }
+    
+    setChorusMix(value) {
+        const clamped = Math.max(0, Math.min(100, Number(value)));
+        this.chorusMix = clamped / 100;
+        
+        const now = this.audioContext.currentTime;
+        const depth = 0.001 + this.chorusMix * 0.004;
+        const rate = 0.3 + this.chorusMix * 1.2;
+        const wet = this.chorusMix * 0.8;
+        
+        this.chorusDepth.gain.cancelScheduledValues(now);
+        this.chorusDepth.gain.setValueAtTime(this.chorusDepth.gain.value, now);
+        this.chorusDepth.gain.linearRampToValueAtTime(depth, now + 0.12);
+        
+        this.chorusLFO.frequency.setValueAtTime(rate, now);
+        
+        this.chorusWetGain.gain.cancelScheduledValues(now);
+        this.chorusWetGain.gain.setValueAtTime(this.chorusWetGain.gain.value, now);
+        this.chorusWetGain.gain.linearRampToValueAtTime(wet, now + 0.12);
+    }
+    
+    setBassBoost(value) {
+        // Value is 0-100, convert to 0-20 dB
+        this.bassBoost = (value / 100) * 20;
+        
+        const now = this.audioContext.currentTime;
+        this.bassFilter.gain.cancelScheduledValues(now);
+        this.bassFilter.gain.setValueAtTime(this.bassFilter.gain.value, now);
+        this.bassFilter.gain.linearRampToValueAtTime(this.bassBoost, now + 0.1);
+    }
+    
+    setCompressor(value) {
+        // Value is 0-100, threshold -50 to -10 dB and ratio 4:1 to 20:1
+        this.compressorThreshold = -50 + (value / 100) * 40;
+        
+        const now = this.audioContext.currentTime;
+        this.compressor.threshold.setValueAtTime(this.compressorThreshold, now);
+        this.compressor.ratio.setValueAtTime(4 + (value / 100) * 16, now);
+    }
+    
+    applyPreset(preset) {
+        const config = EFFECT_PRESETS[preset] || EFFECT_PRESETS['default'];
+        
+        this.setReverbMix(config.reverb);
+        this.pitchShift = config.pitch;
+        this.playbackRate = config.speed;
+        this.setDelayMix(config.delay);
+        this.setChorusMix(config.chorus);
+        this.applyPlaybackRate();
+        
+        return { ...config };
+    }
+    
     setEQBand(index, gain) {
         if (index >= 0 && index < this.eqFilters.length) {
             this.eqGains[index] = gain;
@@ -823,19 +923,9 @@ class AdvancedAudioEngine {
     }
     
     setEQPreset(preset) {
-        const presets = {
-            flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-            bass: [6, 5, 4, 2, 0, -1, -2, -2, -2, -2],
-            treble: [-2, -2, -1, 0, 1, 2, 3, 4, 5, 6],
-            vocal: [-2, -1, 0, 2, 4, 4, 3, 2, 1, 0],
-            classical: [0, 0, 0, 0, 0, 0, -2, -2, -2, -3],
-            rock: [5, 4, 3, 1, -1, 0, 1, 3, 4, 5],
-            electronic: [6, 5, 2, 0, -2, 2, 0, 1, 4, 5],
-            jazz: [3, 2, 1, 2, -2, -2, 0, 1, 2, 3]
-        };
-        
-        const gains = presets[preset] || presets.flat;
+        const gains = EQ_PRESETS[preset] || EQ_PRESETS.flat;
         gains.forEach((gain, index) => this.setEQBand(index, gain));
+        return [...gains];
     }
     
     setSpatialPosition(x, y, z) {
@@ -855,6 +945,13 @@ class AdvancedAudioEngine {
         }
     }
     
+    setSpatialAudioEnabled(enabled) {
+        this.spatialAudioEnabled = enabled;
+        if (this.stereoPannerNode && this.pannerNode) {
+            this.connectSpatialStage();
+        }
+    }
+    
     setStereoPan(value) {
         // value: -1 (full left) to 1 (full right)
         if (this.stereoPannerNode) {
@@ -877,26 +974,26 @@ class AdvancedAudioEngine {
     setDelay(time, feedback, mix) {
         // time: 0-5 seconds, feedback: 0-0.95, mix: 0-1
         this.delayTime = time;
-        this.delayNode.delayTime.value = time;
-        this.feedbackGain.gain.value = feedback;
         
         const now = this.audioContext.currentTime;
-        const wetAmount = mix;
-        const dryAmount = 1 - mix * 0.5; // Keep some dry signal
         
-        this.dryGain.gain.cancelScheduledValues(now);
-        this.dryGain.gain.setValueAtTime(this.dryGain.gain.value, now);
-        this.dryGain.gain.linearRampToValueAtTime(dryAmount, now + 0.1);
+        this.delayNode.delayTime.cancelScheduledValues(now);
+        this.delayNode.delayTime.setValueAtTime(this.delayNode.delayTime.value, now);
+        this.delayNode.delayTime.linearRampToValueAtTime(time, now + 0.12);
         
-        this.wetGain.gain.cancelScheduledValues(now);
-        this.wetGain.gain.setValueAtTime(this.wetGain.gain.value, now);
-        this.wetGain.gain.linearRampToValueAtTime(wetAmount, now + 0.1);
+        this.feedbackGain.gain.cancelScheduledValues(now);
+        this.feedbackGain.gain.setValueAtTime(this.feedbackGain.gain.value, now);
+        this.feedbackGain.gain.linearRampToValueAtTime(feedback, now + 0.12);
+        
+        this.delayWetGain.gain.cancelScheduledValues(now);
+        this.delayWetGain.gain.setValueAtTime(this.delayWetGain.gain.value, now);
+        this.delayWetGain.gain.linearRampToValueAtTime(mix, now + 0.12);
     }
     
     setChorus(rate, depth, mix) {
         this.chorusLFO.frequency.value = rate;
         this.chorusDepth.gain.value = depth * 0.01; // Convert to seconds
-        this.chorusMix.gain.value = mix;
+        this.chorusWetGain.gain.value = mix;
     }
     
     setFlanger(rate, depth, feedback, mix) {
@@ -912,6 +1009,28 @@ class AdvancedAudioEngine {
         this.phaserMix.gain.value = mix;
     }
     
+    // options: { source, normalizationGain, signal }, see OfflineRenderer.render
+    async exportProcessedAudio(progressCallback, options = {}) {
+        if (!options.source && !this.audioBuffer) return null;
+        return OfflineRenderer.render(this, progressCallback, options);
+    }
+    
+    // Seconds the effects keep sounding after the track ends
+    getEffectTail() {
+        let tail = 0.1; // chorus delay line
+        if (this.reverbMix > 0 && this.impulseBuffer) {
+            tail = Math.max(tail, this.impulseBuffer.duration);
+        }
+        if (this.delayWetGain.gain.value > 0) {
+            tail = Math.max(tail, OfflineRenderer.getFeedbackTail(this.delayNode.delayTime.value, this.feedbackGain.gain.value));
+        }
+        if (this.flangerMix.gain.value > 0) {
+            tail = Math.max(tail, OfflineRenderer.getFeedbackTail(0.02, this.flangerFeedback.gain.value));
+        }
+        // The limiter releases after the last peak
+        return tail + this.limiter.release.value;
+    }
+    
     // Visualization methods
     getFrequencyData() {
         if (!this.analyserNode) return new Uint8Array(0);
@@ -986,6 +1105,8 @@ class AdvancedAudioEngine {
     }
 }
 
+applySharedEngineMethods(AdvancedAudioEngine);
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AdvancedAudioEngine;
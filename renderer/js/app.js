@@ -1,21 +1,85 @@
 // Main Application Controller
+
+// Playlist edits are saved this long after the last one, the position every few seconds of playback
+const PLAYLIST_SAVE_DELAY = 500; // ms
+const POSITION_SAVE_INTERVAL = 5000; // ms
+
+// Smart playlist fields the library index knows without reading tags
+const LIBRARY_INDEX_FIELDS = new Set(['name', 'path', 'addedAt', 'playCount']);
+
 class DeskSongApp {
     constructor() {
-        this.audioEngine = new AudioEngine();
+        // The engine is picked once at startup from saved settings and created by initialize
+        this.engineType = this.readSettings().engine || DEFAULT_AUDIO_ENGINE;
+        this.audioEngine = null;
         this.playlistManager = new PlaylistManager();
         this.uiController = new UIController();
         
         this.repeatModes = ['none', 'one', 'all'];
         this.currentRepeatIndex = 0;
         
+        // Upcoming track decoded ahead for gapless playback and crossfades
+        this.preloadedTrackId = null;
+        this.preloadToken = 0;
+        this.preloadQueue = Promise.resolve();
+        
+        // Watched-folder library, indexed by the main process
+        this.libraryFolders = [];
+        this.libraryTracks = [];
+        
+        // ReplayGain / BS.1770 normalization, results are cached on the track objects
+        this.loudnessMode = 'off';
+        this.analyzingAlbums = new Set();
+        
+        // Format offered in the export dialog, the file extension can still override it
+        this.exportFormat = DEFAULT_EXPORT_FORMAT;
+        this.exportOptions = {
+            bitDepth: DEFAULT_EXPORT_BIT_DEPTH,
+            sampleRate: 'source',
+            dither: DEFAULT_DITHER_MODE
+        };
+        
+        // A-B loop over the markers stored on each track, exporting renders just that region
+        this.abLoop = false;
+        this.regionExport = { fadeIn: 0, fadeOut: 0, repeat: 1 };
+        
+        // Playlist tracks rendered one after another into a folder, format and options as above
+        this.batchExporter = null;
+        this.batchExport = {
+            folder: null,
+            template: DEFAULT_BATCH_TEMPLATE,
+            format: DEFAULT_EXPORT_FORMAT
+        };
+        
+        // Named playlists live in the main process, edits are saved shortly after they happen
+        this.playlistSaveTimer = null;
+        this.playlistsReady = null;
+        
+        // Smart playlists draw on every known track; tags of library files that are in no
+        // playlist are read once when a rule needs them. path -> { mtime, metadata }
+        this.trackDetails = new Map();
+        this.smartRefreshToken = 0;
+        
         this.initialize();
     }
     
-    initialize() {
+    async initialize() {
+        // Falls back to the standard engine when the chosen one fails to start
+        try {
+            this.audioEngine = await createAudioEngine(this.engineType);
+        } catch (error) {
+            console.error('Failed to start audio engine:', error);
+            this.uiController.showNotification(`Audio could not be started: ${error.message}`, 'error');
+            return;
+        }
+        this.batchExporter = new BatchExporter(this.audioEngine);
+        
         this.setupEventHandlers();
         this.setupUICallbacks();
         this.startProgressUpdate();
         this.loadSavedSettings();
+        this.playlistsReady = this.loadPlaylists();
+        this.loadLibrary();
     }
     
     setupEventHandlers() {
@@ -37,6 +101,7 @@ class DeskSongApp {
             const enabled = !this.playlistManager.shuffleMode;
             this.playlistManager.setShuffleMode(enabled);
             this.uiController.updateShuffleButton(enabled);
+            this.preloadUpcomingTrack();
             this.saveSettings();
         });
         
@@ -45,6 +110,7 @@ class DeskSongApp {
             const mode = this.repeatModes[this.currentRepeatIndex];
             this.playlistManager.setRepeatMode(mode);
             this.uiController.updateRepeatButton(mode);
+            this.preloadUpcomingTrack();
             this.saveSettings();
         });
         
@@ -53,22 +119,72 @@ class DeskSongApp {
             await this.openFilePicker();
         });
         
+        // Playlist edits and the playback position are kept across restarts.
+        // An edit also clears the column sort arrows, the order may no longer hold.
+        this.playlistManager.onChange = () => {
+            this.schedulePlaylistSave();
+            this.uiController.updatePlaylistSort(this.playlistManager.sortKeys);
+        };
+        
+        setInterval(() => {
+            if (this.audioEngine.isPlaying) {
+                this.savePlaybackPosition();
+            }
+        }, POSITION_SAVE_INTERVAL);
+        
+        window.addEventListener('beforeunload', () => {
+            this.flushPlaylistSave();
+            this.savePlaybackPosition();
+        });
+        
         this.uiController.elements.clearPlaylistBtn.addEventListener('click', () => {
             this.playlistManager.clearPlaylist();
             this.audioEngine.stop();
+            this.preloadUpcomingTrack();
             this.uiController.updatePlaylist([], -1);
             this.uiController.updateTrackInfo(null);
             this.uiController.updatePlayButton(false);
         });
         
+        // Library controls
+        this.uiController.elements.addLibraryFolderBtn.addEventListener('click', async () => {
+            const folders = await window.electronAPI.addLibraryFolder();
+            if (folders) {
+                await this.loadLibrary();
+            }
+        });
+        
+        this.uiController.elements.rescanLibraryBtn.addEventListener('click', async () => {
+            this.uiController.showNotification('Scanning library...');
+            await window.electronAPI.rescanLibrary();
+            await this.loadLibrary();
+        });
+        
+        this.uiController.elements.playLibraryBtn.addEventListener('click', async () => {
+            await this.addFilesToPlaylist(this.libraryTracks.map(track => track.path));
+        });
+        
+        window.electronAPI.onLibraryChanged((change) => {
+            this.onLibraryChanged(change);
+        });
+        
         this.uiController.elements.exportBtn.addEventListener('click', async () => {
             await this.exportAudio();
         });
         
+        this.batchExporter.prepareTrack = (track) => this.prepareBatchTrack(track);
+        this.batchExporter.onJobUpdate = (job) => {
+            this.uiController.updateBatchJob(job);
+        };
+        
         this.uiController.elements.savePresetBtn.addEventListener('click', () => {
             this.saveCurrentPreset();
         });
         
+        this.uiController.elements.saveEQPresetBtn.addEventListener('click', () => {
+            this.saveCurrentEQPreset();
+        });
+        
         // Audio engine callbacks
         this.audioEngine.onEnded = () => {
             if (this.playlistManager.repeatMode === 'one') {
@@ -78,6 +194,11 @@ class DeskSongApp {
             }
         };
         
+        // Engine moved on to the preloaded track by itself (gapless or crossfade)
+        this.audioEngine.onTrackAdvanced = () => {
+            this.onTrackAdvanced();
+        };
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.code === 'Space' && e.target.tagName !== 'INPUT') {
@@ -188,6 +309,187 @@ class DeskSongApp {
             }
         };
         
+        // Equalizer
+        this.uiController.onEQBandChange = (index, gain) => {
+            this.audioEngine.setEQBand(index, gain);
+            this.saveSettings();
+        };
+        
+        this.uiController.onEQPresetChange = (presetKey) => {
+            let gains = null;
+            if (presetKey.startsWith('custom_')) {
+                const index = parseInt(presetKey.replace('custom_', ''), 10);
+                const customEQPresets = JSON.parse(localStorage.getItem('customEQPresets') || '[]');
+                const custom = customEQPresets[index];
+                if (custom) {
+                    gains = custom.gains;
+                    gains.forEach((gain, band) => this.audioEngine.setEQBand(band, gain));
+                }
+            } else {
+                gains = this.audioEngine.setEQPreset(presetKey);
+            }
+            
+            if (gains) {
+                this.uiController.updateEQSliders(gains);
+                this.saveSettings();
+            }
+        };
+        
+        // Engine selection takes effect on next launch
+        this.uiController.onEngineChange = (engineType) => {
+            this.engineType = engineType;
+            this.saveSettings();
+            const label = AUDIO_ENGINES[engineType] ? AUDIO_ENGINES[engineType].label : engineType;
+            this.uiController.showNotification(`Restart Desksong to use the ${label} engine`);
+        };
+        
+        // Track transitions
+        this.uiController.onCrossfadeChange = (seconds) => {
+            this.audioEngine.setCrossfadeDuration(seconds);
+            this.saveSettings();
+        };
+        
+        this.uiController.onGaplessChange = (enabled) => {
+            this.audioEngine.setGaplessMode(enabled);
+            this.saveSettings();
+        };
+        
+        this.uiController.onShuffleStrategyChange = (strategy) => {
+            this.playlistManager.setShuffleStrategy(strategy);
+            this.preloadUpcomingTrack();
+            this.saveSettings();
+        };
+        
+        this.uiController.onLoudnessModeChange = (mode) => {
+            this.loudnessMode = LOUDNESS_MODES[mode] ? mode : 'off';
+            this.saveSettings();
+            this.refreshNormalization();
+        };
+        
+        this.uiController.onExportFormatChange = (format) => {
+            this.exportFormat = EXPORT_FORMATS[format] ? format : DEFAULT_EXPORT_FORMAT;
+            this.saveSettings();
+        };
+        
+        this.uiController.onExportOptionChange = (option, value) => {
+            if (this.isValidExportOption(option, value)) {
+                this.exportOptions[option] = value;
+                this.saveSettings();
+            }
+        };
+        
+        // Named playlists
+        this.uiController.onPlaylistSelect = (id) => {
+            this.switchPlaylist(id);
+        };
+        
+        this.uiController.onPlaylistCreate = () => {
+            const name = this.getNewPlaylistName();
+            const playlist = this.playlistManager.createPlaylist(name);
+            window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+            this.switchPlaylist(playlist.id);
+        };
+        
+        this.uiController.onPlaylistRename = (id, name) => {
+            const playlist = this.playlistManager.renamePlaylist(id, name);
+            if (!playlist) return;
+            if (id === this.playlistManager.activePlaylistId) {
+                this.flushPlaylistSave();
+            } else {
+                window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+            }
+            this.updatePlaylistSelector();
+        };
+        
+        this.uiController.onPlaylistDuplicate = () => {
+            const active = this.playlistManager.getActivePlaylist();
+            if (!active) return;
+            const copy = this.playlistManager.duplicatePlaylist(active.id, `${active.name} (copy)`);
+            window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(copy));
+            this.updatePlaylistSelector();
+            this.uiController.showNotification(`Created "${copy.name}"`);
+        };
+        
+        this.uiController.onPlaylistDelete = () => {
+            this.deleteActivePlaylist();
+        };
+        
+        this.uiController.onPlaylistExport = () => {
+            this.exportPlaylistFile();
+        };
+        
+        // Smart playlists
+        this.uiController.onSmartPlaylistCreate = () => {
+            this.createSmartPlaylist();
+        };
+        
+        this.uiController.onSmartPlaylistEdit = () => {
+            const playlist = this.playlistManager.getActivePlaylist();
+            if (playlist && playlist.query) {
+                this.uiController.openSmartEditor(playlist.query);
+            }
+        };
+        
+        this.uiController.onSmartQuerySave = (query) => {
+            this.saveSmartQuery(query);
+        };
+        
+        // A-B markers
+        this.uiController.onMarkerSet = (marker) => {
+            this.setTrackMarker(marker, this.audioEngine.getCurrentTime());
+        };
+        
+        this.uiController.onMarkerMove = (marker, percent) => {
+            this.setTrackMarker(marker, this.audioEngine.getDuration() * percent);
+        };
+        
+        this.uiController.onMarkersClear = () => {
+            const track = this.playlistManager.getCurrentTrack();
+            if (!track) return;
+            track.markerA = null;
+            track.markerB = null;
+            this.updateLoopRegion();
+            this.schedulePlaylistSave();
+        };
+        
+        this.uiController.onLoopToggle = () => {
+            this.abLoop = !this.abLoop;
+            this.updateLoopRegion();
+            if (this.abLoop && !this.getTrackRegion(this.playlistManager.getCurrentTrack())) {
+                this.uiController.showNotification('Set A and B to loop between them');
+            }
+            this.saveSettings();
+        };
+        
+        this.uiController.onRegionExportChange = (option, value) => {
+            this.regionExport[option] = value;
+            this.saveSettings();
+        };
+        
+        // Batch export
+        this.uiController.onBatchFolderClick = async () => {
+            await this.chooseBatchFolder();
+        };
+        
+        this.uiController.onBatchTemplateChange = (template) => {
+            this.batchExport.template = template.trim() || DEFAULT_BATCH_TEMPLATE;
+            this.uiController.updateBatchSettings(this.batchExport);
+            this.saveSettings();
+        };
+        
+        this.uiController.onBatchFormatChange = (format) => {
+            this.batchExport.format = EXPORT_FORMATS[format] ? format : DEFAULT_EXPORT_FORMAT;
+            this.saveSettings();
+        };
+        
+        this.uiController.onBatchStart = async () => {
+            await this.startBatchExport();
+        };
+        
+        this.uiController.onBatchCancel = () => {
+            this.batchExporter.cancel();
+        };
+        
         // Progress seek
         this.uiController.onSeek = (percent) => {
             const duration = this.audioEngine.getDuration();
@@ -199,20 +501,131 @@ class DeskSongApp {
         
         // Playlist
         this.uiController.onPlaylistItemClick = (index) => {
+            this.playlistManager.clearQueueReturn();
             this.playTrackAt(index);
         };
         
+        // Up-next queue, played before the playlist carries on
+        this.playlistManager.onQueueChange = (queue) => {
+            this.uiController.updateQueue(queue);
+        };
+        
+        this.uiController.onQueueAdd = (index, playNext) => {
+            const track = this.playlistManager.getTrackAt(index);
+            if (!this.playlistManager.queueTrack(index, playNext)) return;
+            this.preloadUpcomingTrack();
+            this.uiController.showNotification(playNext ? `"${track.name}" plays next` : `"${track.name}" added to queue`);
+        };
+        
+        this.uiController.onQueueMove = (fromIndex, toIndex) => {
+            this.playlistManager.moveQueueItem(fromIndex, toIndex);
+            this.preloadUpcomingTrack();
+        };
+        
+        this.uiController.onQueueRemove = (index) => {
+            this.playlistManager.removeQueueItem(index);
+            this.preloadUpcomingTrack();
+        };
+        
+        this.uiController.onQueueClear = () => {
+            this.playlistManager.clearQueue();
+            this.preloadUpcomingTrack();
+        };
+        
         this.uiController.onPlaylistItemRemove = (index) => {
             this.playlistManager.removeTrack(index);
             this.uiController.updatePlaylist(
                 this.playlistManager.tracks,
                 this.playlistManager.currentIndex
             );
+            this.preloadUpcomingTrack();
+        };
+        
+        // Column sort: a plain click sorts on one column or reverses it, Shift adds or reverses a key
+        this.uiController.onPlaylistSort = (field, addKey) => {
+            const active = this.playlistManager.getActivePlaylist();
+            if (active && active.query) {
+                this.uiController.showNotification('Smart playlists are ordered by their rules', 'error');
+                return;
+            }
+            
+            const keys = this.playlistManager.sortKeys.map(key => ({ ...key }));
+            const existing = keys.find(key => key.field === field);
+            let sortKeys;
+            if (addKey) {
+                if (existing) {
+                    existing.descending = !existing.descending;
+                } else {
+                    keys.push({ field, descending: false });
+                }
+                sortKeys = keys;
+            } else {
+                const reverse = existing && keys.length === 1;
+                sortKeys = [{ field, descending: reverse ? !existing.descending : false }];
+            }
+            
+            this.playlistManager.sortTracks(sortKeys);
+            this.uiController.updatePlaylist(
+                this.playlistManager.tracks,
+                this.playlistManager.currentIndex
+            );
+            this.uiController.updatePlaylistSort(sortKeys);
+            this.preloadUpcomingTrack();
+        };
+        
+        // Search bar
+        this.uiController.onPlaylistSearch = (query) => {
+            return this.playlistManager.searchTracks(query);
+        };
+        
+        // Drag and drop, Alt+Up/Down and the multi-select actions
+        this.uiController.onTracksMove = (indices, toIndex) => {
+            const active = this.playlistManager.getActivePlaylist();
+            if (active && active.query) {
+                this.uiController.showNotification('Smart playlists are ordered by their rules', 'error');
+                return;
+            }
+            this.playlistManager.moveTracks(indices, toIndex);
+            this.uiController.updatePlaylist(
+                this.playlistManager.tracks,
+                this.playlistManager.currentIndex
+            );
+            this.preloadUpcomingTrack();
+        };
+        
+        this.uiController.onTracksRemove = (indices) => {
+            this.playlistManager.removeTracks(indices);
+            this.uiController.updatePlaylist(
+                this.playlistManager.tracks,
+                this.playlistManager.currentIndex
+            );
+            this.preloadUpcomingTrack();
+        };
+        
+        this.uiController.onTracksSend = (playlistId, indices) => {
+            const playlist = this.playlistManager.copyTracksToPlaylist(playlistId, indices);
+            if (!playlist) return;
+            window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+            this.refreshSmartPlaylists();
+            this.uiController.showNotification(`Added ${indices.length} track${indices.length > 1 ? 's' : ''} to "${playlist.name}"`);
+        };
+        
+        // Library
+        this.uiController.onLibraryFolderClick = async (folder) => {
+            const paths = this.libraryTracks
+                .filter(track => track.folder === folder)
+                .map(track => track.path);
+            await this.addFilesToPlaylist(paths);
+        };
+        
+        this.uiController.onLibraryFolderRemove = async (folder) => {
+            await window.electronAPI.removeLibraryFolder(folder);
+            await this.loadLibrary();
         };
         
         // Files dropped
         this.uiController.onFilesDropped = async (files) => {
-            await this.addFilesToPlaylist(files);
+            await this.openFiles(files);
         };
 
         this.uiController.onRequestAddFiles = async () => {
@@ -223,59 +636,131 @@ class DeskSongApp {
     async openFilePicker() {
         const files = await window.electronAPI.selectAudioFiles();
         if (files && files.length > 0) {
-            await this.addFilesToPlaylist(files);
+            await this.openFiles(files);
+        }
+    }
+    
+    // Playlist files open as playlists of their own, audio files go into the current one
+    async openFiles(filePaths) {
+        const playlistFiles = filePaths.filter(filePath => PLAYLIST_FILE_PATTERN.test(filePath));
+        const audioFiles = filePaths.filter(filePath => !PLAYLIST_FILE_PATTERN.test(filePath));
+        
+        for (const filePath of playlistFiles) {
+            await this.importPlaylistFile(filePath);
+        }
+        if (audioFiles.length > 0) {
+            await this.addFilesToPlaylist(audioFiles);
+        }
+    }
+    
+    async importPlaylistFile(filePath) {
+        await this.playlistsReady;
+        const imported = await window.electronAPI.importPlaylistFile(filePath);
+        if (!imported) {
+            this.uiController.showNotification('Failed to read playlist', 'error');
+            return;
+        }
+        
+        const playlist = this.playlistManager.createPlaylist(imported.name);
+        window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+        await this.switchPlaylist(playlist.id);
+        
+        // Titles and durations from the file fill in for untagged tracks
+        const hints = new Map(imported.entries.map(entry => [entry.path, entry]));
+        await this.addFilesToPlaylist(imported.entries.map(entry => entry.path), hints);
+        
+        if (imported.missing.length > 0) {
+            const count = imported.missing.length;
+            console.warn(`Entries of ${filePath} not found:`, imported.missing);
+            this.uiController.showNotification(
+                `${count} entr${count > 1 ? 'ies' : 'y'} of "${imported.name}" not found`,
+                'error'
+            );
+        }
+    }
+    
+    async exportPlaylistFile() {
+        const playlist = this.playlistManager.getActivePlaylist();
+        if (!playlist || playlist.tracks.length === 0) {
+            this.uiController.showNotification('Playlist is empty', 'error');
+            return;
+        }
+        
+        const entries = playlist.tracks.map(track => ({
+            path: track.path,
+            title: track.name,
+            artist: track.artist !== 'Unknown Artist' ? track.artist : undefined,
+            duration: track.duration || undefined
+        }));
+        const filePath = await window.electronAPI.exportPlaylistFile(playlist.name, entries);
+        if (filePath) {
+            this.uiController.showNotification(`Playlist saved to ${filePath}`, 'success');
+        }
+    }
+    
+    async loadLibrary() {
+        // The index lives in the main process, this is just a view of it
+        try {
+            const [folders, tracks] = await Promise.all([
+                window.electronAPI.getLibraryFolders(),
+                window.electronAPI.getLibraryTracks()
+            ]);
+            this.libraryFolders = folders;
+            this.libraryTracks = tracks;
+            this.uiController.updateLibrary(folders, tracks);
+        } catch (error) {
+            console.error('Failed to load library:', error);
+        }
+        
+        await this.refreshSmartPlaylists();
+    }
+    
+    onLibraryChanged(change) {
+        // Follow renames and moves so playlist entries keep working
+        let renamed = 0;
+        change.renamed.forEach(({ from, to }) => {
+            renamed += this.playlistManager.renameTrackPath(from, to);
+        });
+        if (renamed > 0) {
+            this.uiController.updatePlaylist(
+                this.playlistManager.tracks,
+                this.playlistManager.currentIndex
+            );
+            this.preloadUpcomingTrack();
         }
+        
+        // Retagged files come in as added; their tags are read again when a smart playlist needs them
+        change.added.forEach(track => this.trackDetails.delete(track.path));
+        change.removed.forEach(path => this.trackDetails.delete(path));
+        change.renamed.forEach(({ from }) => this.trackDetails.delete(from));
+        
+        this.loadLibrary();
     }
     
-    async addFilesToPlaylist(filePaths) {
+    // hints: path -> { title, artist, duration } used where the file itself has none
+    async addFilesToPlaylist(filePaths, hints = new Map()) {
+        // Files dropped during startup go into the restored playlist
+        await this.playlistsReady;
+        const active = this.playlistManager.getActivePlaylist();
+        if (active && active.query) {
+            this.uiController.showNotification('Smart playlists fill themselves from their rules', 'error');
+            return;
+        }
         const newTracks = [];
         
         // Show loading indicator
         this.uiController.showNotification('Loading files...');
         
-        // Process files in parallel with a limit
-        const processFile = async (filePath) => {
-            try {
-                // Read file
-                const buffer = await window.electronAPI.readFile(filePath);
-                if (!buffer) return null;
-                
-                // Try to load it to get duration (read only header for performance)
-                const arrayBuffer = buffer.buffer.slice(
-                    buffer.byteOffset,
-                    buffer.byteOffset + Math.min(buffer.byteLength, 1024 * 1024) // Max 1MB for metadata
-                );
-                
-                // Create a temporary audio context to decode metadata
-                const tempContext = new (window.AudioContext || window.webkitAudioContext)();
-                let duration = 0;
-                
-                try {
-                    // Try to decode just enough for duration
-                    const audioBuffer = await tempContext.decodeAudioData(arrayBuffer.slice(0));
-                    duration = audioBuffer.duration;
-                } catch (e) {
-                    // If partial decode fails, duration will be updated when playing
-                    console.log('Could not decode duration, will update later');
-                }
-                
-                tempContext.close();
-                
-                // Add to playlist
-                const track = this.playlistManager.addTrack(filePath, { duration });
-                return track;
-            } catch (error) {
-                console.error(`Failed to load ${filePath}:`, error);
-                return null;
-            }
-        };
-        
-        // Process files with concurrency limit
+        // Process files with concurrency limit, adding them in the order given
         const chunkSize = 3;
         for (let i = 0; i < filePaths.length; i += chunkSize) {
             const chunk = filePaths.slice(i, i + chunkSize);
-            const results = await Promise.all(chunk.map(processFile));
-            newTracks.push(...results.filter(track => track !== null));
+            const results = (await Promise.all(chunk.map(filePath => {
+                return this.readTrackMetadata(filePath, hints.get(filePath));
+            }))).filter(result => result !== null);
+            const tracks = results.map(({ filePath, metadata }) => this.playlistManager.addTrack(filePath, metadata));
+            await Promise.all(tracks.map((track, index) => this.resolveArtwork(track, results[index].tags)));
+            newTracks.push(...tracks);
         }
         
         // Update UI
@@ -288,6 +773,9 @@ class DeskSongApp {
         if (!this.audioEngine.isPlaying && newTracks.length > 0) {
             const firstNewIndex = this.playlistManager.tracks.indexOf(newTracks[0]);
             this.playTrackAt(firstNewIndex);
+        } else if (newTracks.length > 0) {
+            // The upcoming track may have changed
+            this.preloadUpcomingTrack();
         }
         
         if (newTracks.length > 0) {
@@ -297,7 +785,44 @@ class DeskSongApp {
         }
     }
     
-    async playTrackAt(index) {
+    // Probe and tags of a file, shaped as PlaylistManager.addTrack metadata. null if unreadable.
+    async readTrackMetadata(filePath, hint = {}) {
+        try {
+            // Duration and format come from the headers, read in the main process
+            const probe = await window.electronAPI.probeAudioFile(filePath);
+            
+            // Tags sit at the start of the file and ID3v1 at the end, the audio between isn't copied over
+            const bytes = await new StreamedAudio(filePath, probe || {}).readTagBytes();
+            
+            // Embedded tags (title, artist, album...)
+            const tags = TagReader.read(bytes);
+            
+            const metadata = {
+                title: tags.title || hint.title,
+                artist: tags.artist || hint.artist,
+                album: tags.album,
+                albumArtist: tags.albumArtist,
+                trackNumber: tags.trackNumber,
+                discNumber: tags.discNumber,
+                year: tags.year,
+                genre: tags.genre,
+                rating: tags.rating,
+                duration: probe ? probe.duration : hint.duration || 0,
+                codec: probe ? probe.codec : null,
+                bitrate: probe ? probe.bitrate : 0,
+                sampleRate: probe ? probe.sampleRate : 0,
+                channels: probe ? probe.channels : 0,
+                size: probe ? probe.size : 0
+            };
+            return { filePath, metadata, tags };
+        } catch (error) {
+            console.error(`Failed to load ${filePath}:`, error);
+            return null;
+        }
+    }
+    
+    // options: { autoplay, position } load the track paused or from position seconds in
+    async playTrackAt(index, { autoplay = true, position = 0 } = {}) {
         if (!this.playlistManager.setCurrentIndex(index)) {
             return;
         }
@@ -306,37 +831,50 @@ class DeskSongApp {
         if (!track) return;
         
         try {
-            // Stop current playback
-            this.audioEngine.stop();
-            
-            // Load new track
-            const buffer = await window.electronAPI.readFile(track.path);
-            if (!buffer) {
-                throw new Error('Failed to read file');
+            // Reuse the preloaded track when it is the one being asked for
+            let info = null;
+            if (track.id === this.preloadedTrackId) {
+                info = this.audioEngine.promoteNextTrack();
             }
+            this.cancelPreload();
             
-            const arrayBuffer = buffer.buffer.slice(
-                buffer.byteOffset,
-                buffer.byteOffset + buffer.byteLength
-            );
-            
-            const info = await this.audioEngine.loadAudioFile(arrayBuffer);
+            if (!info) {
+                // Stop current playback
+                this.audioEngine.stop();
+                
+                // Load new track
+                info = await this.audioEngine.loadAudioFile(await this.openTrack(track));
+                
+                // Level the track before it is heard
+                const buffer = this.audioEngine.audioBuffer;
+                const gain = await this.getNormalizationGain(track, buffer);
+                if (this.audioEngine.audioBuffer !== buffer) return;
+                this.audioEngine.setNormalizationGain(gain);
+            }
             
             // Update track duration if not set
             if (!track.duration) {
                 track.duration = info.duration;
             }
             
-            // Start playing
-            this.audioEngine.play();
+            // Start playing, inside the track's A-B loop if it has one
+            this.updateLoopRegion();
+            if (position > 0) {
+                this.audioEngine.seek(position);
+            }
+            if (autoplay) {
+                this.audioEngine.play();
+                this.countPlay(track);
+            }
+            this.savePlaybackPosition();
             
             // Update UI
             this.uiController.updateTrackInfo(track);
-            this.uiController.updatePlayButton(true);
-            this.uiController.updatePlaylist(
-                this.playlistManager.tracks,
-                this.playlistManager.currentIndex
-            );
+            this.uiController.setPitchAvailable(!(this.audioEngine.audioBuffer instanceof StreamedAudio));
+            this.uiController.updatePlayButton(autoplay);
+            this.uiController.updatePlaylistCurrent(this.playlistManager.currentIndex);
+            
+            this.preloadUpcomingTrack();
             
         } catch (error) {
             console.error('Failed to play track:', error);
@@ -344,6 +882,262 @@ class DeskSongApp {
         }
     }
     
+    async readTrackFile(track) {
+        const buffer = await window.electronAPI.readFile(track.path);
+        if (!buffer) {
+            throw new Error('Failed to read file');
+        }
+        
+        return buffer.buffer.slice(
+            buffer.byteOffset,
+            buffer.byteOffset + buffer.byteLength
+        );
+    }
+    
+    async openTrack(track) {
+        // Long tracks are streamed from disk, the rest is read whole and decoded
+        if (track.duration >= STREAMING_MIN_DURATION) {
+            const stream = await StreamedAudio.open(track.path, track);
+            if (track.replayGain === undefined || track.artwork === undefined) {
+                this.readTrackTags(track, await stream.readTagBytes());
+            }
+            return stream;
+        }
+        
+        const arrayBuffer = await this.readTrackFile(track);
+        this.readTrackTags(track, arrayBuffer);
+        return arrayBuffer;
+    }
+    
+    cancelPreload() {
+        // Invalidate preloads still in flight
+        this.preloadToken++;
+        this.preloadedTrackId = null;
+    }
+    
+    preloadUpcomingTrack() {
+        this.cancelPreload();
+        const token = this.preloadToken;
+        
+        // Preloads run one at a time so a stale one can't land after a newer one
+        this.preloadQueue = this.preloadQueue.then(async () => {
+            if (token !== this.preloadToken) return;
+            this.audioEngine.clearNextTrack();
+            
+            // Repeat one keeps replaying the current track
+            if (this.playlistManager.repeatMode === 'one' || !this.audioEngine.audioBuffer) return;
+            
+            const track = this.playlistManager.getTrackAt(this.playlistManager.peekNextIndex());
+            if (!track) return;
+            
+            try {
+                const input = await this.openTrack(track);
+                if (token !== this.preloadToken) {
+                    StreamedAudio.release(input);
+                    return;
+                }
+                
+                const loaded = await this.audioEngine.preloadNextTrack(input);
+                if (token !== this.preloadToken) {
+                    // Superseded while decoding, the next run clears it
+                    return;
+                }
+                if (!loaded) return;
+                
+                const gain = await this.getNormalizationGain(track, this.audioEngine.nextAudioBuffer);
+                if (token !== this.preloadToken) return;
+                this.audioEngine.setNextNormalizationGain(gain);
+                this.preloadedTrackId = track.id;
+            } catch (error) {
+                console.error('Failed to preload next track:', error);
+            }
+        });
+    }
+    
+    readTrackTags(track, arrayBuffer) {
+        // Before decoding, decodeAudioData detaches the buffer
+        if (track.replayGain === undefined) {
+            track.replayGain = LoudnessAnalyzer.readReplayGainTags(arrayBuffer);
+            this.playlistManager.updateTracksByPath(track.path, { replayGain: track.replayGain });
+        }
+        if (track.artwork === undefined) {
+            this.resolveArtwork(track, TagReader.read(arrayBuffer)).then((found) => {
+                if (found) this.showArtwork(track);
+            });
+        }
+    }
+    
+    async resolveArtwork(track, tags) {
+        // Embedded front cover first, the main process falls back to folder images.
+        // null marks a track without art so it isn't looked up again.
+        if (track.artwork !== undefined) return false;
+        track.artwork = null;
+        
+        const pictures = tags ? tags.pictures : [];
+        const picture = pictures.find(p => p.type === 3) || pictures[0];
+        try {
+            const artwork = await window.electronAPI.getAlbumArt(
+                track.path,
+                picture ? { data: picture.data, mimeType: picture.mimeType } : null
+            );
+            track.artwork = artwork;
+            this.playlistManager.updateTracksByPath(track.path, { artwork });
+            return artwork !== null;
+        } catch (error) {
+            console.error(`Failed to load album art for ${track.path}:`, error);
+            return false;
+        }
+    }
+    
+    showArtwork(track) {
+        // Art resolved after the track was shown
+        const current = this.playlistManager.getCurrentTrack();
+        if (current && current.path === track.path) {
+            this.uiController.updateTrackInfo(current);
+        }
+        this.uiController.renderPlaylistRows(true);
+    }
+    
+    async measureTrackLoudness(track, audioBuffer) {
+        if (!track.loudness) {
+            track.loudness = await LoudnessAnalyzer.analyze(audioBuffer);
+            this.playlistManager.updateTracksByPath(track.path, { loudness: track.loudness });
+        }
+        return track.loudness;
+    }
+    
+    async getNormalizationGain(track, audioBuffer) {
+        // Linear gain for the selected mode: tags first, then measured loudness
+        if (this.loudnessMode === 'off') return 1.0;
+        
+        const tags = track.replayGain;
+        if (this.loudnessMode === 'album') {
+            if (tags && tags.albumGain !== undefined) {
+                return LoudnessAnalyzer.limitGain(tags.albumGain, tags.albumPeak ?? tags.trackPeak ?? 0);
+            }
+            
+            const album = this.getAlbumLoudness(track);
+            if (album) {
+                return LoudnessAnalyzer.computeGain(album.integrated, album.truePeak);
+            }
+            // Use track gain until the rest of the album is measured
+            this.analyzeAlbum(track);
+        }
+        
+        if (tags && tags.trackGain !== undefined) {
+            return LoudnessAnalyzer.limitGain(tags.trackGain, tags.trackPeak ?? 0);
+        }
+        
+        // Streamed tracks are never decoded in full, only tags can level them
+        if (audioBuffer instanceof StreamedAudio) return 1.0;
+        
+        const loudness = await this.measureTrackLoudness(track, audioBuffer);
+        return LoudnessAnalyzer.computeGain(loudness.integrated, loudness.truePeak);
+    }
+    
+    getAlbumLoudness(track) {
+        // Gated over the blocks of every album track, null until all are measured
+        const tracks = this.playlistManager.getAlbumTracks(track);
+        if (tracks.length > MAX_ALBUM_TRACKS) {
+            return null;
+        }
+        
+        const measured = tracks.filter(t => !t.loudnessFailed);
+        if (measured.length === 0 || measured.some(t => !t.loudness)) {
+            return null;
+        }
+        
+        return {
+            integrated: LoudnessAnalyzer.integrate(measured.map(t => t.loudness.blocks)),
+            truePeak: Math.max(...measured.map(t => t.loudness.truePeak))
+        };
+    }
+    
+    async analyzeAlbum(track) {
+        const tracks = this.playlistManager.getAlbumTracks(track);
+        const albumKey = this.playlistManager.getAlbumKey(track);
+        if (tracks.length > MAX_ALBUM_TRACKS || this.analyzingAlbums.has(albumKey)) return;
+        
+        this.analyzingAlbums.add(albumKey);
+        try {
+            for (const albumTrack of tracks) {
+                if (albumTrack.loudness || albumTrack.loudnessFailed) continue;
+                if (albumTrack.duration >= STREAMING_MIN_DURATION) {
+                    // Too long to decode, left out of the album like a failed measurement
+                    this.playlistManager.updateTracksByPath(albumTrack.path, { loudnessFailed: true });
+                    continue;
+                }
+                
+                try {
+                    const arrayBuffer = await this.readTrackFile(albumTrack);
+                    this.readTrackTags(albumTrack, arrayBuffer);
+                    const buffer = await this.audioEngine.audioContext.decodeAudioData(arrayBuffer);
+                    await this.measureTrackLoudness(albumTrack, buffer);
+                } catch (error) {
+                    console.error(`Failed to measure ${albumTrack.path}:`, error);
+                    this.playlistManager.updateTracksByPath(albumTrack.path, { loudnessFailed: true });
+                }
+            }
+        } finally {
+            this.analyzingAlbums.delete(albumKey);
+        }
+        
+        // Switch the playing and upcoming tracks over to album gain
+        this.refreshNormalization();
+    }
+    
+    async refreshNormalization() {
+        const track = this.playlistManager.getCurrentTrack();
+        const buffer = this.audioEngine.audioBuffer;
+        if (track && buffer) {
+            const gain = await this.getNormalizationGain(track, buffer);
+            // Only if the track didn't change in the meantime
+            if (this.audioEngine.audioBuffer === buffer) {
+                this.audioEngine.setNormalizationGain(gain);
+            }
+        }
+        
+        this.preloadUpcomingTrack();
+    }
+    
+    onTrackAdvanced() {
+        // The engine already plays the preloaded track, catch the playlist up
+        const preloadedId = this.preloadedTrackId;
+        const nextTrack = this.playlistManager.next();
+        if (preloadedId !== null && (!nextTrack || nextTrack.id !== preloadedId)) {
+            const index = this.playlistManager.tracks.findIndex(t => t.id === preloadedId);
+            this.playlistManager.setCurrentIndex(index);
+        }
+        
+        const track = this.playlistManager.getCurrentTrack();
+        if (track && !track.duration) {
+            track.duration = this.audioEngine.getDuration();
+        }
+        this.updateLoopRegion();
+        this.savePlaybackPosition();
+        if (track) {
+            this.countPlay(track);
+        }
+        
+        this.uiController.updateTrackInfo(track);
+        this.uiController.setPitchAvailable(!(this.audioEngine.audioBuffer instanceof StreamedAudio));
+        this.uiController.updatePlayButton(true);
+        this.uiController.updatePlaylistCurrent(this.playlistManager.currentIndex);
+        
+        this.preloadUpcomingTrack();
+    }
+    
+    // Play counts weigh in the weighted shuffle
+    countPlay(track) {
+        const activeId = this.playlistManager.activePlaylistId;
+        this.playlistManager.countPlay(track.path).forEach(playlist => {
+            if (playlist.id !== activeId) {
+                window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+            }
+        });
+        this.schedulePlaylistSave();
+    }
+    
     togglePlayPause() {
         if (!this.audioEngine.audioBuffer) {
             // If no track loaded, try to play first track
@@ -355,6 +1149,7 @@ class DeskSongApp {
         
         if (this.audioEngine.isPlaying) {
             this.audioEngine.pause();
+            this.savePlaybackPosition();
             this.uiController.updatePlayButton(false);
         } else {
             this.audioEngine.play();
@@ -428,89 +1223,439 @@ class DeskSongApp {
         }
         
         const track = this.playlistManager.getCurrentTrack();
-        const defaultName = track ? `${track.name}_processed.wav` : 'processed_audio.wav';
+        // With A and B set only that region is exported, looped and faded as set in Settings
+        const region = this.getTrackRegion(track);
+        const renderOptions = region ? { region, ...this.regionExport } : {};
+        const extension = ExportEncoder.getFormat(this.exportFormat).extension;
+        const suffix = region ? 'region' : 'processed';
+        const defaultName = track ? `${track.name}_${suffix}.${extension}` : `processed_audio.${extension}`;
         
         const savePath = await window.electronAPI.saveAudioFile(defaultName);
         if (!savePath) return;
         
+        // Typing another extension in the dialog picks that format instead
+        const format = ExportEncoder.getFormatForPath(savePath, this.exportFormat);
+        
         try {
-            this.uiController.showNotification('Exporting audio...');
+            this.uiController.showNotification(region ? 'Exporting A-B region...' : 'Exporting audio...');
             
+            // Rendering is the first half of the progress shown, encoding the second
+            this.uiController.setExportProgress(0);
             const processedBuffer = await this.audioEngine.exportProcessedAudio((progress) => {
-                // Progress callback if needed
-            });
+                this.uiController.setExportProgress(progress * 0.5);
+            }, renderOptions);
             
-            // Convert AudioBuffer to WAV
-            const wavBuffer = this.audioBufferToWav(processedBuffer);
+            // Measured before encoding so clipping can be caught on the next try
+            const loudness = await LoudnessAnalyzer.analyze(processedBuffer);
+            
+            const tags = track ? await this.getExportTags(track) : {};
+            const data = await ExportEncoder.encode(processedBuffer, format, { ...this.exportOptions, tags }, (progress) => {
+                this.uiController.setExportProgress(50 + progress * 0.5);
+            });
             
             // Save file
-            const success = await window.electronAPI.writeFile(savePath, Buffer.from(wavBuffer));
+            const success = await window.electronAPI.writeFile(savePath, data);
             
             if (success) {
-                this.uiController.showNotification('Audio exported successfully', 'success');
+                this.reportExportLevels(loudness);
             } else {
                 throw new Error('Failed to write file');
             }
         } catch (error) {
             console.error('Export failed:', error);
             this.uiController.showNotification('Export failed', 'error');
+        } finally {
+            this.uiController.setExportProgress(null);
         }
     }
     
-    audioBufferToWav(buffer) {
-        const length = buffer.length * buffer.numberOfChannels * 2 + 44;
-        const arrayBuffer = new ArrayBuffer(length);
-        const view = new DataView(arrayBuffer);
-        const channels = [];
-        let offset = 0;
-        let pos = 0;
+    // Peak and loudness of the rendered audio, with a warning when it clips
+    reportExportLevels({ integrated, truePeak }) {
+        const toDb = (value) => (value > 0 ? (20 * Math.log10(value)).toFixed(1) : '-inf');
+        const loudness = isFinite(integrated) ? `${integrated.toFixed(1)} LUFS` : 'silent';
+        const levels = `peak ${toDb(truePeak)} dBTP, ${loudness}`;
         
-        // Write WAV header
-        const setUint16 = (data) => {
-            view.setUint16(pos, data, true);
-            pos += 2;
-        };
+        if (truePeak > 1) {
+            this.uiController.showNotification(`Exported, but it clips (${levels}). Lower the volume or effects and export again.`, 'error');
+        } else {
+            this.uiController.showNotification(`Audio exported successfully (${levels})`, 'success');
+        }
+    }
+    
+    isValidExportOption(option, value) {
+        const tables = { bitDepth: EXPORT_BIT_DEPTHS, sampleRate: EXPORT_SAMPLE_RATES, dither: DITHER_MODES };
+        return Boolean(tables[option] && tables[option][value]);
+    }
+    
+    // Tags for the exported file: the source file's own (artwork included),
+    // with the playlist's fields filling in what the file doesn't have
+    async getExportTags(track) {
+        let tags = {};
+        try {
+            tags = TagReader.read(await new StreamedAudio(track.path).readTagBytes());
+        } catch (error) {
+            console.warn('Could not read tags for export:', error);
+        }
         
-        const setUint32 = (data) => {
-            view.setUint32(pos, data, true);
-            pos += 4;
+        const fallback = {
+            title: track.name,
+            artist: track.artist !== 'Unknown Artist' ? track.artist : null,
+            album: track.album,
+            albumArtist: track.albumArtist,
+            trackNumber: track.trackNumber,
+            discNumber: track.discNumber,
+            year: track.year,
+            genre: track.genre
         };
+        Object.keys(fallback).forEach(key => {
+            tags[key] = tags[key] || fallback[key];
+        });
+        return tags;
+    }
+    
+    setTrackMarker(marker, time) {
+        const track = this.playlistManager.getCurrentTrack();
+        if (!track || !this.audioEngine.audioBuffer) return;
+        
+        track[marker === 'a' ? 'markerA' : 'markerB'] = time;
+        this.updateLoopRegion();
+        this.schedulePlaylistSave();
+    }
+    
+    // Span between the track's markers in seconds, null unless both are set
+    getTrackRegion(track) {
+        if (!track || typeof track.markerA !== 'number' || typeof track.markerB !== 'number') return null;
+        
+        const start = Math.min(track.markerA, track.markerB);
+        const end = Math.max(track.markerA, track.markerB);
+        return end > start ? { start, end } : null;
+    }
+    
+    // Hands the current track's region to the engine while looping and redraws the markers
+    updateLoopRegion() {
+        const track = this.playlistManager.getCurrentTrack();
+        const region = this.getTrackRegion(track);
+        this.audioEngine.setLoopRegion(this.abLoop ? region : null);
+        this.uiController.updateMarkers(
+            track ? track.markerA ?? null : null,
+            track ? track.markerB ?? null : null,
+            this.audioEngine.getDuration(),
+            this.abLoop
+        );
+    }
+    
+    async loadPlaylists() {
+        try {
+            const state = await window.electronAPI.getPlaylists();
+            this.playlistManager.loadPlaylists(state);
+        } catch (error) {
+            console.error('Failed to load playlists:', error);
+        }
+        
+        // First start, or every playlist was deleted
+        if (this.playlistManager.playlists.length === 0) {
+            const playlist = this.playlistManager.createPlaylist(DEFAULT_PLAYLIST_NAME);
+            this.playlistManager.switchPlaylist(playlist.id);
+            window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+            window.electronAPI.setActivePlaylist(playlist.id);
+        }
+        
+        await this.openActivePlaylist(false);
+    }
+    
+    // Shows the active playlist and loads its current track where it was left
+    async openActivePlaylist(autoplay) {
+        const playlist = this.playlistManager.getActivePlaylist();
+        this.updatePlaylistSelector();
+        this.uiController.updatePlaylist(playlist.tracks, playlist.currentIndex);
+        this.uiController.updatePlaylistSort(this.playlistManager.sortKeys);
+        
+        const track = this.playlistManager.getCurrentTrack();
+        if (track) {
+            await this.playTrackAt(playlist.currentIndex, { autoplay, position: playlist.position });
+        } else {
+            this.audioEngine.stop();
+            this.preloadUpcomingTrack();
+            this.uiController.updateTrackInfo(null);
+            this.uiController.updatePlayButton(false);
+        }
+    }
+    
+    async switchPlaylist(id) {
+        if (id === this.playlistManager.activePlaylistId) return;
         
-        // RIFF identifier
-        setUint32(0x46464952); // "RIFF"
-        setUint32(length - 8); // file length minus RIFF header
-        setUint32(0x45564157); // "WAVE"
+        // Playback carries on in the new playlist if it was running
+        const wasPlaying = this.audioEngine.isPlaying;
+        this.flushPlaylistSave();
+        this.savePlaybackPosition();
+        if (!this.playlistManager.switchPlaylist(id)) return;
         
-        // Format chunk
-        setUint32(0x20746d66); // "fmt " chunk
-        setUint32(16); // length = 16
-        setUint16(1); // PCM
-        setUint16(buffer.numberOfChannels);
-        setUint32(buffer.sampleRate);
-        setUint32(buffer.sampleRate * 2 * buffer.numberOfChannels); // byte rate
-        setUint16(buffer.numberOfChannels * 2); // block align
-        setUint16(16); // bits per sample
+        window.electronAPI.setActivePlaylist(id);
+        this.cancelPreload();
+        await this.openActivePlaylist(wasPlaying);
+    }
+    
+    async deleteActivePlaylist() {
+        const playlist = this.playlistManager.getActivePlaylist();
+        if (!playlist || !confirm(`Delete playlist "${playlist.name}"?`)) return;
         
-        // Data chunk
-        setUint32(0x61746164); // "data" chunk
-        setUint32(length - pos - 4); // chunk length
+        // The neighbour takes its place, a fresh one when it was the last
+        const index = this.playlistManager.playlists.indexOf(playlist);
+        clearTimeout(this.playlistSaveTimer);
+        this.playlistSaveTimer = null;
+        this.playlistManager.deletePlaylist(playlist.id);
+        await window.electronAPI.deletePlaylist(playlist.id);
+        
+        const playlists = this.playlistManager.playlists;
+        let next = playlists[Math.min(index, playlists.length - 1)];
+        if (!next) {
+            next = this.playlistManager.createPlaylist(DEFAULT_PLAYLIST_NAME);
+            window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(next));
+        }
         
-        // Write interleaved data
-        for (let i = 0; i < buffer.numberOfChannels; i++) {
-            channels.push(buffer.getChannelData(i));
+        const wasPlaying = this.audioEngine.isPlaying;
+        this.playlistManager.switchPlaylist(next.id);
+        window.electronAPI.setActivePlaylist(next.id);
+        this.cancelPreload();
+        await this.openActivePlaylist(wasPlaying);
+        this.uiController.showNotification(`Deleted "${playlist.name}"`);
+    }
+    
+    getNewPlaylistName() {
+        const names = new Set(this.playlistManager.playlists.map(playlist => playlist.name));
+        let number = this.playlistManager.playlists.length + 1;
+        while (names.has(`Playlist ${number}`)) {
+            number++;
         }
+        return `Playlist ${number}`;
+    }
+    
+    updatePlaylistSelector() {
+        this.uiController.updatePlaylistSelector(
+            this.playlistManager.playlists,
+            this.playlistManager.activePlaylistId
+        );
+    }
+    
+    schedulePlaylistSave() {
+        clearTimeout(this.playlistSaveTimer);
+        this.playlistSaveTimer = setTimeout(() => {
+            this.playlistSaveTimer = null;
+            this.saveActivePlaylist();
+            this.refreshSmartPlaylists();
+        }, PLAYLIST_SAVE_DELAY);
+    }
+    
+    flushPlaylistSave() {
+        if (this.playlistSaveTimer) {
+            clearTimeout(this.playlistSaveTimer);
+            this.playlistSaveTimer = null;
+            this.saveActivePlaylist();
+        }
+    }
+    
+    saveActivePlaylist() {
+        const playlist = this.playlistManager.getActivePlaylist();
+        if (!playlist) return;
+        
+        playlist.position = this.audioEngine.getCurrentTime();
+        window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+    }
+    
+    // Cheap enough to send every few seconds, only the index and position travel
+    savePlaybackPosition() {
+        const playlist = this.playlistManager.getActivePlaylist();
+        if (!playlist) return;
+        
+        playlist.position = playlist.currentIndex >= 0 ? this.audioEngine.getCurrentTime() : 0;
+        window.electronAPI.setPlaylistPosition(playlist.id, playlist.currentIndex, playlist.position);
+    }
+    
+    // Opens on the rule editor; until the rules are saved it holds every track
+    async createSmartPlaylist() {
+        const query = JSON.parse(JSON.stringify(DEFAULT_SMART_QUERY));
+        const number = this.playlistManager.playlists.filter(playlist => playlist.query).length + 1;
+        const playlist = this.playlistManager.createPlaylist(`Smart Playlist ${number}`, [], query);
+        window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+        await this.switchPlaylist(playlist.id);
+        this.uiController.openSmartEditor(query);
+        await this.refreshSmartPlaylists();
+    }
+    
+    async saveSmartQuery(query) {
+        const playlist = this.playlistManager.getActivePlaylist();
+        if (!playlist || !playlist.query) return;
+        
+        this.playlistManager.setPlaylistQuery(playlist.id, query);
+        window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
+        await this.refreshSmartPlaylists();
+        this.uiController.showNotification(`"${playlist.name}" has ${playlist.tracks.length} track${playlist.tracks.length === 1 ? '' : 's'}`);
+    }
+    
+    // Re-runs every smart playlist's query; a newer refresh supersedes one still reading tags
+    async refreshSmartPlaylists() {
+        await this.playlistsReady;
+        const smartPlaylists = this.playlistManager.playlists.filter(playlist => playlist.query);
+        if (smartPlaylists.length === 0) return;
         
-        while (pos < length) {
-            for (let i = 0; i < buffer.numberOfChannels; i++) {
-                let sample = Math.max(-1, Math.min(1, channels[i][offset]));
-                sample = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                view.setInt16(pos, sample, true);
-                pos += 2;
+        const token = ++this.smartRefreshToken;
+        const candidates = await this.getSmartCandidates(smartPlaylists);
+        if (token !== this.smartRefreshToken) return;
+        
+        const activeId = this.playlistManager.activePlaylistId;
+        smartPlaylists.forEach(playlist => {
+            const tracks = SmartPlaylist.evaluate(candidates, playlist.query);
+            if (!this.playlistManager.replacePlaylistTracks(playlist.id, tracks)) return;
+            
+            if (playlist.id === activeId) {
+                this.saveActivePlaylist();
+                this.uiController.updatePlaylist(
+                    this.playlistManager.tracks,
+                    this.playlistManager.currentIndex
+                );
+                this.preloadUpcomingTrack();
+            } else {
+                window.electronAPI.savePlaylist(this.playlistManager.serializePlaylist(playlist));
             }
-            offset++;
+        });
+    }
+    
+    // Every known file once: entries of regular playlists bring tags and play counts, the library
+    // adds the files that are in none of them
+    async getSmartCandidates(smartPlaylists) {
+        this.playlistManager.syncActivePlaylist();
+        const byPath = new Map();
+        const playCounts = new Map();
+        this.playlistManager.playlists.forEach(playlist => {
+            playlist.tracks.forEach(track => {
+                playCounts.set(track.path, Math.max(playCounts.get(track.path) || 0, track.playCount || 0));
+                if (!playlist.query && !byPath.has(track.path)) {
+                    byPath.set(track.path, { ...track });
+                }
+            });
+        });
+        
+        const libraryOnly = this.libraryTracks.filter(track => !byPath.has(track.path));
+        const needsTags = smartPlaylists.some(playlist => {
+            return [...SmartPlaylist.getFields(playlist.query)].some(field => !LIBRARY_INDEX_FIELDS.has(field));
+        });
+        if (needsTags) {
+            await this.loadTrackDetails(libraryOnly);
         }
         
-        return arrayBuffer;
+        libraryOnly.forEach(libraryTrack => {
+            const cached = this.getTrackDetails(libraryTrack);
+            const details = (cached && cached.metadata) || { title: libraryTrack.name };
+            byPath.set(libraryTrack.path, this.playlistManager.createTrack(libraryTrack.path, details));
+        });
+        
+        // The earlier of adding to the library or to a playlist, plays counted anywhere
+        const addedAt = new Map(this.libraryTracks.map(track => [track.path, track.addedAt]));
+        byPath.forEach(track => {
+            track.addedAt = Math.min(track.addedAt || Infinity, addedAt.get(track.path) || Infinity);
+            track.playCount = playCounts.get(track.path) || 0;
+        });
+        return [...byPath.values()];
+    }
+    
+    // Cached tags hold only while the file is unchanged on disk
+    getTrackDetails(libraryTrack) {
+        const cached = this.trackDetails.get(libraryTrack.path);
+        return cached && cached.mtime === libraryTrack.mtime ? cached : null;
+    }
+    
+    async loadTrackDetails(libraryTracks) {
+        const missing = libraryTracks.filter(track => !this.getTrackDetails(track));
+        if (missing.length === 0) return;
+        
+        this.uiController.showNotification(`Reading tags of ${missing.length} library track${missing.length > 1 ? 's' : ''}...`);
+        const chunkSize = 3;
+        for (let i = 0; i < missing.length; i += chunkSize) {
+            const chunk = missing.slice(i, i + chunkSize);
+            const results = await Promise.all(chunk.map(track => this.readTrackMetadata(track.path)));
+            results.forEach((result, index) => {
+                // Unreadable files are remembered too, so they aren't tried on every refresh
+                const { path, mtime } = chunk[index];
+                this.trackDetails.set(path, { mtime, metadata: result ? result.metadata : null });
+            });
+        }
+    }
+    
+    async chooseBatchFolder() {
+        const folder = await window.electronAPI.selectExportFolder();
+        if (!folder) return;
+        
+        this.batchExport.folder = folder;
+        this.uiController.updateBatchSettings(this.batchExport);
+        this.saveSettings();
+    }
+    
+    async startBatchExport() {
+        if (this.batchExporter.running) return;
+        
+        if (!this.batchExport.folder) {
+            await this.chooseBatchFolder();
+            if (!this.batchExport.folder) return;
+        }
+        
+        const tracks = this.uiController.getBatchSelection(this.playlistManager.tracks);
+        if (tracks.length === 0) {
+            this.uiController.showNotification('No tracks selected for export', 'error');
+            return;
+        }
+        
+        this.uiController.setBatchRunning(true);
+        this.uiController.showNotification(`Exporting ${tracks.length} track${tracks.length > 1 ? 's' : ''}...`);
+        try {
+            const report = await this.batchExporter.run(tracks, {
+                ...this.batchExport,
+                options: { ...this.exportOptions },
+                preset: this.getPresetLabel()
+            });
+            this.reportBatchExport(report);
+        } finally {
+            this.uiController.setBatchRunning(false);
+        }
+    }
+    
+    // Decoded audio, normalization gain and tags of a playlist track, for the batch exporter
+    async prepareBatchTrack(track) {
+        let source;
+        if (track.duration >= STREAMING_MIN_DURATION) {
+            // Left to the renderer, which decodes it straight from the stream
+            source = new StreamedAudio(track.path, track);
+            this.readTrackTags(track, await source.readTagBytes());
+        } else {
+            const arrayBuffer = await this.readTrackFile(track);
+            this.readTrackTags(track, arrayBuffer);
+            source = await this.audioEngine.audioContext.decodeAudioData(arrayBuffer);
+        }
+        
+        return {
+            source,
+            normalizationGain: await this.getNormalizationGain(track, source),
+            tags: await this.getExportTags(track)
+        };
+    }
+    
+    reportBatchExport({ total, done, cancelled, clipped, failures }) {
+        const details = [];
+        if (failures.length > 0) details.push(`${failures.length} failed`);
+        if (cancelled > 0) details.push(`${cancelled} cancelled`);
+        if (clipped > 0) details.push(`${clipped} clipped`);
+        
+        let message = `Exported ${done} of ${total} track${total > 1 ? 's' : ''}`;
+        if (details.length > 0) {
+            message += ` (${details.join(', ')}), see Batch Export for details`;
+        }
+        this.uiController.showNotification(message, failures.length > 0 || clipped > 0 ? 'error' : 'success');
+    }
+    
+    // Name of the selected effect preset, for the {preset} file name field
+    getPresetLabel() {
+        const selector = this.uiController.elements.presetSelector;
+        const option = selector.options[selector.selectedIndex];
+        return option ? option.textContent : '';
     }
     
     saveCurrentPreset() {
@@ -540,7 +1685,43 @@ class DeskSongApp {
         this.uiController.showNotification(`Preset "${name}" saved`);
     }
     
+    readSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('desksongSettings') || '{}');
+        } catch (error) {
+            console.error('Failed to read settings:', error);
+            return {};
+        }
+    }
+    
+    saveCurrentEQPreset() {
+        const name = prompt('Enter EQ curve name:');
+        if (!name) return;
+        
+        const preset = {
+            name: name,
+            gains: [...this.audioEngine.eqGains]
+        };
+        
+        const customEQPresets = JSON.parse(localStorage.getItem('customEQPresets') || '[]');
+        customEQPresets.push(preset);
+        localStorage.setItem('customEQPresets', JSON.stringify(customEQPresets));
+        
+        const option = document.createElement('option');
+        option.value = `custom_${customEQPresets.length - 1}`;
+        option.textContent = name;
+        this.uiController.elements.eqPresetSelector.appendChild(option);
+        this.uiController.elements.eqPresetSelector.value = option.value;
+        
+        this.uiController.showNotification(`EQ curve "${name}" saved`);
+        this.saveSettings();
+    }
+    
     loadSavedSettings() {
+        this.uiController.elements.engineSelector.value = this.engineType;
+        this.uiController.updateBatchSettings(this.batchExport);
+        this.uiController.updateBatchItems(this.playlistManager.tracks);
+        
         const settings = localStorage.getItem('desksongSettings');
         if (!settings) return;
         
@@ -573,6 +1754,80 @@ class DeskSongApp {
             
             this.updateEffectControls();
             
+            // Apply track transitions
+            const crossfade = data.crossfade ?? 0;
+            const gapless = data.gapless ?? true;
+            this.audioEngine.setCrossfadeDuration(crossfade);
+            this.audioEngine.setGaplessMode(gapless);
+            this.uiController.updateTransitionSettings(crossfade, gapless);
+            
+            // Apply shuffle strategy
+            if (SHUFFLE_STRATEGIES[data.shuffleStrategy]) {
+                this.playlistManager.setShuffleStrategy(data.shuffleStrategy);
+                this.uiController.elements.shuffleStrategySelector.value = data.shuffleStrategy;
+            }
+            
+            // Apply loudness normalization mode
+            if (LOUDNESS_MODES[data.loudness]) {
+                this.loudnessMode = data.loudness;
+                this.uiController.elements.loudnessSelector.value = data.loudness;
+            }
+            
+            // Apply export format
+            if (EXPORT_FORMATS[data.exportFormat]) {
+                this.exportFormat = data.exportFormat;
+                this.uiController.elements.exportFormatSelector.value = data.exportFormat;
+            }
+            if (data.exportOptions) {
+                Object.keys(this.exportOptions).forEach(option => {
+                    const value = String(data.exportOptions[option]);
+                    if (this.isValidExportOption(option, value)) {
+                        this.exportOptions[option] = value;
+                    }
+                });
+                this.uiController.updateExportOptions(this.exportOptions);
+            }
+            
+            // Apply A-B loop and region export settings
+            this.abLoop = Boolean(data.abLoop);
+            this.uiController.updateMarkers(null, null, 0, this.abLoop);
+            if (data.regionExport) {
+                const { fadeIn, fadeOut, repeat } = data.regionExport;
+                this.regionExport = {
+                    fadeIn: Math.max(0, Math.min(10, Number(fadeIn) || 0)),
+                    fadeOut: Math.max(0, Math.min(10, Number(fadeOut) || 0)),
+                    repeat: Math.max(1, Math.min(16, Math.round(Number(repeat) || 1)))
+                };
+                this.uiController.updateRegionExportSettings(this.regionExport);
+            }
+            
+            // Apply batch export settings
+            if (data.batchExport) {
+                const { folder, template, format } = data.batchExport;
+                this.batchExport.folder = typeof folder === 'string' ? folder : null;
+                this.batchExport.template = template || DEFAULT_BATCH_TEMPLATE;
+                this.batchExport.format = EXPORT_FORMATS[format] ? format : DEFAULT_EXPORT_FORMAT;
+                this.uiController.updateBatchSettings(this.batchExport);
+            }
+            
+            // Apply EQ curve
+            if (Array.isArray(data.eq)) {
+                data.eq.forEach((gain, index) => this.audioEngine.setEQBand(index, gain));
+                this.uiController.updateEQSliders(data.eq);
+            }
+            
+            // Load custom EQ curves
+            const customEQPresets = JSON.parse(localStorage.getItem('customEQPresets') || '[]');
+            customEQPresets.forEach((preset, index) => {
+                const option = document.createElement('option');
+                option.value = `custom_${index}`;
+                option.textContent = preset.name;
+                this.uiController.elements.eqPresetSelector.appendChild(option);
+            });
+            if (data.eqPreset) {
+                this.uiController.elements.eqPresetSelector.value = data.eqPreset;
+            }
+            
             // Load custom presets
             const customPresets = JSON.parse(localStorage.getItem('customPresets') || '[]');
             customPresets.forEach((preset, index) => {
@@ -596,7 +1851,19 @@ class DeskSongApp {
             delay: this.audioEngine.delayMix * 100,
             chorus: this.audioEngine.chorusMix * 100,
             shuffle: this.playlistManager.shuffleMode,
-            repeat: this.playlistManager.repeatMode
+            shuffleStrategy: this.playlistManager.shuffleStrategy,
+            repeat: this.playlistManager.repeatMode,
+            eq: [...this.audioEngine.eqGains],
+            eqPreset: this.uiController.elements.eqPresetSelector.value,
+            crossfade: this.audioEngine.crossfadeDuration,
+            gapless: this.audioEngine.gaplessMode,
+            loudness: this.loudnessMode,
+            exportFormat: this.exportFormat,
+            exportOptions: { ...this.exportOptions },
+            abLoop: this.abLoop,
+            regionExport: { ...this.regionExport },
+            batchExport: { ...this.batchExport },
+            engine: this.engineType
         };
         
         localStorage.setItem('desksongSettings', JSON.stringify(settings));
@@ -0,0 +1,1176 @@
+// Audio Encoders - WAV, FLAC, MP3 and Ogg Vorbis export, with the source track's tags
+// Encoding runs in export-worker.js; ExportEncoder.encode is the entry point for the page.
+// MP3 (LAME) and Vorbis (libvorbis) come from wasm-media-encoders, WAV and FLAC are written here.
+
+// Formats offered by the export picker
+const EXPORT_FORMATS = {
+    wav: { label: 'WAV (PCM)', extension: 'wav', encoder: 'wav' },
+    flac: { label: 'FLAC (lossless)', extension: 'flac', encoder: 'flac' },
+    'mp3-v0': { label: 'MP3 VBR V0 (~245 kbps)', extension: 'mp3', encoder: 'mp3', options: { vbrQuality: 0 } },
+    'mp3-v2': { label: 'MP3 VBR V2 (~190 kbps)', extension: 'mp3', encoder: 'mp3', options: { vbrQuality: 2 } },
+    'mp3-320': { label: 'MP3 CBR 320 kbps', extension: 'mp3', encoder: 'mp3', options: { bitrate: 320 } },
+    'mp3-192': { label: 'MP3 CBR 192 kbps', extension: 'mp3', encoder: 'mp3', options: { bitrate: 192 } },
+    'ogg-q6': { label: 'Ogg Vorbis q6 (~192 kbps)', extension: 'ogg', encoder: 'ogg', options: { vbrQuality: 6 } },
+    'ogg-q3': { label: 'Ogg Vorbis q3 (~112 kbps)', extension: 'ogg', encoder: 'ogg', options: { vbrQuality: 3 } }
+};
+
+const DEFAULT_EXPORT_FORMAT = 'wav';
+
+// Sample formats for WAV and FLAC (FLAC has no float, it falls back to 24-bit)
+const EXPORT_BIT_DEPTHS = {
+    16: { label: '16-bit', bits: 16, float: false },
+    24: { label: '24-bit', bits: 24, float: false },
+    '32f': { label: '32-bit float', bits: 32, float: true }
+};
+
+const DEFAULT_EXPORT_BIT_DEPTH = '16';
+
+// Target sample rates, 'source' keeps the rendered rate
+const EXPORT_SAMPLE_RATES = {
+    source: 'Same as source',
+    44100: '44.1 kHz',
+    48000: '48 kHz',
+    88200: '88.2 kHz',
+    96000: '96 kHz',
+    192000: '192 kHz'
+};
+
+// Dither used when float samples are reduced to integers
+const DITHER_MODES = {
+    off: 'Off (round)',
+    tpdf: 'TPDF',
+    shaped: 'TPDF, noise-shaped'
+};
+
+const DEFAULT_DITHER_MODE = 'tpdf';
+
+// Rates LAME can write, anything else is resampled to the nearest one
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Written into Vorbis comments and the FLAC/Ogg vendor string
+const ENCODER_VENDOR = 'Desksong';
+
+// Appends bits MSB-first into a growing byte array
+class BitWriter {
+    constructor(capacity = 65536) {
+        this.bytes = new Uint8Array(capacity);
+        this.position = 0; // bytes written
+        this.accumulator = 0;
+        this.bitCount = 0; // bits waiting in the accumulator
+    }
+
+    ensure(extra) {
+        if (this.position + extra <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.position + extra));
+        grown.set(this.bytes.subarray(0, this.position));
+        this.bytes = grown;
+    }
+
+    // value must fit in count bits (count <= 32), negative values are written in two's complement
+    write(value, count) {
+        if (count > 24) {
+            this.write(Math.floor(value / 0x10000) & ((1 << (count - 16)) - 1), count - 16);
+            this.write(value & 0xffff, 16);
+            return;
+        }
+        this.accumulator = (this.accumulator << count) | (value & ((1 << count) - 1));
+        this.bitCount += count;
+        this.ensure(4);
+        while (this.bitCount >= 8) {
+            this.bitCount -= 8;
+            this.bytes[this.position++] = (this.accumulator >>> this.bitCount) & 0xff;
+        }
+        this.accumulator &= (1 << this.bitCount) - 1;
+    }
+
+    // q zero bits followed by a one
+    writeUnary(q) {
+        while (q >= 16) {
+            this.write(0, 16);
+            q -= 16;
+        }
+        this.write(1, q + 1);
+    }
+
+    writeRice(value, parameter) {
+        // Zigzag: 0, -1, 1, -2... -> 0, 1, 2, 3...
+        const folded = value >= 0 ? value * 2 : -value * 2 - 1;
+        const quotient = Math.floor(folded / 2 ** parameter);
+        this.writeUnary(quotient);
+        if (parameter > 0) {
+            this.write(folded - quotient * 2 ** parameter, parameter);
+        }
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.write(0, 8 - this.bitCount);
+        }
+    }
+
+    writeBytes(data) {
+        this.ensure(data.length);
+        this.bytes.set(data, this.position);
+        this.position += data.length;
+    }
+
+    getBytes() {
+        return this.bytes.subarray(0, this.position);
+    }
+}
+
+// Builds byte arrays of mixed little/big-endian fields and strings
+class ByteBuilder {
+    constructor() {
+        this.parts = [];
+        this.length = 0;
+    }
+
+    bytes(data) {
+        this.parts.push(data);
+        this.length += data.length;
+        return this;
+    }
+
+    uint8(value) {
+        return this.bytes(Uint8Array.of(value));
+    }
+
+    uint16le(value) {
+        return this.bytes(Uint8Array.of(value & 0xff, (value >>> 8) & 0xff));
+    }
+
+    uint32le(value) {
+        return this.bytes(Uint8Array.of(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff));
+    }
+
+    uint32be(value) {
+        return this.bytes(Uint8Array.of((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+    }
+
+    latin1(text) {
+        return this.bytes(Uint8Array.from(text, c => c.charCodeAt(0) & 0xff));
+    }
+
+    utf8(text) {
+        return this.bytes(new TextEncoder().encode(text));
+    }
+
+    build() {
+        const output = new Uint8Array(this.length);
+        let offset = 0;
+        this.parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+}
+
+// Float samples to signed integers, optionally dithered. Each channel keeps its own
+// error history, so a channel's samples must be passed in order.
+class Quantizer {
+    constructor(bits, dither = DEFAULT_DITHER_MODE, channelCount = 2) {
+        this.scale = 2 ** (bits - 1);
+        this.min = -this.scale;
+        this.max = this.scale - 1;
+        this.dither = DITHER_MODES[dither] ? dither : 'off';
+        this.errors = Array.from({ length: channelCount }, () => new Float64Array(Quantizer.SHAPING.length));
+    }
+
+    quantize(sample, channel) {
+        let value = sample * this.scale;
+
+        if (this.dither === 'off') {
+            return Math.max(this.min, Math.min(this.max, Math.round(value)));
+        }
+
+        // Error feedback moves the requantization noise up to where hearing is least sensitive
+        const errors = this.errors[channel];
+        if (this.dither === 'shaped') {
+            for (let k = 0; k < errors.length; k++) {
+                value -= Quantizer.SHAPING[k] * errors[k];
+            }
+        }
+
+        // TPDF: two uniform variables, ±1 LSB, decorrelates the error from the signal
+        const output = Math.round(value + Math.random() - Math.random());
+
+        if (this.dither === 'shaped') {
+            errors.copyWithin(1, 0);
+            // Rounding plus dither stays within ±1.5 LSB, clipped samples would feed back far more
+            errors[0] = Math.max(-2, Math.min(2, output - value));
+        }
+
+        return Math.max(this.min, Math.min(this.max, output));
+    }
+}
+
+// Wannamaker's 3-tap F-weighted noise shaping filter
+Quantizer.SHAPING = [1.623, -0.982, 0.109];
+
+// Windowed-sinc (Kaiser) resampler with a polyphase table for the rate ratio
+class Resampler {
+    static resample(input, fromRate, toRate, progressCallback = null) {
+        if (fromRate === toRate) return input;
+
+        const divisor = Resampler.gcd(fromRate, toRate);
+        const up = toRate / divisor;
+        const down = fromRate / divisor;
+        const { table, phases, halfTaps } = Resampler.getTable(fromRate, toRate, up);
+        const taps = halfTaps * 2;
+
+        const length = Math.ceil(input.length * up / down);
+        const output = new Float32Array(length);
+        const last = input.length - 1;
+        const chunk = 65536;
+
+        for (let n = 0; n < length; n++) {
+            // Input position n * down / up, split into a sample index and a phase
+            const position = n * down;
+            let index = Math.floor(position / up);
+            let phase = position - index * up;
+            if (phases !== up) {
+                phase = Math.round(phase / up * phases);
+                if (phase === phases) {
+                    phase = 0;
+                    index++;
+                }
+            }
+
+            const offset = phase * taps;
+            const first = index - halfTaps + 1;
+            let sum = 0;
+            if (first >= 0 && first + taps - 1 <= last) {
+                for (let k = 0; k < taps; k++) {
+                    sum += table[offset + k] * input[first + k];
+                }
+            } else {
+                // Zero padding past the edges
+                for (let k = 0; k < taps; k++) {
+                    const i = first + k;
+                    if (i >= 0 && i <= last) {
+                        sum += table[offset + k] * input[i];
+                    }
+                }
+            }
+            output[n] = sum;
+
+            if (progressCallback && n % chunk === 0) {
+                progressCallback(n / length * 100);
+            }
+        }
+
+        return output;
+    }
+
+    static getTable(fromRate, toRate, up) {
+        const key = `${fromRate}:${toRate}`;
+        if (Resampler.tables[key]) return Resampler.tables[key];
+
+        // Cutoff in cycles per input sample, a little under the lower Nyquist
+        const cutoff = 0.5 * Math.min(1, toRate / fromRate) * Resampler.PASSBAND;
+        const halfTaps = Math.ceil(Resampler.ZERO_CROSSINGS / (2 * cutoff));
+        const taps = halfTaps * 2;
+        const phases = Math.min(up, Resampler.MAX_PHASES);
+        const table = new Float32Array(phases * taps);
+        const beta = Resampler.KAISER_BETA;
+        const normalization = Resampler.besselI0(beta);
+
+        for (let p = 0; p < phases; p++) {
+            const fraction = p / phases;
+            for (let k = 0; k < taps; k++) {
+                // Distance from the output position to input sample index - halfTaps + 1 + k
+                const x = k - halfTaps + 1 - fraction;
+                const ratio = x / halfTaps;
+                if (Math.abs(ratio) >= 1) continue;
+                const argument = 2 * cutoff * x;
+                const sinc = argument === 0 ? 1 : Math.sin(Math.PI * argument) / (Math.PI * argument);
+                const window = Resampler.besselI0(beta * Math.sqrt(1 - ratio * ratio)) / normalization;
+                table[p * taps + k] = 2 * cutoff * sinc * window;
+            }
+        }
+
+        Resampler.tables[key] = { table, phases, halfTaps };
+        return Resampler.tables[key];
+    }
+
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) ** 2;
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    static gcd(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+}
+
+Resampler.PASSBAND = 0.95;
+Resampler.ZERO_CROSSINGS = 32; // per side, at the cutoff frequency
+Resampler.KAISER_BETA = 9; // about 90 dB stopband
+Resampler.MAX_PHASES = 4096; // odd ratios round to the nearest of this many phases
+Resampler.tables = {};
+
+// Tag fields as text, in the order they are written
+function getTagFields(tags) {
+    const number = (value, total) => (value ? (total ? `${value}/${total}` : String(value)) : null);
+    return {
+        title: tags.title || null,
+        artist: tags.artist || null,
+        album: tags.album || null,
+        albumArtist: tags.albumArtist || null,
+        track: number(tags.trackNumber, tags.trackTotal),
+        disc: number(tags.discNumber, tags.discTotal),
+        year: tags.year ? String(tags.year) : null,
+        genre: tags.genre || null
+    };
+}
+
+// Tag blocks for each container
+class TagWriter {
+    // ID3v2.3 with UTF-16 text, the version every player reads
+    static id3v2(tags) {
+        const fields = getTagFields(tags);
+        const frameIds = {
+            title: 'TIT2', artist: 'TPE1', album: 'TALB', albumArtist: 'TPE2',
+            track: 'TRCK', disc: 'TPOS', year: 'TYER', genre: 'TCON'
+        };
+
+        const frames = [];
+        Object.keys(frameIds).forEach(key => {
+            if (!fields[key]) return;
+            const body = new ByteBuilder().uint8(1).bytes(TagWriter.utf16(fields[key])).build();
+            frames.push([frameIds[key], body]);
+        });
+
+        const picture = TagWriter.getPicture(tags);
+        if (picture) {
+            const body = new ByteBuilder()
+                .uint8(0)
+                .latin1(picture.mimeType || 'image/jpeg').uint8(0)
+                .uint8(picture.type ?? 3)
+                .uint8(0) // empty description
+                .bytes(picture.data)
+                .build();
+            frames.push(['APIC', body]);
+        }
+
+        if (frames.length === 0) return new Uint8Array(0);
+
+        const builder = new ByteBuilder();
+        frames.forEach(([id, body]) => {
+            builder.latin1(id).uint32be(body.length).uint16le(0).bytes(body);
+        });
+        const content = builder.build();
+
+        // Tag size is syncsafe, 7 bits per byte
+        const size = content.length;
+        return new ByteBuilder()
+            .latin1('ID3').uint8(3).uint8(0).uint8(0)
+            .bytes(Uint8Array.of((size >>> 21) & 0x7f, (size >>> 14) & 0x7f, (size >>> 7) & 0x7f, size & 0x7f))
+            .bytes(content)
+            .build();
+    }
+
+    static utf16(text) {
+        const output = new Uint8Array(2 + text.length * 2);
+        output[0] = 0xff; // BOM, little-endian
+        output[1] = 0xfe;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            output[2 + i * 2] = code & 0xff;
+            output[3 + i * 2] = code >>> 8;
+        }
+        return output;
+    }
+
+    // Vorbis comment body shared by FLAC (no framing bit) and Ogg Vorbis (with it)
+    static vorbisComment(tags, { framing = false, prefix = null } = {}) {
+        const fields = getTagFields(tags);
+        const names = {
+            title: 'TITLE', artist: 'ARTIST', album: 'ALBUM', albumArtist: 'ALBUMARTIST',
+            track: 'TRACKNUMBER', disc: 'DISCNUMBER', year: 'DATE', genre: 'GENRE'
+        };
+
+        const comments = [];
+        Object.keys(names).forEach(key => {
+            if (fields[key]) {
+                comments.push(`${names[key]}=${fields[key]}`);
+            }
+        });
+
+        const picture = TagWriter.getPicture(tags);
+        if (picture && framing) {
+            // Ogg has no picture block, the FLAC one goes in base64
+            comments.push(`METADATA_BLOCK_PICTURE=${TagWriter.base64(TagWriter.flacPicture(picture))}`);
+        }
+
+        const builder = new ByteBuilder();
+        if (prefix) {
+            builder.bytes(prefix);
+        }
+        const vendor = new TextEncoder().encode(ENCODER_VENDOR);
+        builder.uint32le(vendor.length).bytes(vendor).uint32le(comments.length);
+        comments.forEach(comment => {
+            const bytes = new TextEncoder().encode(comment);
+            builder.uint32le(bytes.length).bytes(bytes);
+        });
+        if (framing) {
+            builder.uint8(1);
+        }
+        return builder.build();
+    }
+
+    // FLAC PICTURE block body (also the METADATA_BLOCK_PICTURE payload)
+    static flacPicture(picture) {
+        const mimeType = picture.mimeType || 'image/jpeg';
+        return new ByteBuilder()
+            .bytes(TagWriter.uint32be(picture.type ?? 3))
+            .bytes(TagWriter.uint32be(mimeType.length)).latin1(mimeType)
+            .bytes(TagWriter.uint32be(0)) // description
+            .bytes(new Uint8Array(16)) // width, height, depth, colours: unknown
+            .bytes(TagWriter.uint32be(picture.data.length))
+            .bytes(picture.data)
+            .build();
+    }
+
+    // LIST/INFO chunk for WAV
+    static riffInfo(tags) {
+        const fields = getTagFields(tags);
+        const ids = { title: 'INAM', artist: 'IART', album: 'IPRD', track: 'ITRK', year: 'ICRD', genre: 'IGNR' };
+
+        const builder = new ByteBuilder().latin1('INFO');
+        let count = 0;
+        Object.keys(ids).forEach(key => {
+            if (!fields[key]) return;
+            const text = new TextEncoder().encode(fields[key]);
+            const size = text.length + 1; // NUL terminated
+            builder.latin1(ids[key]).uint32le(size).bytes(text).uint8(0);
+            if (size & 1) builder.uint8(0); // chunks are word aligned
+            count++;
+        });
+        if (count === 0) return new Uint8Array(0);
+
+        const body = builder.build();
+        return new ByteBuilder().latin1('LIST').uint32le(body.length).bytes(body).build();
+    }
+
+    static getPicture(tags) {
+        const pictures = tags.pictures || [];
+        return pictures.find(picture => picture.type === 3) || pictures[0] || null;
+    }
+
+    static uint32be(value) {
+        return Uint8Array.of((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    }
+
+    static base64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+}
+
+// PCM or IEEE float WAV with a LIST/INFO chunk for tags
+function encodeWav(channels, sampleRate, { bitDepth = DEFAULT_EXPORT_BIT_DEPTH, dither = DEFAULT_DITHER_MODE, tags = {} } = {}) {
+    const sampleFormat = EXPORT_BIT_DEPTHS[bitDepth] || EXPORT_BIT_DEPTHS[DEFAULT_EXPORT_BIT_DEPTH];
+    const bytesPerSample = sampleFormat.bits / 8;
+    const channelCount = channels.length;
+    const frames = channels[0].length;
+    const dataSize = frames * channelCount * bytesPerSample;
+    const padding = dataSize & 1; // chunks are word aligned, odd 24-bit data gets a zero byte
+    const info = TagWriter.riffInfo(tags);
+
+    // Non-PCM formats need a fact chunk with the frame count
+    const fact = sampleFormat.float
+        ? new ByteBuilder().latin1('fact').uint32le(4).uint32le(frames).build()
+        : new Uint8Array(0);
+    const headerSize = 44 + fact.length;
+
+    const output = new Uint8Array(headerSize + dataSize + padding + info.length);
+    const view = new DataView(output.buffer);
+    const header = new ByteBuilder()
+        .latin1('RIFF').uint32le(output.length - 8).latin1('WAVE')
+        .latin1('fmt ').uint32le(16)
+        .uint16le(sampleFormat.float ? 3 : 1) // IEEE float or PCM
+        .uint16le(channelCount)
+        .uint32le(sampleRate)
+        .uint32le(sampleRate * bytesPerSample * channelCount) // byte rate
+        .uint16le(channelCount * bytesPerSample) // block align
+        .uint16le(sampleFormat.bits)
+        .bytes(fact)
+        .latin1('data').uint32le(dataSize)
+        .build();
+    output.set(header, 0);
+
+    const quantizer = sampleFormat.float ? null : new Quantizer(sampleFormat.bits, dither, channelCount);
+    let position = headerSize;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channelCount; c++) {
+            if (sampleFormat.float) {
+                view.setFloat32(position, channels[c][i], true);
+            } else if (sampleFormat.bits === 24) {
+                const value = quantizer.quantize(channels[c][i], c);
+                output[position] = value & 0xff;
+                output[position + 1] = (value >> 8) & 0xff;
+                output[position + 2] = (value >> 16) & 0xff;
+            } else {
+                view.setInt16(position, quantizer.quantize(channels[c][i], c), true);
+            }
+            position += bytesPerSample;
+        }
+    }
+    output.set(info, position + padding);
+
+    return output;
+}
+
+// FLAC with fixed linear predictors and partitioned Rice coding, the same
+// subframe types `flac -0` to `-2` use. Channels are coded independently.
+class FlacEncoder {
+    static encode(channels, sampleRate, { bitsPerSample = 16, dither = DEFAULT_DITHER_MODE, tags = {}, progressCallback = null } = {}) {
+        const channelCount = channels.length;
+        const quantizer = new Quantizer(bitsPerSample, dither, channelCount);
+        const totalFrames = channels[0].length;
+        const blockSize = FlacEncoder.BLOCK_SIZE;
+        const writer = new BitWriter(Math.max(65536, totalFrames * channelCount * 2));
+        let minFrameSize = Infinity;
+        let maxFrameSize = 0;
+
+        const block = Array.from({ length: channelCount }, () => new Int32Array(blockSize));
+        let frameNumber = 0;
+        for (let start = 0; start < totalFrames; start += blockSize) {
+            const size = Math.min(blockSize, totalFrames - start);
+            for (let c = 0; c < channelCount; c++) {
+                const samples = channels[c];
+                const target = block[c];
+                for (let i = 0; i < size; i++) {
+                    target[i] = quantizer.quantize(samples[start + i], c);
+                }
+            }
+
+            const frameStart = writer.position;
+            FlacEncoder.writeFrame(writer, block, size, frameNumber++, sampleRate, bitsPerSample);
+            const frameSize = writer.position - frameStart;
+            minFrameSize = Math.min(minFrameSize, frameSize);
+            maxFrameSize = Math.max(maxFrameSize, frameSize);
+
+            if (progressCallback && frameNumber % 64 === 0) {
+                progressCallback((start + size) / totalFrames * 100);
+            }
+        }
+
+        // STREAMINFO
+        const info = new BitWriter(34);
+        const fullBlocks = totalFrames >= blockSize;
+        info.write(fullBlocks ? blockSize : totalFrames, 16);
+        info.write(fullBlocks ? blockSize : totalFrames, 16);
+        info.write(isFinite(minFrameSize) ? minFrameSize : 0, 24);
+        info.write(maxFrameSize, 24);
+        info.write(sampleRate, 20);
+        info.write(channelCount - 1, 3);
+        info.write(bitsPerSample - 1, 5);
+        info.write(Math.floor(totalFrames / 0x100000000), 4);
+        info.write(totalFrames >>> 0, 32);
+        info.writeBytes(new Uint8Array(16)); // MD5 left unset
+
+        const blocks = [[0, info.getBytes()], [4, TagWriter.vorbisComment(tags)]];
+        const picture = TagWriter.getPicture(tags);
+        if (picture) {
+            blocks.push([6, TagWriter.flacPicture(picture)]);
+        }
+
+        const output = new ByteBuilder().latin1('fLaC');
+        blocks.forEach(([type, body], index) => {
+            const last = index === blocks.length - 1 ? 0x80 : 0;
+            output.uint8(last | type)
+                .bytes(Uint8Array.of((body.length >>> 16) & 0xff, (body.length >>> 8) & 0xff, body.length & 0xff))
+                .bytes(body);
+        });
+        output.bytes(writer.getBytes());
+
+        return output.build();
+    }
+
+    static writeFrame(writer, block, size, frameNumber, sampleRate, bitsPerSample) {
+        const start = writer.position;
+
+        // Header: sync, fixed block size, block size and sample rate codes
+        writer.write(0xfff8, 16);
+        const sizeCode = size === FlacEncoder.BLOCK_SIZE ? 12 : 7; // 12 = 4096, 7 = 16-bit at end
+        const rateCode = FlacEncoder.SAMPLE_RATE_CODES[sampleRate] ?? 0; // 0 = from STREAMINFO
+        writer.write(sizeCode, 4);
+        writer.write(rateCode, 4);
+        writer.write(block.length - 1, 4); // independent channels
+        writer.write(FlacEncoder.SAMPLE_SIZE_CODES[bitsPerSample] ?? 0, 3);
+        writer.write(0, 1);
+        FlacEncoder.writeUtf8Number(writer, frameNumber);
+        if (sizeCode === 7) {
+            writer.write(size - 1, 16);
+        }
+        writer.write(FlacEncoder.crc8(writer.bytes, start, writer.position), 8);
+
+        block.forEach(samples => FlacEncoder.writeSubframe(writer, samples, size, bitsPerSample));
+
+        writer.alignToByte();
+        writer.write(FlacEncoder.crc16(writer.bytes, start, writer.position), 16);
+    }
+
+    static writeSubframe(writer, samples, size, bitsPerSample) {
+        let constant = true;
+        for (let i = 1; i < size && constant; i++) {
+            constant = samples[i] === samples[0];
+        }
+        if (constant) {
+            writer.write(0, 8); // CONSTANT
+            writer.write(samples[0], bitsPerSample);
+            return;
+        }
+
+        // 24-bit residuals can need Rice parameters above 14, those take 5 bits (RICE2)
+        const method = bitsPerSample > 16 ? 1 : 0;
+        const parameterBits = method ? 5 : 4;
+
+        // Pick the fixed predictor order with the smallest residual
+        let best = null;
+        for (let order = 0; order <= Math.min(4, size - 1); order++) {
+            const residual = FlacEncoder.fixedResidual(samples, size, order);
+            const coding = FlacEncoder.chooseRiceCoding(residual, size, order, parameterBits);
+            const bits = order * bitsPerSample + coding.bits;
+            if (!best || bits < best.bits) {
+                best = { order, residual, coding, bits };
+            }
+        }
+
+        if (!best.coding.valid || best.bits >= size * bitsPerSample) {
+            writer.write(0x02, 8); // VERBATIM
+            for (let i = 0; i < size; i++) {
+                writer.write(samples[i], bitsPerSample);
+            }
+            return;
+        }
+
+        writer.write((0x08 | best.order) << 1, 8); // FIXED, no wasted bits
+        for (let i = 0; i < best.order; i++) {
+            writer.write(samples[i], bitsPerSample);
+        }
+
+        const { partitionOrder, parameters } = best.coding;
+        writer.write(method, 2);
+        writer.write(partitionOrder, 4);
+        const partitionSize = size >> partitionOrder;
+        let index = best.order;
+        parameters.forEach((parameter, partition) => {
+            writer.write(parameter, parameterBits);
+            const end = (partition + 1) * partitionSize;
+            for (; index < end; index++) {
+                writer.writeRice(best.residual[index], parameter);
+            }
+        });
+    }
+
+    static fixedResidual(samples, size, order) {
+        const residual = new Float64Array(size);
+        for (let i = order; i < size; i++) {
+            switch (order) {
+                case 0: residual[i] = samples[i]; break;
+                case 1: residual[i] = samples[i] - samples[i - 1]; break;
+                case 2: residual[i] = samples[i] - 2 * samples[i - 1] + samples[i - 2]; break;
+                case 3: residual[i] = samples[i] - 3 * samples[i - 1] + 3 * samples[i - 2] - samples[i - 3]; break;
+                default: residual[i] = samples[i] - 4 * samples[i - 1] + 6 * samples[i - 2] - 4 * samples[i - 3] + samples[i - 4];
+            }
+        }
+        return residual;
+    }
+
+    // Best partition order and per-partition Rice parameters for a residual
+    static chooseRiceCoding(residual, size, predictorOrder, parameterBits = 4) {
+        // The all-ones parameter is the escape code
+        const maxParameter = (1 << parameterBits) - 2;
+        let best = null;
+        for (let partitionOrder = 0; partitionOrder <= 8; partitionOrder++) {
+            const partitions = 1 << partitionOrder;
+            const partitionSize = size >> partitionOrder;
+            if (size % partitions !== 0 || partitionSize <= predictorOrder) break;
+
+            let bits = 6; // coding method and partition order
+            let valid = true;
+            const parameters = [];
+            for (let p = 0; p < partitions; p++) {
+                const start = p === 0 ? predictorOrder : p * partitionSize;
+                const end = (p + 1) * partitionSize;
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    const value = residual[i];
+                    sum += value >= 0 ? value * 2 : -value * 2 - 1;
+                }
+                const count = end - start;
+                const { parameter, cost } = FlacEncoder.riceParameter(sum, count);
+                if (parameter > maxParameter) valid = false;
+                parameters.push(parameter);
+                bits += parameterBits + cost;
+            }
+
+            if (!best || bits < best.bits) {
+                best = { partitionOrder, parameters, bits, valid };
+            }
+        }
+        return best;
+    }
+
+    static riceParameter(sum, count) {
+        // Estimated cost of n values with parameter k: n * (k + 1) + sum / 2^k
+        if (count === 0) return { parameter: 0, cost: 0 };
+        const mean = sum / count;
+        let parameter = mean > 1 ? Math.floor(Math.log2(mean)) : 0;
+        let cost = Infinity;
+        for (let k = Math.max(0, parameter - 1); k <= parameter + 1; k++) {
+            const kCost = count * (k + 1) + Math.floor(sum / 2 ** k);
+            if (kCost < cost) {
+                cost = kCost;
+                parameter = k;
+            }
+        }
+        return { parameter, cost };
+    }
+
+    static writeUtf8Number(writer, value) {
+        if (value < 0x80) {
+            writer.write(value, 8);
+            return;
+        }
+        // Like UTF-8: a length prefix in the first byte, 6 bits per continuation byte
+        let continuation = 1;
+        while (value >= 2 ** (5 * continuation + 6)) continuation++;
+        const firstBits = 6 - continuation;
+        const prefix = (0xff << (7 - continuation)) & 0xff;
+        writer.write(prefix | (Math.floor(value / 2 ** (6 * continuation)) & ((1 << firstBits) - 1)), 8);
+        for (let i = continuation - 1; i >= 0; i--) {
+            writer.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+        }
+    }
+
+    static crc8(bytes, start, end) {
+        const table = FlacEncoder.getCrcTable('crc8', 8, 0x07);
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc = table[crc ^ bytes[i]];
+        }
+        return crc;
+    }
+
+    static crc16(bytes, start, end) {
+        const table = FlacEncoder.getCrcTable('crc16', 16, 0x8005);
+        let crc = 0;
+        for (let i = start; i < end; i++) {
+            crc = ((crc << 8) ^ table[(crc >>> 8) ^ bytes[i]]) & 0xffff;
+        }
+        return crc;
+    }
+
+    static getCrcTable(name, width, polynomial) {
+        if (!FlacEncoder.crcTables[name]) {
+            const top = 1 << (width - 1);
+            const mask = (1 << width) - 1;
+            FlacEncoder.crcTables[name] = Uint16Array.from({ length: 256 }, (_, byte) => {
+                let crc = byte << (width - 8);
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & top ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+                }
+                return crc;
+            });
+        }
+        return FlacEncoder.crcTables[name];
+    }
+}
+
+FlacEncoder.BLOCK_SIZE = 4096;
+FlacEncoder.SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+FlacEncoder.SAMPLE_SIZE_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+FlacEncoder.crcTables = {};
+
+// Post-processing of the wasm encoders' output
+class StreamTagger {
+    // LAME in wasm-media-encoders writes bare frames. Prepend a Xing/Info frame (frame
+    // count, byte count, seek table) so players show the right length and can seek VBR.
+    static addXingFrame(data) {
+        const frames = [];
+        for (let offset = 0; offset + 4 <= data.length;) {
+            const frame = StreamTagger.parseMpegHeader(data, offset);
+            if (!frame) break;
+            frames.push(offset);
+            offset += frame.length;
+        }
+        if (frames.length === 0) return data;
+
+        const first = StreamTagger.parseMpegHeader(data, 0);
+        const vbr = frames.some(offset => data[offset + 2] >> 4 !== data[2] >> 4);
+
+        // Reuse the first header with a bitrate big enough to hold the tag
+        const header = data.slice(0, 4);
+        header[2] &= ~0x02; // no padding
+        let xing = null;
+        for (let index = 1; index < 15; index++) {
+            header[2] = (header[2] & 0x0f) | (index << 4);
+            xing = StreamTagger.parseMpegHeader(header, 0);
+            if (xing && xing.length >= 200) break;
+        }
+
+        const frame = new Uint8Array(xing.length);
+        frame.set(header, 0);
+        const sideInfo = first.version === 1 ? (first.channels === 1 ? 17 : 32) : (first.channels === 1 ? 9 : 17);
+        const tagStart = 4 + sideInfo;
+        const totalBytes = data.length + frame.length;
+
+        const tag = new ByteBuilder()
+            .latin1(vbr ? 'Xing' : 'Info')
+            .uint32be(0x0f) // frames, bytes, TOC, quality
+            .uint32be(frames.length)
+            .uint32be(totalBytes);
+        // TOC: file position (in 1/256ths) at each percent of the duration
+        const toc = new Uint8Array(100);
+        for (let i = 0; i < 100; i++) {
+            const offset = frames[Math.floor(i / 100 * frames.length)] + frame.length;
+            toc[i] = Math.min(255, Math.floor(offset / totalBytes * 256));
+        }
+        tag.bytes(toc).uint32be(0);
+        frame.set(tag.build(), tagStart);
+
+        const output = new Uint8Array(totalBytes);
+        output.set(frame, 0);
+        output.set(data, frame.length);
+        return output;
+    }
+
+    static parseMpegHeader(data, offset) {
+        if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) return null;
+        const versionBits = (data[offset + 1] >> 3) & 0x03;
+        const layerBits = (data[offset + 1] >> 1) & 0x03;
+        const bitrateIndex = data[offset + 2] >> 4;
+        const rateIndex = (data[offset + 2] >> 2) & 0x03;
+        // LAME only ever writes Layer III
+        if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            return null;
+        }
+
+        const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+        const bitrates = version === 1
+            ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+            : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+        const sampleRate = [44100, 48000, 32000][rateIndex] / (version === 1 ? 1 : version === 2 ? 2 : 4);
+        const padding = (data[offset + 2] >> 1) & 0x01;
+        const samples = version === 1 ? 1152 : 576;
+        return {
+            version,
+            channels: (data[offset + 3] >> 6) === 3 ? 1 : 2,
+            length: Math.floor(samples / 8 * bitrates[bitrateIndex] * 1000 / sampleRate) + padding
+        };
+    }
+
+    // Replace the comment packet of an Ogg Vorbis stream. The header packets end
+    // on their own page, so later pages only need renumbering and a new CRC.
+    static setOggComments(data, tags) {
+        const pages = [];
+        for (let offset = 0; offset + 27 <= data.length;) {
+            if (data[offset] !== 0x4f || data[offset + 1] !== 0x67 || data[offset + 2] !== 0x67 || data[offset + 3] !== 0x53) {
+                return data; // not an Ogg stream we understand, leave it as is
+            }
+            const segments = data[offset + 26];
+            let bodySize = 0;
+            for (let i = 0; i < segments; i++) {
+                bodySize += data[offset + 27 + i];
+            }
+            const size = 27 + segments + bodySize;
+            pages.push({ offset, size, segments, headerType: data[offset + 5] });
+            offset += size;
+        }
+
+        // Collect the three header packets (identification, comment, setup)
+        const packets = [];
+        let current = [];
+        let headerPages = 0;
+        for (const page of pages) {
+            headerPages++;
+            let bodyOffset = page.offset + 27 + page.segments;
+            for (let i = 0; i < page.segments; i++) {
+                const lacing = data[page.offset + 27 + i];
+                current.push(data.subarray(bodyOffset, bodyOffset + lacing));
+                bodyOffset += lacing;
+                if (lacing < 255) {
+                    packets.push(StreamTagger.concat(current));
+                    current = [];
+                }
+            }
+            if (packets.length >= 3) break;
+        }
+        if (packets.length !== 3 || current.length > 0) return data;
+
+        const comment = TagWriter.vorbisComment(tags, {
+            framing: true,
+            prefix: Uint8Array.of(0x03, 0x76, 0x6f, 0x72, 0x62, 0x69, 0x73) // \x03vorbis
+        });
+
+        // Identification packet keeps its own page, comment and setup share the next ones
+        const serial = data.subarray(pages[0].offset + 14, pages[0].offset + 18);
+        const output = [data.subarray(pages[0].offset, pages[0].offset + pages[0].size)];
+        let sequence = 1;
+        StreamTagger.paginate([comment, packets[2]]).forEach(({ lacing, body, continued }) => {
+            output.push(StreamTagger.buildPage(continued ? 0x01 : 0, new Uint8Array(8), serial, sequence++, lacing, body));
+        });
+
+        for (let i = headerPages; i < pages.length; i++) {
+            const page = data.slice(pages[i].offset, pages[i].offset + pages[i].size);
+            StreamTagger.writeUint32le(page, 18, sequence++);
+            StreamTagger.writeUint32le(page, 22, 0);
+            StreamTagger.writeUint32le(page, 22, StreamTagger.oggCrc(page));
+            output.push(page);
+        }
+
+        return StreamTagger.concat(output);
+    }
+
+    // Split packets into page-sized lacing tables (at most 255 segments per page)
+    static paginate(packets) {
+        const segments = [];
+        packets.forEach(packet => {
+            // A packet ends with a segment shorter than 255 bytes, possibly empty
+            for (let offset = 0; ; offset += 255) {
+                const size = Math.min(255, packet.length - offset);
+                segments.push(packet.subarray(offset, offset + size));
+                if (size < 255) break;
+            }
+        });
+
+        const pages = [];
+        for (let i = 0; i < segments.length; i += 255) {
+            const pageSegments = segments.slice(i, i + 255);
+            pages.push({
+                lacing: Uint8Array.from(pageSegments, segment => segment.length),
+                body: StreamTagger.concat(pageSegments),
+                // Pages that start mid-packet are continuations
+                continued: i > 0 && segments[i - 1].length === 255
+            });
+        }
+        return pages;
+    }
+
+    static buildPage(headerType, granule, serial, sequence, lacing, body) {
+        const page = new Uint8Array(27 + lacing.length + body.length);
+        page.set([0x4f, 0x67, 0x67, 0x53, 0, headerType], 0);
+        page.set(granule, 6);
+        page.set(serial, 14);
+        StreamTagger.writeUint32le(page, 18, sequence);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+        page.set(body, 27 + lacing.length);
+        StreamTagger.writeUint32le(page, 22, StreamTagger.oggCrc(page));
+        return page;
+    }
+
+    static oggCrc(page) {
+        if (!StreamTagger.oggCrcTable) {
+            StreamTagger.oggCrcTable = Uint32Array.from({ length: 256 }, (_, byte) => {
+                let crc = byte << 24;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+                }
+                return crc >>> 0;
+            });
+        }
+        let crc = 0;
+        for (let i = 0; i < page.length; i++) {
+            crc = ((crc << 8) ^ StreamTagger.oggCrcTable[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+        }
+        return crc;
+    }
+
+    static writeUint32le(bytes, offset, value) {
+        bytes[offset] = value & 0xff;
+        bytes[offset + 1] = (value >>> 8) & 0xff;
+        bytes[offset + 2] = (value >>> 16) & 0xff;
+        bytes[offset + 3] = (value >>> 24) & 0xff;
+    }
+
+    static concat(parts) {
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+}
+
+StreamTagger.oggCrcTable = null;
+
+class ExportEncoder {
+    static getFormat(key) {
+        return EXPORT_FORMATS[key] || EXPORT_FORMATS[DEFAULT_EXPORT_FORMAT];
+    }
+
+    // The picked format, unless the save dialog got a file name with another extension
+    static getFormatForPath(filePath, preferred = DEFAULT_EXPORT_FORMAT) {
+        const extension = filePath.slice(filePath.lastIndexOf('.') + 1).toLowerCase();
+        if (ExportEncoder.getFormat(preferred).extension === extension) {
+            return EXPORT_FORMATS[preferred] ? preferred : DEFAULT_EXPORT_FORMAT;
+        }
+        const match = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].extension === extension);
+        return match || preferred;
+    }
+
+    // Rate the file is written at: the chosen one, or what the format closest supports
+    static getTargetSampleRate(format, sourceRate, preferred = 'source') {
+        const rate = preferred !== 'source' && EXPORT_SAMPLE_RATES[preferred] ? Number(preferred) : sourceRate;
+        if (format.encoder !== 'mp3' || MP3_SAMPLE_RATES.includes(rate)) {
+            return rate;
+        }
+        // Highest MP3 rate that divides evenly (88.2k -> 44.1k, 96k -> 48k)
+        const divisor = MP3_SAMPLE_RATES.slice().reverse().find(candidate => rate % candidate === 0);
+        return divisor || 48000;
+    }
+
+    // Encode an AudioBuffer off the main thread, resolves with the file bytes.
+    // options: { tags, bitDepth, sampleRate, dither }, see the EXPORT_* tables.
+    // Aborting signal stops the worker and rejects with an AbortError.
+    static encode(audioBuffer, formatKey, options = {}, progressCallback = null, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            // Copies, so the buffers can be transferred to the worker
+            channels.push(audioBuffer.getChannelData(c).slice());
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/export-worker.js');
+            const onAbort = () => finish(() => reject(signal.reason));
+            const finish = (settle) => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', onAbort);
+                settle();
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (progressCallback) {
+                        progressCallback(message.progress);
+                    }
+                    return;
+                }
+                if (message.type === 'done') {
+                    finish(() => resolve(message.data));
+                } else {
+                    finish(() => reject(new Error(message.error)));
+                }
+            };
+            worker.onerror = (event) => {
+                finish(() => reject(new Error(event.message || 'Encoder worker failed')));
+            };
+            worker.postMessage({
+                format: formatKey,
+                sampleRate: audioBuffer.sampleRate,
+                channels,
+                options
+            }, channels.map(channel => channel.buffer));
+        });
+    }
+
+    // Worker side. loadWasmEncoders resolves with the wasm-media-encoders module.
+    static async encodeChannels(channels, sampleRate, formatKey, options, progressCallback, loadWasmEncoders) {
+        const format = ExportEncoder.getFormat(formatKey);
+        const { tags = {}, bitDepth = DEFAULT_EXPORT_BIT_DEPTH, dither = DEFAULT_DITHER_MODE } = options;
+
+        // Resampling takes the first half of the progress bar when it runs
+        const targetRate = ExportEncoder.getTargetSampleRate(format, sampleRate, options.sampleRate);
+        const resampling = targetRate !== sampleRate;
+        const stage = (from, to) => (progress) => {
+            if (progressCallback) {
+                progressCallback(from + progress * (to - from) / 100);
+            }
+        };
+
+        if (resampling) {
+            const resampleProgress = stage(0, 50);
+            channels = channels.map((channel, c) => Resampler.resample(
+                channel, sampleRate, targetRate,
+                progress => resampleProgress((c + progress / 100) / channels.length * 100)
+            ));
+            sampleRate = targetRate;
+        }
+        const encodeProgress = resampling ? stage(50, 100) : stage(0, 100);
+
+        if (format.encoder === 'wav') {
+            return encodeWav(channels, sampleRate, { bitDepth, dither, tags });
+        }
+        if (format.encoder === 'flac') {
+            const sampleFormat = EXPORT_BIT_DEPTHS[bitDepth] || EXPORT_BIT_DEPTHS[DEFAULT_EXPORT_BIT_DEPTH];
+            return FlacEncoder.encode(channels, sampleRate, {
+                bitsPerSample: sampleFormat.float ? 24 : sampleFormat.bits,
+                dither,
+                tags,
+                progressCallback: encodeProgress
+            });
+        }
+
+        // LAME and libvorbis take mono or stereo
+        const input = channels.slice(0, 2);
+        const { createMp3Encoder, createOggEncoder } = await loadWasmEncoders();
+        const encoder = format.encoder === 'mp3' ? await createMp3Encoder() : await createOggEncoder();
+        encoder.configure({ sampleRate, channels: input.length, ...format.options });
+
+        // Output buffers belong to the encoder and must be copied out
+        const parts = [];
+        const chunk = sampleRate; // one second at a time
+        const length = input[0].length;
+        for (let start = 0; start < length; start += chunk) {
+            parts.push(encoder.encode(input.map(channel => channel.subarray(start, start + chunk))).slice());
+            encodeProgress(Math.min(start + chunk, length) / length * 100);
+        }
+        parts.push(encoder.finalize().slice());
+        const data = StreamTagger.concat(parts);
+
+        if (format.encoder === 'mp3') {
+            return StreamTagger.concat([TagWriter.id3v2(tags), StreamTagger.addXingFrame(data)]);
+        }
+        return StreamTagger.setOggComments(data, tags);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ExportEncoder,
+        FlacEncoder,
+        StreamTagger,
+        TagWriter,
+        Quantizer,
+        Resampler,
+        EXPORT_FORMATS,
+        EXPORT_BIT_DEPTHS,
+        EXPORT_SAMPLE_RATES,
+        DITHER_MODES,
+        DEFAULT_EXPORT_FORMAT,
+        DEFAULT_EXPORT_BIT_DEPTH,
+        DEFAULT_DITHER_MODE,
+        encodeWav
+    };
+}
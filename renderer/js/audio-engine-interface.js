@@ -0,0 +1,525 @@
+// Audio Engine Interface - Contract shared by AudioEngine and AdvancedAudioEngine
+// DeskSongApp only talks to the engine through these members, so either engine can be selected
+
+const AUDIO_ENGINE_INTERFACE = {
+    // State read by the app (mix values are 0-1, speed is a rate, pitch in semitones)
+    properties: [
+        'ready', // Promise settled once the audio context is set up, rejected if it failed
+        'audioBuffer',
+        'isPlaying',
+        'playbackRate',
+        'pitchShift',
+        'reverbMix',
+        'delayMix',
+        'chorusMix',
+        'eqGains',
+        'nextAudioBuffer',
+        'normalizationGain'
+    ],
+    methods: [
+        // Playback (loadAudioFile and preloadNextTrack take an ArrayBuffer or a StreamedAudio)
+        'loadAudioFile',
+        'play',
+        'pause',
+        'stop',
+        'seek',
+        'getCurrentTime',
+        'getDuration',
+        'getEffectiveDuration',
+        // A-B loop ({ start, end } in seconds, or null)
+        'setLoopRegion',
+        // Track transitions (gapless and crossfade)
+        'preloadNextTrack',
+        'clearNextTrack',
+        'promoteNextTrack',
+        'setCrossfadeDuration',
+        'setGaplessMode',
+        // Loudness normalization (linear gain per track)
+        'setNormalizationGain',
+        'setNextNormalizationGain',
+        // Effects (slider values 0-100 unless noted)
+        'setVolume',
+        'setPlaybackRate',
+        'setPitchShift',
+        'applyPlaybackRate',
+        'setReverbMix',
+        'setBassBoost',
+        'setCompressor',
+        'setDelayMix',
+        'setChorusMix',
+        'setEQBand',
+        'setEQPreset',
+        'applyPreset',
+        // Export
+        'exportProcessedAudio',
+        // Analysers
+        'getFrequencyData',
+        'getWaveformData'
+    ]
+};
+
+// Playback, track transitions and the A-B loop, the same in every engine. A track is
+// { source, gain, level }: currentTrack plays, nextSource is scheduled, fadingTrack fades out.
+// Engines provide getTrackOutput (where track gains connect), describeTrack, stop, seek,
+// getCurrentTime, shouldTimeStretch and updateActualPlaybackRate.
+const SHARED_ENGINE_METHODS = {
+    async preloadNextTrack(arrayBuffer) {
+        // Decode the upcoming track ahead of time for gapless playback and crossfades,
+        // a StreamedAudio is already open and only needs scheduling
+        try {
+            const buffer = arrayBuffer instanceof StreamedAudio
+                ? arrayBuffer
+                : await this.audioContext.decodeAudioData(arrayBuffer);
+            this.cancelNextSource();
+            StreamedAudio.release(this.nextAudioBuffer);
+            this.nextAudioBuffer = buffer;
+            this.nextNormalizationGain = 1.0;
+            this.prepareGaplessTransition();
+            return true;
+        } catch (error) {
+            console.error('Failed to preload next track:', error);
+            return false;
+        }
+    },
+
+    clearNextTrack() {
+        this.cancelNextSource();
+        StreamedAudio.release(this.nextAudioBuffer);
+        this.nextAudioBuffer = null;
+        this.nextNormalizationGain = 1.0;
+    },
+
+    promoteNextTrack() {
+        // Make the preloaded track current without decoding it again
+        if (!this.nextAudioBuffer) return null;
+
+        const buffer = this.nextAudioBuffer;
+        this.stop();
+        StreamedAudio.release(this.audioBuffer);
+        this.audioBuffer = buffer;
+        this.normalizationGain = this.nextNormalizationGain;
+        this.nextAudioBuffer = null;
+        this.nextNormalizationGain = 1.0;
+
+        return this.describeTrack(buffer);
+    },
+
+    setCrossfadeDuration(seconds) {
+        this.crossfadeDuration = Math.max(0, Math.min(12, Number(seconds) || 0));
+        this.prepareGaplessTransition();
+    },
+
+    setGaplessMode(enabled) {
+        this.gaplessMode = !!enabled;
+        this.prepareGaplessTransition();
+    },
+
+    setLoopRegion(region) {
+        const next = region && region.end > region.start ? { start: region.start, end: region.end } : null;
+        const current = this.loopRegion;
+        if (next === current || (next && current && next.start === current.start && next.end === current.end)) {
+            return;
+        }
+
+        // Position under the old loop, before it changes
+        const time = this.getCurrentTime();
+        this.loopRegion = next;
+        if (!this.isPlaying || !this.sourceNode) return;
+
+        if (next && time >= next.end) {
+            this.seek(next.start);
+            return;
+        }
+
+        // The playing source picks the loop up where it is
+        this.pauseTime = time;
+        this.startTime = this.audioContext.currentTime;
+        this.applyLoopRegion(this.sourceNode);
+        this.prepareGaplessTransition();
+    },
+
+    applyLoopRegion(source) {
+        const region = this.loopRegion;
+        if (source.setLoop) {
+            // Stretch and stream nodes loop themselves
+            source.setLoop(region);
+            return;
+        }
+
+        source.loop = region !== null;
+        if (region) {
+            source.loopStart = region.start;
+            source.loopEnd = region.end;
+        }
+    },
+
+    wrapLoopTime(time) {
+        // A buffer source in a loop jumps back to A each time it reaches B
+        const region = this.loopRegion;
+        if (!region || time < region.end) return time;
+        return region.start + (time - region.start) % (region.end - region.start);
+    },
+
+    setNextNormalizationGain(gain) {
+        this.nextNormalizationGain = gain;
+        // Reschedules the next track with the new level
+        this.prepareGaplessTransition();
+    },
+
+    setNormalizationGain(gain) {
+        this.normalizationGain = gain;
+        if (!this.currentTrack) return;
+
+        // Leave a crossfade that is already audible alone
+        const now = this.audioContext.currentTime;
+        if (this.nextSource && this.nextSource.startAt <= now) return;
+
+        this.cancelNextSource();
+        this.currentTrack.level = gain;
+        const param = this.currentTrack.gain.gain;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(gain, now + 0.1);
+        this.prepareGaplessTransition();
+    },
+
+    createTrackSource(buffer, level) {
+        // Each track gets its own source and gain (which carries its normalization),
+        // so two tracks can overlap during a crossfade
+        let source;
+
+        if (buffer instanceof StreamedAudio) {
+            // Long tracks play from their media element, see audio-stream.js
+            source = new StreamSourceNode(this.audioContext, buffer, {
+                tempo: this.playbackRate
+            });
+        } else if (this.isTimeStretching) {
+            // SoundTouch handles speed and pitch independently
+            source = new TimeStretchNode(this.audioContext, buffer, {
+                tempo: this.playbackRate,
+                pitchSemitones: this.pitchShift
+            });
+        } else {
+            source = this.audioContext.createBufferSource();
+            source.buffer = buffer;
+            source.playbackRate.value = this.actualPlaybackRate;
+
+            // Fallback when SoundTouch is unavailable: detune (also changes speed)
+            if (this.preservePitch && this.pitchShift !== 0) {
+                // detune is in cents (100 cents = 1 semitone)
+                source.detune.value = this.pitchShift * 100;
+            }
+        }
+
+        const gain = this.audioContext.createGain();
+        gain.gain.value = level;
+        source.connect(gain);
+        gain.connect(this.getTrackOutput());
+
+        return { source, gain, level };
+    },
+
+    releaseTrackSource(track) {
+        if (!track || !track.source) return;
+
+        track.source.onended = null;
+        try {
+            track.source.stop();
+        } catch (e) {
+            // Already stopped or never started
+        }
+        track.source.disconnect();
+        track.gain.disconnect();
+    },
+
+    watchTrackEnd(source) {
+        // Handle playback end (ignore late events from a replaced source)
+        source.onended = () => {
+            if (this.isPlaying && this.sourceNode === source) {
+                this.handleTrackEnd();
+            }
+        };
+    },
+
+    handleTrackEnd() {
+        if (this.nextSource) {
+            // Next track is already running, just hand over
+            this.commitTransition();
+            return;
+        }
+
+        if (this.nextAudioBuffer) {
+            // Nothing was scheduled (gapless off or time-stretched), start it now
+            this.promoteNextTrack();
+            this.play();
+            if (this.onTrackAdvanced) {
+                this.onTrackAdvanced();
+            }
+            return;
+        }
+
+        this.stop();
+        if (this.onEnded) {
+            this.onEnded();
+        }
+    },
+
+    play() {
+        if (!this.audioBuffer || this.isPlaying) return;
+
+        this.updateActualPlaybackRate();
+        this.isTimeStretching = this.shouldTimeStretch();
+
+        this.currentTrack = this.createTrackSource(this.audioBuffer, this.normalizationGain);
+        this.sourceNode = this.currentTrack.source;
+        this.watchTrackEnd(this.sourceNode);
+
+        // Past the end of an A-B loop it starts over from A
+        if (this.loopRegion && this.pauseTime >= this.loopRegion.end) {
+            this.pauseTime = this.loopRegion.start;
+        }
+        this.applyLoopRegion(this.sourceNode);
+        this.sourceNode.start(0, this.pauseTime);
+        // Elapsed time is measured from here and added on top of pauseTime
+        this.startTime = this.audioContext.currentTime;
+        this.isPlaying = true;
+
+        // Schedule the next track if one is preloaded
+        this.prepareGaplessTransition();
+    },
+
+    getTrackEndTime() {
+        // AudioContext time at which the current track runs out at the current speed
+        const rate = this.actualPlaybackRate || 1;
+        if (this.isTimeStretching || this.sourceNode instanceof StreamSourceNode) {
+            return this.audioContext.currentTime +
+                (this.audioBuffer.duration - this.getCurrentTime()) / rate;
+        }
+        // Exact for buffer sources, which is what makes gapless sample-accurate
+        return this.startTime + (this.audioBuffer.duration - this.pauseTime) / rate;
+    },
+
+    prepareGaplessTransition() {
+        // The next source is started on the audio clock so the handover is
+        // sample-accurate, the timer only swaps state once it is audible
+        const now = this.audioContext ? this.audioContext.currentTime : 0;
+        if (this.nextSource && this.nextSource.startAt <= now) {
+            this.commitTransition();
+            return;
+        }
+
+        this.cancelNextSource();
+        // An A-B loop never reaches the end, the next track waits until it is turned off
+        if (this.loopRegion) return;
+        if (!this.isPlaying || !this.sourceNode || !this.nextAudioBuffer) return;
+
+        const endTime = Math.max(now, this.getTrackEndTime());
+        const fade = Math.max(0, Math.min(
+            this.crossfadeDuration, endTime - now, this.nextAudioBuffer.duration
+        ));
+
+        // Neither crossfade nor gapless: handleTrackEnd starts the next track
+        if (fade === 0 && !this.gaplessMode) return;
+
+        const startAt = Math.max(now, endTime - fade);
+        const track = this.createTrackSource(this.nextAudioBuffer, this.nextNormalizationGain);
+        track.source.start(startAt, 0);
+
+        this.nextSource = { ...track, buffer: this.nextAudioBuffer, startAt, fade };
+        if (fade > 0) {
+            this.startCrossfade(startAt, fade);
+        }
+
+        this.transitionTimer = setTimeout(() => {
+            this.transitionTimer = null;
+            this.commitTransition();
+        }, (startAt - now) * 1000);
+    },
+
+    startCrossfade(startTime, duration) {
+        const current = this.currentTrack;
+        const next = this.nextSource;
+
+        // Fade out current track
+        current.gain.gain.setValueAtTime(current.level, startTime);
+        current.gain.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        // Fade in next track
+        next.gain.gain.setValueAtTime(0, startTime);
+        next.gain.gain.linearRampToValueAtTime(next.level, startTime + duration);
+    },
+
+    commitTransition() {
+        const next = this.nextSource;
+        if (!next || !this.isPlaying) return;
+
+        if (this.transitionTimer) {
+            clearTimeout(this.transitionTimer);
+            this.transitionTimer = null;
+        }
+        this.nextSource = null;
+
+        // The outgoing track keeps playing until its fade-out is over
+        this.releaseTrackSource(this.fadingTrack);
+        const previous = this.currentTrack;
+        const previousAudio = this.audioBuffer;
+        previous.source.onended = null;
+        const fadeLeft = next.startAt + next.fade - this.audioContext.currentTime;
+        if (fadeLeft > 0) {
+            this.fadingTrack = previous;
+            setTimeout(() => {
+                if (this.fadingTrack === previous) {
+                    this.releaseTrackSource(previous);
+                    this.fadingTrack = null;
+                    StreamedAudio.release(previousAudio);
+                }
+            }, fadeLeft * 1000 + 50);
+        } else {
+            this.fadingTrack = null;
+            this.releaseTrackSource(previous);
+            StreamedAudio.release(previousAudio);
+        }
+
+        this.audioBuffer = next.buffer;
+        this.normalizationGain = next.level;
+        this.nextAudioBuffer = null;
+        this.nextNormalizationGain = 1.0;
+        this.currentTrack = next;
+        this.sourceNode = next.source;
+        this.pauseTime = 0;
+        this.startTime = next.startAt;
+        this.watchTrackEnd(this.sourceNode);
+
+        if (this.onTrackAdvanced) {
+            this.onTrackAdvanced();
+        }
+    },
+
+    cancelNextSource() {
+        if (this.transitionTimer) {
+            clearTimeout(this.transitionTimer);
+            this.transitionTimer = null;
+        }
+
+        if (!this.nextSource) return;
+
+        this.releaseTrackSource(this.nextSource);
+        this.nextSource = null;
+
+        // Undo a fade-out that was scheduled for the current track
+        if (this.currentTrack) {
+            const now = this.audioContext.currentTime;
+            this.currentTrack.gain.gain.cancelScheduledValues(now);
+            this.currentTrack.gain.gain.setValueAtTime(this.currentTrack.level, now);
+        }
+    },
+
+    releaseAllSources() {
+        this.cancelNextSource();
+
+        this.releaseTrackSource(this.fadingTrack);
+        this.fadingTrack = null;
+
+        this.releaseTrackSource(this.currentTrack);
+        this.currentTrack = null;
+        this.sourceNode = null;
+    }
+};
+
+function applySharedEngineMethods(EngineClass) {
+    Object.assign(EngineClass.prototype, SHARED_ENGINE_METHODS);
+}
+
+// Built-in effect presets, shared so every engine applies the same values
+const EFFECT_PRESETS = {
+    'concert': { reverb: 40, pitch: 0, speed: 1.0, delay: 25, chorus: 12 },
+    'studio': { reverb: 15, pitch: 0, speed: 1.0, delay: 10, chorus: 8 },
+    'radio': { reverb: 5, pitch: 1, speed: 1.0, delay: 0, chorus: 0 },
+    'nightcore': { reverb: 10, pitch: 4, speed: 1.25, delay: 8, chorus: 30 },
+    'slowed': { reverb: 60, pitch: -2, speed: 0.75, delay: 45, chorus: 16 },
+    'default': { reverb: 0, pitch: 0, speed: 1.0, delay: 0, chorus: 0 }
+};
+
+// 10-band graphic EQ centre frequencies (Hz), lowest and highest bands are shelves
+const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Band gain range (dB) offered by the EQ panel
+const EQ_GAIN_RANGE = 12;
+
+// Built-in EQ curves, one gain (dB) per band
+const EQ_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    bass: [6, 5, 4, 2, 0, -1, -2, -2, -2, -2],
+    treble: [-2, -2, -1, 0, 1, 2, 3, 4, 5, 6],
+    vocal: [-2, -1, 0, 2, 4, 4, 3, 2, 1, 0],
+    classical: [0, 0, 0, 0, 0, 0, -2, -2, -2, -3],
+    rock: [5, 4, 3, 1, -1, 0, 1, 3, 4, 5],
+    electronic: [6, 5, 2, 0, -2, 2, 0, 1, 4, 5],
+    jazz: [3, 2, 1, 2, -2, -2, 0, 1, 2, 3]
+};
+
+// Engines selectable in settings
+const AUDIO_ENGINES = {
+    standard: {
+        label: 'Standard',
+        create: () => new AudioEngine()
+    },
+    advanced: {
+        label: 'Advanced (limiter, spatial audio)',
+        create: () => new AdvancedAudioEngine()
+    }
+};
+
+const DEFAULT_AUDIO_ENGINE = 'standard';
+
+function getMissingEngineMembers(engine) {
+    const missingProperties = AUDIO_ENGINE_INTERFACE.properties
+        .filter(name => !(name in engine));
+    const missingMethods = AUDIO_ENGINE_INTERFACE.methods
+        .filter(name => typeof engine[name] !== 'function');
+    return [...missingProperties, ...missingMethods];
+}
+
+// Resolves once the engine is set up, an engine that fails to start is dropped for the default
+async function createAudioEngine(type = DEFAULT_AUDIO_ENGINE) {
+    const key = AUDIO_ENGINES[type] ? type : DEFAULT_AUDIO_ENGINE;
+
+    let engine;
+    try {
+        engine = AUDIO_ENGINES[key].create();
+        await engine.ready;
+    } catch (error) {
+        if (key === DEFAULT_AUDIO_ENGINE) {
+            throw error;
+        }
+        console.error(`Failed to create ${key} audio engine, falling back:`, error);
+        if (engine && engine.destroy) {
+            engine.destroy();
+        }
+        return createAudioEngine(DEFAULT_AUDIO_ENGINE);
+    }
+
+    const missing = getMissingEngineMembers(engine);
+    if (missing.length > 0) {
+        console.warn(`Audio engine "${key}" is missing: ${missing.join(', ')}`);
+    }
+
+    return engine;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIO_ENGINE_INTERFACE,
+        AUDIO_ENGINES,
+        DEFAULT_AUDIO_ENGINE,
+        EFFECT_PRESETS,
+        EQ_FREQUENCIES,
+        EQ_GAIN_RANGE,
+        EQ_PRESETS,
+        SHARED_ENGINE_METHODS,
+        applySharedEngineMethods,
+        createAudioEngine,
+        getMissingEngineMembers
+    };
+}
@@ -9,11 +9,12 @@ class AudioEngine {
         this.isPlaying = false;
         this.currentTime = 0;
         
-        // Effect nodes
+        // Effect nodes (see buildEffectChain)
         this.gainNode = null;
         this.pitchShifter = null;
         this.convolverNode = null;
         this.analyserNode = null;
+        this.eqFilters = [];
         this.bassFilter = null;
         this.bassGain = null;
         this.compressor = null;
@@ -26,18 +27,40 @@ class AudioEngine {
         this.chorusDepth = null;
         this.chorusLFO = null;
         this.chorusWetGain = null;
+        this.outputNode = null; // Where the dry and effect paths meet
         
         // Effect parameters
         this.playbackRate = 1.0;  // Speed only (time stretch)
         this.pitchShift = 0;      // Pitch only (without speed change)
+        this.volume = 1.0;
         this.reverbMix = 0;
         this.bassBoost = 0; // 0 to 20 dB
         this.compressorEnabled = true; // Enable/disable compressor
         this.compressorThreshold = -24; // dB
+        this.compressorRatio = 12;
         this.preservePitch = true; // Enable pitch preservation for speed changes
         this.actualPlaybackRate = 1.0; // For playback calculations
+        this.isTimeStretching = false; // Current source is a SoundTouch TimeStretchNode
         this.delayMix = 0; // 0 to 1
         this.chorusMix = 0; // 0 to 1
+        this.eqFrequencies = [...EQ_FREQUENCIES];
+        this.eqGains = new Array(EQ_FREQUENCIES.length).fill(0); // dB values
+        
+        // Track transitions
+        this.currentTrack = null; // { source, gain, level } of the playing track
+        this.nextAudioBuffer = null; // Preloaded next track
+        this.nextSource = null; // Next track scheduled on the audio clock
+        this.fadingTrack = null; // Previous track still fading out
+        this.transitionTimer = null;
+        this.crossfadeDuration = 0; // seconds, 0 = no crossfade
+        this.gaplessMode = true;
+        
+        // Loudness normalization, linear gains set by the app per track
+        this.normalizationGain = 1.0;
+        this.nextNormalizationGain = 1.0;
+        
+        // A-B loop of the current track, { start, end } in seconds of the original audio
+        this.loopRegion = null;
         
         // Impulse response for reverb
         this.impulseBuffer = null;
@@ -46,97 +69,24 @@ class AudioEngine {
         this.lastEffectUpdate = 0;
         this.effectUpdateThrottle = 20; // ms
         this.pendingEffectUpdate = null;
-        this.chainConfigured = false;
-        this.pendingDelayMix = null;
-        this.pendingChorusMix = null;
         
-        this.initializeAudioContext();
+        this.ready = this.initializeAudioContext();
     }
     
     async initializeAudioContext() {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
-            // Create nodes
-            this.gainNode = this.audioContext.createGain();
-            this.convolverNode = this.audioContext.createConvolver();
-            this.analyserNode = this.audioContext.createAnalyser();
-            
-            // Bass boost filter (low-shelf filter for clean bass enhancement)
-            this.bassFilter = this.audioContext.createBiquadFilter();
-            this.bassFilter.type = 'lowshelf';
-            this.bassFilter.frequency.value = 250; // Focus on sub-bass and bass
-            this.bassFilter.Q.value = 0.7; // Quality factor for natural sound
-            this.bassFilter.gain.value = 0; // Initial gain
+            // Effect chain with the current settings, exports build their own the same way
+            Object.assign(this, this.buildEffectChain(this.audioContext));
             
-            // Dynamic compressor for better sound quality and loudness
-            this.compressor = this.audioContext.createDynamicsCompressor();
-            this.compressor.threshold.value = -24; // dB (when compression starts)
-            this.compressor.knee.value = 30; // dB (smooth transition)
-            this.compressor.ratio.value = 12; // compression ratio
-            this.compressor.attack.value = 0.003; // seconds (how fast it reacts)
-            this.compressor.release.value = 0.25; // seconds (how fast it recovers)
-            
-            // Create dry/wet mix for reverb
-            this.dryGain = this.audioContext.createGain();
-            this.wetGain = this.audioContext.createGain();
-            this.dryGain.gain.value = 1.0;
-            this.wetGain.gain.value = 0.0;
-
-            // Advanced effects: delay/echo
-            this.delayInput = this.audioContext.createGain();
-            this.delayInput.gain.value = 1.0;
-            this.delayNode = this.audioContext.createDelay(2.0);
-            this.delayNode.delayTime.value = 0.25;
-            this.delayFeedback = this.audioContext.createGain();
-            this.delayFeedback.gain.value = 0.2;
-            this.delayWetGain = this.audioContext.createGain();
-            this.delayWetGain.gain.value = 0.0;
-            this.delayInput.connect(this.delayNode);
-            this.delayNode.connect(this.delayFeedback);
-            this.delayFeedback.connect(this.delayNode);
-            this.delayNode.connect(this.delayWetGain);
-
-            // Advanced effects: chorus
-            this.chorusInput = this.audioContext.createGain();
-            this.chorusInput.gain.value = 1.0;
-            this.chorusDelay = this.audioContext.createDelay(0.05);
-            this.chorusDelay.delayTime.value = 0.015;
-            this.chorusDepth = this.audioContext.createGain();
-            this.chorusDepth.gain.value = 0.004;
-            this.chorusWetGain = this.audioContext.createGain();
-            this.chorusWetGain.gain.value = 0.0;
-            this.chorusInput.connect(this.chorusDelay);
-            this.chorusDelay.connect(this.chorusWetGain);
-            this.chorusLFO = this.audioContext.createOscillator();
-            this.chorusLFO.frequency.value = 0.8;
-            this.chorusLFO.type = 'sine';
-            this.chorusLFO.connect(this.chorusDepth);
-            this.chorusDepth.connect(this.chorusDelay.delayTime);
-            this.chorusLFO.start();
+            this.analyserNode = this.audioContext.createAnalyser();
+            this.outputNode.connect(this.analyserNode);
+            this.analyserNode.connect(this.audioContext.destination);
             
             // Load impulse response for reverb
             await this.loadImpulseResponse();
             
-            // Connect nodes (will be reconnected when playing)
-            this.setupAudioChain();
-
-            if (this.pendingDelayMix !== null) {
-                const value = this.pendingDelayMix;
-                this.pendingDelayMix = null;
-                this.setDelayMix(value);
-            } else {
-                this.setDelayMix(this.delayMix * 100);
-            }
-
-            if (this.pendingChorusMix !== null) {
-                const value = this.pendingChorusMix;
-                this.pendingChorusMix = null;
-                this.setChorusMix(value);
-            } else {
-                this.setChorusMix(this.chorusMix * 100);
-            }
-            
         } catch (error) {
             console.error('Failed to initialize audio context:', error);
         }
@@ -179,37 +129,132 @@ class AudioEngine {
         this.convolverNode.buffer = this.impulseBuffer;
     }
     
-    setupAudioChain() {
-        if (!this.audioContext || this.chainConfigured) {
-            return;
+    // Every effect node with the current settings, wired from inputNode (volume) to
+    // outputNode. Used for the live graph and for exports, so both sound the same.
+    buildEffectChain(context) {
+        const chain = {};
+        
+        chain.gainNode = context.createGain();
+        chain.gainNode.gain.value = this.volume;
+        chain.inputNode = chain.gainNode;
+        
+        // 10-band graphic EQ
+        chain.eqFilters = this.createEQFilters(context);
+        
+        // Bass boost filter (low-shelf filter for clean bass enhancement)
+        chain.bassFilter = context.createBiquadFilter();
+        chain.bassFilter.type = 'lowshelf';
+        chain.bassFilter.frequency.value = 250; // Focus on sub-bass and bass
+        chain.bassFilter.Q.value = 0.7; // Quality factor for natural sound
+        chain.bassFilter.gain.value = this.bassBoost;
+        
+        // Dynamic compressor for better sound quality and loudness
+        chain.compressor = context.createDynamicsCompressor();
+        chain.compressor.threshold.value = this.compressorThreshold; // dB (when compression starts)
+        chain.compressor.knee.value = 30; // dB (smooth transition)
+        chain.compressor.ratio.value = this.compressorRatio; // compression ratio
+        chain.compressor.attack.value = 0.003; // seconds (how fast it reacts)
+        chain.compressor.release.value = 0.25; // seconds (how fast it recovers)
+        
+        // Reverb with dry/wet mix
+        chain.convolverNode = context.createConvolver();
+        if (this.impulseBuffer) {
+            chain.convolverNode.buffer = this.impulseBuffer;
         }
-
+        chain.dryGain = context.createGain();
+        chain.wetGain = context.createGain();
+        chain.dryGain.gain.value = 1 - this.reverbMix;
+        chain.wetGain.gain.value = this.reverbMix;
+        
+        // Advanced effects: delay/echo
+        const delay = this.getDelaySettings();
+        chain.delayInput = context.createGain();
+        chain.delayInput.gain.value = 1.0;
+        chain.delayNode = context.createDelay(2.0);
+        chain.delayNode.delayTime.value = delay.time;
+        chain.delayFeedback = context.createGain();
+        chain.delayFeedback.gain.value = delay.feedback;
+        chain.delayWetGain = context.createGain();
+        chain.delayWetGain.gain.value = delay.wet;
+        chain.delayInput.connect(chain.delayNode);
+        chain.delayNode.connect(chain.delayFeedback);
+        chain.delayFeedback.connect(chain.delayNode);
+        chain.delayNode.connect(chain.delayWetGain);
+        
+        // Advanced effects: chorus
+        const chorus = this.getChorusSettings();
+        chain.chorusInput = context.createGain();
+        chain.chorusInput.gain.value = 1.0;
+        chain.chorusDelay = context.createDelay(0.05);
+        chain.chorusDelay.delayTime.value = 0.015;
+        chain.chorusDepth = context.createGain();
+        chain.chorusDepth.gain.value = chorus.depth;
+        chain.chorusWetGain = context.createGain();
+        chain.chorusWetGain.gain.value = chorus.wet;
+        chain.chorusInput.connect(chain.chorusDelay);
+        chain.chorusDelay.connect(chain.chorusWetGain);
+        chain.chorusLFO = context.createOscillator();
+        chain.chorusLFO.frequency.value = chorus.rate;
+        chain.chorusLFO.type = 'sine';
+        chain.chorusLFO.connect(chain.chorusDepth);
+        chain.chorusDepth.connect(chain.chorusDelay.delayTime);
+        chain.chorusLFO.start();
+        
         // Primary path
-        this.gainNode.connect(this.bassFilter);
-        this.bassFilter.connect(this.compressor);
-        this.compressor.connect(this.dryGain);
-        this.compressor.connect(this.convolverNode);
-        this.convolverNode.connect(this.wetGain);
-
-        // Advanced effects paths
-        if (this.delayInput && this.delayWetGain) {
-            this.compressor.connect(this.delayInput);
-            this.delayWetGain.connect(this.analyserNode);
+        chain.gainNode.connect(chain.eqFilters[0]);
+        chain.eqFilters[chain.eqFilters.length - 1].connect(chain.bassFilter);
+        chain.bassFilter.connect(chain.compressor);
+        chain.compressor.connect(chain.dryGain);
+        chain.compressor.connect(chain.convolverNode);
+        chain.convolverNode.connect(chain.wetGain);
+        chain.compressor.connect(chain.delayInput);
+        chain.compressor.connect(chain.chorusInput);
+        
+        // Mix back together
+        chain.outputNode = context.createGain();
+        chain.dryGain.connect(chain.outputNode);
+        chain.wetGain.connect(chain.outputNode);
+        chain.delayWetGain.connect(chain.outputNode);
+        chain.chorusWetGain.connect(chain.outputNode);
+        
+        return chain;
+    }
+    
+    // Seconds the effects keep sounding after the track ends
+    getEffectTail() {
+        let tail = 0.05; // chorus delay line
+        if (this.reverbMix > 0 && this.impulseBuffer) {
+            tail = Math.max(tail, this.impulseBuffer.duration);
         }
-
-        if (this.chorusInput && this.chorusWetGain) {
-            this.compressor.connect(this.chorusInput);
-            this.chorusWetGain.connect(this.analyserNode);
+        if (this.delayMix > 0) {
+            const delay = this.getDelaySettings();
+            tail = Math.max(tail, OfflineRenderer.getFeedbackTail(delay.time, delay.feedback));
         }
-
-        // Mix back together
-        this.dryGain.connect(this.analyserNode);
-        this.wetGain.connect(this.analyserNode);
-
-        // Final output
-        this.analyserNode.connect(this.audioContext.destination);
-
-        this.chainConfigured = true;
+        return tail;
+    }
+    
+    createEQFilters(context) {
+        // Shelves at the outer bands, peaking in between, connected in series
+        const filters = this.eqFrequencies.map((freq, index) => {
+            const filter = context.createBiquadFilter();
+            if (index === 0) {
+                filter.type = 'lowshelf';
+            } else if (index === this.eqFrequencies.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+            }
+            filter.frequency.value = freq;
+            filter.Q.value = 1.0;
+            filter.gain.value = this.eqGains[index];
+            return filter;
+        });
+        
+        for (let i = 0; i < filters.length - 1; i++) {
+            filters[i].connect(filters[i + 1]);
+        }
+        
+        return filters;
     }
     
     async loadAudioFile(arrayBuffer) {
@@ -219,89 +264,50 @@ class AudioEngine {
                 await this.audioContext.resume();
             }
             
-            // Decode audio data
-            this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            // Decode audio data, streamed tracks are decoded by their media element
+            const previous = this.audioBuffer;
+            this.audioBuffer = arrayBuffer instanceof StreamedAudio
+                ? arrayBuffer
+                : await this.audioContext.decodeAudioData(arrayBuffer);
+            StreamedAudio.release(previous);
+            this.normalizationGain = 1.0; // Set by the app once the track is measured
             this.pauseTime = 0;
             this.startTime = 0;
             
-            return {
-                duration: this.audioBuffer.duration,
-                sampleRate: this.audioBuffer.sampleRate,
-                channels: this.audioBuffer.numberOfChannels
-            };
+            // A preloaded "next" track belonged to the previous current track
+            this.clearNextTrack();
+            
+            return this.describeTrack(this.audioBuffer);
         } catch (error) {
             console.error('Failed to decode audio:', error);
             throw error;
         }
     }
     
-    play() {
-        if (!this.audioBuffer || this.isPlaying) return;
-        
-        // Create new source node
-        this.sourceNode = this.audioContext.createBufferSource();
-        this.sourceNode.buffer = this.audioBuffer;
-        
-        // Set playback rate for speed
-        this.updateActualPlaybackRate();
-        this.sourceNode.playbackRate.value = this.actualPlaybackRate;
-        
-        // Apply pitch shift separately using detune
-        if (this.preservePitch && this.pitchShift !== 0) {
-            // detune is in cents (100 cents = 1 semitone)
-            this.sourceNode.detune.value = this.pitchShift * 100;
-        }
-        
-        // Connect audio chain with compressor
-        this.sourceNode.connect(this.gainNode);
-        this.setupAudioChain();
-        
-        // Handle playback end
-        this.sourceNode.onended = () => {
-            if (this.isPlaying) {
-                this.stop();
-                if (this.onEnded) {
-                    this.onEnded();
-                }
-            }
+    describeTrack(buffer) {
+        return {
+            duration: buffer.duration,
+            sampleRate: buffer.sampleRate,
+            channels: buffer.numberOfChannels
         };
-        
-        // Start playback
-        const offset = this.pauseTime;
-        this.sourceNode.start(0, offset);
-        // Adjust startTime for the playback rate
-        this.startTime = this.audioContext.currentTime - (offset / this.actualPlaybackRate);
-        this.isPlaying = true;
+    }
+    
+    getTrackOutput() {
+        return this.gainNode;
     }
     
     pause() {
         if (!this.isPlaying || !this.sourceNode) return;
         
         // Calculate accurate pause time
-        const elapsed = (this.audioContext.currentTime - this.startTime);
-        this.pauseTime = this.pauseTime + (elapsed * this.actualPlaybackRate);
+        this.pauseTime = this.getCurrentTime();
         
-        try {
-            this.sourceNode.stop();
-            this.sourceNode.disconnect();
-        } catch (e) {
-            // Already stopped/disconnected
-        }
-        
-        this.sourceNode = null;
+        this.releaseAllSources();
         this.isPlaying = false;
     }
     
     stop() {
-        if (this.sourceNode) {
-            try {
-                this.sourceNode.stop();
-                this.sourceNode.disconnect();
-            } catch (e) {
-                // Already stopped/disconnected
-            }
-            this.sourceNode = null;
-        }
+        this.releaseAllSources();
         
         this.isPlaying = false;
         this.pauseTime = 0;
@@ -316,14 +322,7 @@ class AudioEngine {
         
         if (this.isPlaying) {
             // Stop current playback
-            try {
-                this.sourceNode.stop();
-                this.sourceNode.disconnect();
-            } catch (e) {
-                // Already stopped
-            }
-            this.sourceNode = null;
-            this.isPlaying = false;
+            this.pause();
         }
         
         // Set new position
@@ -341,9 +340,15 @@ class AudioEngine {
         if (!this.audioBuffer) return 0;
         
         if (this.isPlaying && this.sourceNode) {
-            const elapsed = (this.audioContext.currentTime - this.startTime);
+            if (this.isTimeStretching || this.sourceNode instanceof StreamSourceNode) {
+                // Stretch and stream nodes track their own position in the original audio
+                return Math.min(this.sourceNode.currentTime, this.audioBuffer.duration);
+            }
+            
+            // startTime can sit slightly ahead right after a scheduled track change
+            const elapsed = Math.max(0, this.audioContext.currentTime - this.startTime);
             // Calculate actual position in the original audio file
-            const currentTime = this.pauseTime + (elapsed * this.actualPlaybackRate);
+            const currentTime = this.wrapLoopTime(this.pauseTime + (elapsed * this.actualPlaybackRate));
             return Math.min(currentTime, this.audioBuffer.duration);
         }
         
@@ -367,6 +372,7 @@ class AudioEngine {
     }
     
     setVolume(value) {
+        this.volume = value / 100;
         if (this.gainNode) {
             // Smooth volume transition to avoid clicks
             const now = this.audioContext.currentTime;
@@ -386,6 +392,13 @@ class AudioEngine {
         this.updatePlaybackRateThrottled();
     }
     
+    shouldTimeStretch() {
+        // Unity speed and pitch play straight from the buffer, untouched
+        return this.preservePitch &&
+            TimeStretchNode.isAvailable() &&
+            (this.playbackRate !== 1 || this.pitchShift !== 0);
+    }
+    
     updateActualPlaybackRate() {
         // For independent speed and pitch control
         // Speed changes time without affecting pitch
@@ -419,40 +432,66 @@ class AudioEngine {
     }
     
     applyPlaybackRate() {
+        if (!this.sourceNode || !this.isPlaying) {
+            this.updateActualPlaybackRate();
+            return;
+        }
+        
+        // Finish an audible handover first so the new rate lands on the new track
+        if (this.nextSource && this.nextSource.startAt <= this.audioContext.currentTime) {
+            this.commitTransition();
+        }
+        
+        if (this.shouldTimeStretch() !== this.isTimeStretching) {
+            // Switching between direct and stretched playback needs a new source node
+            this.pause();
+            this.play();
+            return;
+        }
+        
+        if (this.isTimeStretching || this.sourceNode instanceof StreamSourceNode) {
+            this.updateActualPlaybackRate();
+            this.sourceNode.setTempo(this.playbackRate);
+            this.sourceNode.setPitchSemitones(this.pitchShift);
+            // The track now ends at a different time
+            this.prepareGaplessTransition();
+            return;
+        }
+        
+        const now = this.audioContext.currentTime;
+        
+        // Update pause time with the rate in effect so far, then change it
+        const elapsed = now - this.startTime;
+        this.pauseTime += elapsed * this.actualPlaybackRate;
+        this.startTime = now;
         this.updateActualPlaybackRate();
         
-        if (this.sourceNode && this.isPlaying) {
-            const now = this.audioContext.currentTime;
-            
-            // Update pause time before changing rate
-            const elapsed = now - this.startTime;
-            this.pauseTime += elapsed * this.actualPlaybackRate;
-            this.startTime = now;
-            
-            // Apply speed with smooth transition
-            this.sourceNode.playbackRate.cancelScheduledValues(now);
-            this.sourceNode.playbackRate.setValueAtTime(
-                this.sourceNode.playbackRate.value, 
+        // Apply speed with smooth transition
+        this.sourceNode.playbackRate.cancelScheduledValues(now);
+        this.sourceNode.playbackRate.setValueAtTime(
+            this.sourceNode.playbackRate.value, 
+            now
+        );
+        this.sourceNode.playbackRate.linearRampToValueAtTime(
+            this.actualPlaybackRate, 
+            now + 0.1
+        );
+        
+        // Fallback pitch via detune when SoundTouch is unavailable
+        if (this.preservePitch) {
+            this.sourceNode.detune.cancelScheduledValues(now);
+            this.sourceNode.detune.setValueAtTime(
+                this.sourceNode.detune.value,
                 now
             );
-            this.sourceNode.playbackRate.linearRampToValueAtTime(
-                this.actualPlaybackRate, 
+            this.sourceNode.detune.linearRampToValueAtTime(
+                this.pitchShift * 100,
                 now + 0.1
             );
-            
-            // Apply pitch separately using detune
-            if (this.preservePitch) {
-                this.sourceNode.detune.cancelScheduledValues(now);
-                this.sourceNode.detune.setValueAtTime(
-                    this.sourceNode.detune.value,
-                    now
-                );
-                this.sourceNode.detune.linearRampToValueAtTime(
-                    this.pitchShift * 100,
-                    now + 0.1
-                );
-            }
         }
+        
+        // The track now ends at a different time
+        this.prepareGaplessTransition();
     }
     
     setReverbMix(value) {
@@ -489,33 +528,28 @@ class AudioEngine {
         // Higher value = more compression (lower threshold)
         this.compressorThreshold = -50 + (value / 100) * 40;
         
+        // Adjust ratio based on intensity
+        this.compressorRatio = 4 + (value / 100) * 16; // 4:1 to 20:1
+        
         if (this.compressor) {
             const now = this.audioContext.currentTime;
             this.compressor.threshold.setValueAtTime(this.compressorThreshold, now);
-            // Adjust ratio based on intensity
-            const ratio = 4 + (value / 100) * 16; // 4:1 to 20:1
-            this.compressor.ratio.setValueAtTime(ratio, now);
+            this.compressor.ratio.setValueAtTime(this.compressorRatio, now);
         }
     }
     
     setDelayMix(value) {
         const clamped = Math.max(0, Math.min(100, Number(value)));
         this.delayMix = clamped / 100;
-        if (!this.audioContext || !this.delayNode || !this.delayFeedback || !this.delayWetGain) {
-            this.pendingDelayMix = clamped;
-            return;
-        }
-        this.pendingDelayMix = null;
+        // Picked up by buildEffectChain if the chain doesn't exist yet
+        if (!this.audioContext || !this.delayNode) return;
+        
         const now = this.audioContext.currentTime;
-        const minDelay = 0.08;
-        const maxDelay = 0.6;
-        const targetDelay = minDelay + (maxDelay - minDelay) * this.delayMix;
-        const feedback = 0.1 + this.delayMix * 0.6;
-        const wetLevel = this.delayMix * 0.9;
+        const { time, feedback, wet } = this.getDelaySettings();
         
         this.delayNode.delayTime.cancelScheduledValues(now);
         this.delayNode.delayTime.setValueAtTime(this.delayNode.delayTime.value, now);
-        this.delayNode.delayTime.linearRampToValueAtTime(targetDelay, now + 0.12);
+        this.delayNode.delayTime.linearRampToValueAtTime(time, now + 0.12);
         
         this.delayFeedback.gain.cancelScheduledValues(now);
         this.delayFeedback.gain.setValueAtTime(this.delayFeedback.gain.value, now);
@@ -523,21 +557,27 @@ class AudioEngine {
         
         this.delayWetGain.gain.cancelScheduledValues(now);
         this.delayWetGain.gain.setValueAtTime(this.delayWetGain.gain.value, now);
-        this.delayWetGain.gain.linearRampToValueAtTime(wetLevel, now + 0.12);
+        this.delayWetGain.gain.linearRampToValueAtTime(wet, now + 0.12);
+    }
+    
+    getDelaySettings() {
+        // Longer, denser echoes as the mix goes up
+        const minDelay = 0.08;
+        const maxDelay = 0.6;
+        return {
+            time: minDelay + (maxDelay - minDelay) * this.delayMix,
+            feedback: 0.1 + this.delayMix * 0.6,
+            wet: this.delayMix * 0.9
+        };
     }
     
     setChorusMix(value) {
         const clamped = Math.max(0, Math.min(100, Number(value)));
         this.chorusMix = clamped / 100;
-        if (!this.audioContext || !this.chorusDepth || !this.chorusWetGain || !this.chorusLFO) {
-            this.pendingChorusMix = clamped;
-            return;
-        }
-        this.pendingChorusMix = null;
+        if (!this.audioContext || !this.chorusLFO) return;
+        
         const now = this.audioContext.currentTime;
-        const depth = 0.001 + this.chorusMix * 0.004;
-        const rate = 0.3 + this.chorusMix * 1.2;
-        const wet = this.chorusMix * 0.8;
+        const { depth, rate, wet } = this.getChorusSettings();
         
         this.chorusDepth.gain.cancelScheduledValues(now);
         this.chorusDepth.gain.setValueAtTime(this.chorusDepth.gain.value, now);
@@ -550,18 +590,37 @@ class AudioEngine {
         this.chorusWetGain.gain.linearRampToValueAtTime(wet, now + 0.12);
     }
     
-    applyPreset(preset) {
-        // Batch update to avoid multiple recalculations
-        const presets = {
-            'concert': { reverb: 40, pitch: 0, speed: 1.0, delay: 25, chorus: 12 },
-            'studio': { reverb: 15, pitch: 0, speed: 1.0, delay: 10, chorus: 8 },
-            'radio': { reverb: 5, pitch: 1, speed: 1.0, delay: 0, chorus: 0 },
-            'nightcore': { reverb: 10, pitch: 4, speed: 1.25, delay: 8, chorus: 30 },
-            'slowed': { reverb: 60, pitch: -2, speed: 0.75, delay: 45, chorus: 16 },
-            'default': { reverb: 0, pitch: 0, speed: 1.0, delay: 0, chorus: 0 }
+    getChorusSettings() {
+        return {
+            depth: 0.001 + this.chorusMix * 0.004,
+            rate: 0.3 + this.chorusMix * 1.2,
+            wet: this.chorusMix * 0.8
         };
+    }
+    
+    setEQBand(index, gain) {
+        if (index < 0 || index >= this.eqGains.length) return;
+        
+        this.eqGains[index] = gain;
         
-        const config = presets[preset] || presets['default'];
+        const filter = this.eqFilters[index];
+        if (filter) {
+            const now = this.audioContext.currentTime;
+            filter.gain.cancelScheduledValues(now);
+            filter.gain.setValueAtTime(filter.gain.value, now);
+            filter.gain.linearRampToValueAtTime(gain, now + 0.1);
+        }
+    }
+    
+    setEQPreset(preset) {
+        const gains = EQ_PRESETS[preset] || EQ_PRESETS.flat;
+        gains.forEach((gain, index) => this.setEQBand(index, gain));
+        return [...gains];
+    }
+    
+    applyPreset(preset) {
+        // Batch update to avoid multiple recalculations
+        const config = EFFECT_PRESETS[preset] || EFFECT_PRESETS['default'];
         
         // Update all parameters at once
         this.setReverbMix(config.reverb);
@@ -576,97 +635,10 @@ class AudioEngine {
         return { ...config };
     }
     
-    async exportProcessedAudio(progressCallback) {
-        if (!this.audioBuffer) return null;
-        
-        const offlineContext = new OfflineAudioContext(
-            this.audioBuffer.numberOfChannels,
-            this.audioBuffer.length,
-            this.audioBuffer.sampleRate
-        );
-        
-        // Create nodes in offline context
-        const source = offlineContext.createBufferSource();
-        source.buffer = this.audioBuffer;
-        
-        // Use the combined rate
-        this.updateActualPlaybackRate();
-        source.playbackRate.value = this.actualPlaybackRate;
-        
-        const gain = offlineContext.createGain();
-        gain.gain.value = this.gainNode.gain.value;
-        
-        const convolver = offlineContext.createConvolver();
-        convolver.buffer = this.impulseBuffer;
-        
-        const dry = offlineContext.createGain();
-        const wet = offlineContext.createGain();
-        dry.gain.value = 1 - this.reverbMix;
-        wet.gain.value = this.reverbMix;
-
-        // Delay effect (echo)
-        const delayInput = offlineContext.createGain();
-        delayInput.gain.value = 1.0;
-        const delayNode = offlineContext.createDelay(2.0);
-        const delayFeedback = offlineContext.createGain();
-        const delayWet = offlineContext.createGain();
-        const baseDelay = 0.08;
-        const maxDelay = 0.6;
-        const delayTime = baseDelay + (maxDelay - baseDelay) * this.delayMix;
-        const delayFeedbackValue = 0.1 + this.delayMix * 0.6;
-        const delayWetLevel = this.delayMix * 0.9;
-        delayNode.delayTime.value = delayTime;
-        delayFeedback.gain.value = delayFeedbackValue;
-        delayWet.gain.value = delayWetLevel;
-        delayInput.connect(delayNode);
-        delayNode.connect(delayFeedback);
-        delayFeedback.connect(delayNode);
-        delayNode.connect(delayWet);
-
-        // Chorus effect
-        const chorusInput = offlineContext.createGain();
-        chorusInput.gain.value = 1.0;
-        const chorusDelay = offlineContext.createDelay(0.05);
-        const chorusWet = offlineContext.createGain();
-        const chorusDepth = offlineContext.createGain();
-        const chorusLFO = offlineContext.createOscillator();
-        const chorusDepthValue = 0.001 + this.chorusMix * 0.004;
-        const chorusRate = 0.3 + this.chorusMix * 1.2;
-        const chorusWetLevel = this.chorusMix * 0.8;
-        chorusDelay.delayTime.value = 0.015;
-        chorusDepth.gain.value = chorusDepthValue;
-        chorusWet.gain.value = chorusWetLevel;
-        chorusLFO.type = 'sine';
-        chorusLFO.frequency.value = chorusRate;
-        chorusLFO.connect(chorusDepth);
-        chorusDepth.connect(chorusDelay.delayTime);
-        chorusInput.connect(chorusDelay);
-        chorusDelay.connect(chorusWet);
-        
-        // Connect nodes
-        source.connect(gain);
-        gain.connect(dry);
-        gain.connect(convolver);
-        gain.connect(delayInput);
-        gain.connect(chorusInput);
-        convolver.connect(wet);
-        dry.connect(offlineContext.destination);
-        wet.connect(offlineContext.destination);
-        delayWet.connect(offlineContext.destination);
-        chorusWet.connect(offlineContext.destination);
-        chorusLFO.start(0);
-        
-        // Start rendering
-        source.start(0);
-        
-        // Render and return buffer
-        const renderedBuffer = await offlineContext.startRendering();
-        
-        if (progressCallback) {
-            progressCallback(100);
-        }
-        
-        return renderedBuffer;
+    // options: { source, normalizationGain, signal }, see OfflineRenderer.render
+    async exportProcessedAudio(progressCallback, options = {}) {
+        if (!options.source && !this.audioBuffer) return null;
+        return OfflineRenderer.render(this, progressCallback, options);
     }
     
     getFrequencyData() {
@@ -678,8 +650,19 @@ class AudioEngine {
         
         return dataArray;
     }
+    
+    getWaveformData() {
+        if (!this.analyserNode) return new Uint8Array(0);
+        
+        const dataArray = new Uint8Array(this.analyserNode.fftSize);
+        this.analyserNode.getByteTimeDomainData(dataArray);
+        
+        return dataArray;
+    }
 }
 
+applySharedEngineMethods(AudioEngine);
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AudioEngine;
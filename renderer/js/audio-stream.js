@@ -0,0 +1,334 @@
+// Audio Stream - Plays long tracks through an <audio> element instead of a decoded AudioBuffer
+// The main process serves files over desksong:// with range requests, so memory stays flat
+
+// Tracks at least this long are streamed (an hour of 44.1 kHz stereo decodes to ~1.3 GB)
+const STREAMING_MIN_DURATION = 15 * 60; // seconds
+
+// Bytes fetched first for tag reading, tags reaching past them are fetched on their own
+const STREAM_HEAD_BYTES = 1024 * 1024;
+// ID3v1 is a fixed block at the very end of the file
+const STREAM_TAIL_BYTES = 128;
+
+// Stands in for an AudioBuffer in the engines: same duration/sampleRate/numberOfChannels/length,
+// but the audio is decoded by the media element while it plays
+class StreamedAudio {
+    constructor(filePath, info = {}) {
+        this.path = filePath;
+        this.url = StreamedAudio.urlForPath(filePath);
+        this.sampleRate = info.sampleRate || 44100;
+        this.numberOfChannels = info.channels || 2;
+        this.duration = info.duration || 0;
+        this.length = Math.round(this.duration * this.sampleRate);
+        this.size = info.size || 0;
+
+        this.element = null;
+        this.mediaNode = null;
+    }
+
+    static urlForPath(filePath) {
+        return `desksong://file/${encodeURIComponent(filePath)}`;
+    }
+
+    static async open(filePath, info) {
+        const stream = new StreamedAudio(filePath, info);
+        await stream.load();
+        return stream;
+    }
+
+    // Release the element of anything that may be a stream, ignores decoded buffers
+    static release(audio) {
+        if (audio instanceof StreamedAudio) {
+            audio.release();
+        }
+    }
+
+    load() {
+        const element = new Audio();
+        element.crossOrigin = 'anonymous'; // Otherwise MediaElementSource outputs silence
+        element.preload = 'auto';
+        element.preservesPitch = true;
+        this.element = element;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                element.removeEventListener('loadedmetadata', onLoaded);
+                element.removeEventListener('error', onError);
+            };
+            const onLoaded = () => {
+                cleanup();
+                // The element knows best once it has parsed the stream
+                if (isFinite(element.duration) && element.duration > 0) {
+                    this.duration = element.duration;
+                    this.length = Math.round(this.duration * this.sampleRate);
+                }
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error(`Failed to open stream: ${element.error ? element.error.message : this.path}`));
+            };
+            element.addEventListener('loadedmetadata', onLoaded);
+            element.addEventListener('error', onError);
+            element.src = this.url;
+        });
+    }
+
+    // A media element can only ever be attached to one MediaElementAudioSourceNode
+    getSourceNode(audioContext) {
+        if (!this.mediaNode) {
+            this.mediaNode = audioContext.createMediaElementSource(this.element);
+        }
+        return this.mediaNode;
+    }
+
+    async readHead(bytes = STREAM_HEAD_BYTES) {
+        const response = await fetch(this.url, { headers: { Range: `bytes=0-${bytes - 1}` } });
+        if (!response.ok) {
+            throw new Error(`Failed to read ${this.path}`);
+        }
+        return response.arrayBuffer();
+    }
+
+    async readTail(bytes = STREAM_TAIL_BYTES) {
+        const response = await fetch(this.url, { headers: { Range: `bytes=-${bytes}` } });
+        if (!response.ok) {
+            throw new Error(`Failed to read ${this.path}`);
+        }
+        return response.arrayBuffer();
+    }
+
+    // length bytes from start, fewer at the end of the file and none past it
+    async readRange(start, length) {
+        const response = await fetch(this.url, { headers: { Range: `bytes=${start}-${start + length - 1}` } });
+        if (response.status === 416) {
+            return new Uint8Array(0);
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to read ${this.path}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    // Served from the head when it covers the range
+    readSpan(head, start, length) {
+        if (start + length <= head.length) {
+            return Promise.resolve(head.subarray(start, start + length));
+        }
+        return this.readRange(start, length);
+    }
+
+    // The parts of the file that hold tags, laid out so TagReader.read parses them like the
+    // whole file: ID3v2, FLAC metadata blocks and RIFF chunks are found by walking their
+    // headers with range reads, however far into the file or however large they are.
+    // A file shorter than the head comes back whole.
+    async readTagBytes() {
+        const head = new Uint8Array(await this.readHead());
+        if (head.length < STREAM_HEAD_BYTES) {
+            return head;
+        }
+
+        const parts = [];
+        let offset = 0;
+        if (TagReader.matches(head, 0, 'ID3')) {
+            const footer = (head[5] & 0x10) ? 10 : 0;
+            offset = 10 + TagReader.readSyncsafe(head, 6) + footer;
+            parts.push(await this.readSpan(head, 0, offset));
+        }
+
+        const magic = await this.readSpan(head, offset, 12);
+        if (TagReader.matches(magic, 0, 'fLaC')) {
+            parts.push(await this.readFlacBlocks(head, offset));
+        } else if (offset === 0 && TagReader.matches(magic, 0, 'RIFF') && TagReader.matches(magic, 8, 'WAVE')) {
+            parts.push(await this.readRiffChunks(head));
+        } else if (offset === 0) {
+            // Ogg comment headers and untagged formats sit at the start
+            parts.push(head);
+        }
+
+        // ID3v1 is a fixed block at the very end
+        const tail = new Uint8Array(await this.readTail());
+        if (TagReader.matches(tail, 0, 'TAG')) {
+            parts.push(tail);
+        }
+        return TagReader.concat(parts);
+    }
+
+    // fLaC and the Vorbis comment and picture blocks, the last one flagged as the last again
+    async readFlacBlocks(head, offset) {
+        const parts = [head.subarray(offset, offset + 4)];
+        let lastHeader = -1;
+        let length = 4;
+        let position = offset + 4;
+        let isLast = false;
+
+        while (!isLast) {
+            const header = await this.readSpan(head, position, 4);
+            if (header.length < 4) break;
+
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const size = (header[1] << 16) | (header[2] << 8) | header[3];
+            if (type === 4 || type === 6) {
+                const block = await this.readSpan(head, position, 4 + size);
+                lastHeader = length;
+                length += block.length;
+                parts.push(block);
+            }
+            position += 4 + size;
+        }
+
+        const bytes = TagReader.concat(parts);
+        if (lastHeader !== -1) {
+            bytes[lastHeader] |= 0x80;
+        }
+        return bytes;
+    }
+
+    // The RIFF header and the LIST/INFO and ID3 chunks, which usually follow the audio data
+    async readRiffChunks(head) {
+        const parts = [head.subarray(0, 12)];
+        let position = 12;
+
+        for (;;) {
+            const header = await this.readSpan(head, position, 12);
+            if (header.length < 8) break;
+
+            const id = TagReader.readLatin1(header, 0, 4);
+            const size = TagReader.readUint32LE(header, 4);
+            // Chunks are word aligned
+            const chunkLength = 8 + size + (size % 2);
+            if ((id === 'LIST' && TagReader.matches(header, 8, 'INFO')) || id === 'id3 ' || id === 'ID3 ') {
+                parts.push(await this.readSpan(head, position, chunkLength));
+            }
+            position += chunkLength;
+        }
+
+        return TagReader.concat(parts);
+    }
+
+    // Full decode, for exports that have to render the whole track anyway
+    async decode(audioContext) {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Failed to read ${this.path}`);
+        }
+        return audioContext.decodeAudioData(await response.arrayBuffer());
+    }
+
+    release() {
+        if (!this.element) return;
+
+        this.element.pause();
+        // Dropping the source frees whatever the element has buffered
+        this.element.removeAttribute('src');
+        this.element.load();
+        if (this.mediaNode) {
+            this.mediaNode.disconnect();
+        }
+    }
+}
+
+// Source node replacement for streamed tracks, shaped like TimeStretchNode
+// (connect/disconnect/start/stop/onended/currentTime/setTempo/setLoop) so the engines
+// handle both the same way. Speed uses the element's own pitch-preserving
+// time stretch; pitch shift isn't available without the decoded samples.
+class StreamSourceNode {
+    constructor(audioContext, stream, options = {}) {
+        this.audioContext = audioContext;
+        this.stream = stream;
+        this.element = stream.element;
+        this.output = stream.getSourceNode(audioContext);
+        this.startTimer = null;
+        this.ended = false;
+        this.onended = null;
+        this.loop = null; // { start, end } in seconds
+
+        this.handleEnded = () => {
+            if (this.ended) return;
+            if (this.loop) {
+                // B at the very end of the file
+                this.element.currentTime = this.loop.start;
+                this.element.play().catch((error) => {
+                    console.error('Failed to restart stream loop:', error);
+                });
+                return;
+            }
+            this.ended = true;
+            if (this.onended) {
+                this.onended();
+            }
+        };
+        // timeupdate comes a few times a second, close enough on a track this long
+        this.handleTimeUpdate = () => {
+            if (this.loop && this.element.currentTime >= this.loop.end) {
+                this.element.currentTime = this.loop.start;
+            }
+        };
+        this.element.addEventListener('ended', this.handleEnded);
+        this.element.addEventListener('timeupdate', this.handleTimeUpdate);
+
+        this.setTempo(options.tempo ?? 1.0);
+    }
+
+    get currentTime() {
+        return this.element.currentTime;
+    }
+
+    setTempo(tempo) {
+        this.tempo = tempo;
+        this.element.playbackRate = tempo;
+    }
+
+    setPitchSemitones(semitones) {
+        // Kept for the TimeStretchNode shape, the element can't shift pitch on its own,
+        // so the pitch slider is disabled while a stream plays
+        this.pitchSemitones = semitones;
+    }
+
+    setLoop(region) {
+        this.loop = region;
+    }
+
+    start(when = 0, offset = 0) {
+        this.element.currentTime = Math.min(offset, this.stream.duration);
+        this.ended = false;
+
+        // The element runs on its own clock, a timer is as close as it gets to "when"
+        const play = () => {
+            this.startTimer = null;
+            this.element.play().catch((error) => {
+                console.error('Failed to start stream:', error);
+            });
+        };
+        const delay = (when - this.audioContext.currentTime) * 1000;
+        if (delay > 0) {
+            this.startTimer = setTimeout(play, delay);
+        } else {
+            play();
+        }
+    }
+
+    stop() {
+        this.ended = true;
+        if (this.startTimer) {
+            clearTimeout(this.startTimer);
+            this.startTimer = null;
+        }
+        this.element.pause();
+        this.element.removeEventListener('ended', this.handleEnded);
+        this.element.removeEventListener('timeupdate', this.handleTimeUpdate);
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    disconnect() {
+        this.output.disconnect();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StreamedAudio, StreamSourceNode, STREAMING_MIN_DURATION };
+}
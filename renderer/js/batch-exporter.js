@@ -0,0 +1,170 @@
+// Batch Exporter - Renders a list of tracks through the current effect chain into one folder
+// Tracks go one at a time: the render runs in an OfflineAudioContext and encoding in a worker,
+// so playback carries on while the queue works through
+
+// Placeholders: {name} {title} {artist} {album} {albumArtist} {track} {disc} {year} {genre} {preset}
+const DEFAULT_BATCH_TEMPLATE = '{artist} - {name} ({preset})';
+
+// Characters one of Windows, macOS or Linux doesn't allow in a file name
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f]/g;
+const MAX_FILENAME_LENGTH = 200;
+
+// Job status: pending -> rendering -> encoding -> done, or failed / cancelled
+class BatchExporter {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.jobs = [];
+        this.running = false;
+        this.abortController = null;
+
+        // Set by the app: async (track) => { source, normalizationGain, tags }
+        this.prepareTrack = null;
+        this.onJobUpdate = null;
+        this.onFinished = null;
+    }
+
+    // settings: { folder, template, format, options, preset }, options as for ExportEncoder.encode.
+    // Resolves with the report once every job has finished, failed or been cancelled.
+    async run(tracks, settings) {
+        if (this.running) return null;
+
+        this.running = true;
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+        this.jobs = tracks.map(track => ({
+            track,
+            status: 'pending',
+            progress: 0,
+            outputPath: null,
+            error: null,
+            clipped: false
+        }));
+        this.jobs.forEach(job => this.notify(job));
+
+        try {
+            for (const job of this.jobs) {
+                if (signal.aborted) {
+                    this.update(job, { status: 'cancelled' });
+                } else {
+                    await this.runJob(job, settings, signal);
+                }
+            }
+        } finally {
+            this.running = false;
+            this.abortController = null;
+        }
+
+        const report = this.getReport();
+        if (this.onFinished) {
+            this.onFinished(report);
+        }
+        return report;
+    }
+
+    async runJob(job, settings, signal) {
+        const extension = ExportEncoder.getFormat(settings.format).extension;
+        let source = null;
+
+        try {
+            this.update(job, { status: 'rendering', progress: 0 });
+            const prepared = await this.prepareTrack(job.track);
+            source = prepared.source;
+            signal.throwIfAborted();
+
+            // Rendering is the first half of the job's progress, encoding the second
+            const rendered = await this.audioEngine.exportProcessedAudio((progress) => {
+                this.update(job, { progress: progress * 0.5 });
+            }, { source, normalizationGain: prepared.normalizationGain, signal });
+
+            const loudness = await LoudnessAnalyzer.analyze(rendered);
+            signal.throwIfAborted();
+
+            this.update(job, { status: 'encoding' });
+            const options = { ...settings.options, tags: prepared.tags };
+            const data = await ExportEncoder.encode(rendered, settings.format, options, (progress) => {
+                this.update(job, { progress: 50 + progress * 0.5 });
+            }, signal);
+
+            const fileName = BatchExporter.formatFileName(settings.template, {
+                ...prepared.tags,
+                name: job.track.name,
+                preset: settings.preset
+            });
+            const outputPath = await window.electronAPI.writeExportFile(settings.folder, `${fileName}.${extension}`, data);
+            if (!outputPath) {
+                throw new Error('Failed to write file');
+            }
+
+            this.update(job, { status: 'done', progress: 100, outputPath, clipped: loudness.truePeak > 1 });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.update(job, { status: 'cancelled' });
+            } else {
+                console.error(`Batch export failed for ${job.track.path}:`, error);
+                this.update(job, { status: 'failed', error: error.message || String(error) });
+            }
+        } finally {
+            StreamedAudio.release(source);
+        }
+    }
+
+    // The running job stops at its next progress step, the rest of the queue is skipped
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort(new DOMException('Batch export cancelled', 'AbortError'));
+        }
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes);
+        this.notify(job);
+    }
+
+    notify(job) {
+        if (this.onJobUpdate) {
+            this.onJobUpdate(job);
+        }
+    }
+
+    getReport() {
+        const count = (status) => this.jobs.filter(job => job.status === status).length;
+        return {
+            total: this.jobs.length,
+            done: count('done'),
+            cancelled: count('cancelled'),
+            clipped: this.jobs.filter(job => job.clipped).length,
+            failures: this.jobs
+                .filter(job => job.status === 'failed')
+                .map(job => ({ track: job.track, error: job.error }))
+        };
+    }
+
+    // File name without extension from a template such as DEFAULT_BATCH_TEMPLATE.
+    // Missing fields drop out along with the brackets and separators around them.
+    static formatFileName(template, fields) {
+        const values = {
+            ...fields,
+            track: fields.trackNumber ? String(fields.trackNumber).padStart(2, '0') : '',
+            disc: fields.discNumber || ''
+        };
+        const name = template.replace(/\{(\w+)\}/g, (match, key) => {
+            const value = values[key];
+            return value === undefined || value === null ? '' : String(value);
+        });
+
+        const cleaned = name
+            .replace(INVALID_FILENAME_CHARS, '_')
+            .replace(/\(\s*\)|\[\s*\]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/(\s-)+\s-/g, ' -')
+            .replace(/^[\s\-_.]+|[\s\-_.]+$/g, '')
+            .slice(0, MAX_FILENAME_LENGTH)
+            .trim();
+        return cleaned || 'Untitled';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchExporter, DEFAULT_BATCH_TEMPLATE };
+}
@@ -0,0 +1,28 @@
+// Export Worker - Runs ExportEncoder off the UI thread
+// Receives { format, sampleRate, channels, options }, posts progress and the encoded bytes back
+
+importScripts('audio-encoders.js');
+
+// ES module build, the wasm binary is inlined so nothing else has to be fetched
+const loadWasmEncoders = () => import('../../node_modules/wasm-media-encoders/dist/esnext/index.mjs');
+
+self.onmessage = async (event) => {
+    const { format, sampleRate, channels, options } = event.data;
+
+    let lastProgress = -1;
+    const progressCallback = (progress) => {
+        // Whole percents are plenty for a progress bar
+        const rounded = Math.floor(progress);
+        if (rounded !== lastProgress) {
+            lastProgress = rounded;
+            self.postMessage({ type: 'progress', progress: rounded });
+        }
+    };
+
+    try {
+        const data = await ExportEncoder.encodeChannels(channels, sampleRate, format, options, progressCallback, loadWasmEncoders);
+        self.postMessage({ type: 'done', data }, [data.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,297 @@
+// Loudness Analyzer - ITU-R BS.1770 integrated loudness, true peak and ReplayGain tags
+// Gains target the ReplayGain 2.0 reference level so tag values and measurements agree
+
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+// Larger "albums" are usually whole folders of unrelated files, use track gain there
+const MAX_ALBUM_TRACKS = 40;
+
+// Normalization modes offered in settings
+const LOUDNESS_MODES = {
+    off: 'Off',
+    track: 'Track (ReplayGain / R128)',
+    album: 'Album (ReplayGain / R128)'
+};
+
+class LoudnessAnalyzer {
+    // Measure a decoded track. blocks holds the mean square of every 400 ms gating
+    // block so album loudness can be gated over several tracks at once.
+    static async analyze(audioBuffer, progressCallback) {
+        const sampleRate = audioBuffer.sampleRate;
+        const channels = audioBuffer.numberOfChannels;
+        const stepFrames = Math.round(sampleRate * LoudnessAnalyzer.STEP_SECONDS);
+        const stepCount = Math.floor(audioBuffer.length / stepFrames);
+        const chunkFrames = stepFrames * 100; // 10 s between yields
+
+        const weights = LoudnessAnalyzer.getChannelWeights(channels);
+        const coefficients = LoudnessAnalyzer.getKWeighting(sampleRate);
+        const stepEnergy = new Float64Array(stepCount);
+        const filterStates = Array.from({ length: channels }, () => new Float64Array(8));
+        let truePeak = 0;
+
+        for (let chunkStart = 0; chunkStart < audioBuffer.length; chunkStart += chunkFrames) {
+            const chunkEnd = Math.min(chunkStart + chunkFrames, audioBuffer.length);
+
+            for (let c = 0; c < channels; c++) {
+                const data = audioBuffer.getChannelData(c);
+                if (weights[c] > 0) {
+                    LoudnessAnalyzer.accumulateEnergy(
+                        data, chunkStart, chunkEnd, coefficients, filterStates[c],
+                        weights[c], stepFrames, stepEnergy
+                    );
+                }
+                truePeak = Math.max(truePeak, LoudnessAnalyzer.measureTruePeak(data, chunkStart, chunkEnd));
+            }
+
+            if (progressCallback) {
+                progressCallback((chunkEnd / audioBuffer.length) * 100);
+            }
+
+            // Yield so long tracks don't freeze the UI
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        // 400 ms blocks with 75% overlap are four consecutive 100 ms steps
+        const blockFrames = stepFrames * 4;
+        const blocks = new Float32Array(Math.max(0, stepCount - 3));
+        for (let i = 0; i < blocks.length; i++) {
+            blocks[i] = (stepEnergy[i] + stepEnergy[i + 1] + stepEnergy[i + 2] + stepEnergy[i + 3]) / blockFrames;
+        }
+
+        return {
+            integrated: LoudnessAnalyzer.integrate([blocks]),
+            truePeak,
+            blocks
+        };
+    }
+
+    // Gated integrated loudness (LUFS) over one or more tracks' blocks
+    static integrate(blockLists) {
+        let sum = 0;
+        let count = 0;
+        const absoluteGate = LoudnessAnalyzer.toPower(LoudnessAnalyzer.ABSOLUTE_GATE);
+
+        blockLists.forEach(blocks => {
+            for (let i = 0; i < blocks.length; i++) {
+                if (blocks[i] > absoluteGate) {
+                    sum += blocks[i];
+                    count++;
+                }
+            }
+        });
+        if (count === 0) return -Infinity;
+
+        const relativeGate = (sum / count) * Math.pow(10, LoudnessAnalyzer.RELATIVE_GATE / 10);
+        const gate = Math.max(absoluteGate, relativeGate);
+        sum = 0;
+        count = 0;
+
+        blockLists.forEach(blocks => {
+            for (let i = 0; i < blocks.length; i++) {
+                if (blocks[i] > gate) {
+                    sum += blocks[i];
+                    count++;
+                }
+            }
+        });
+
+        return count > 0 ? LoudnessAnalyzer.toLoudness(sum / count) : -Infinity;
+    }
+
+    // Linear gain bringing a track to the reference level without clipping its peak
+    static computeGain(loudness, peak, reference = REPLAYGAIN_REFERENCE_LUFS) {
+        if (!isFinite(loudness)) return 1.0;
+        return LoudnessAnalyzer.limitGain(reference - loudness, peak);
+    }
+
+    // Tag gains are already relative to the reference, only clip prevention applies
+    static limitGain(gainDb, peak) {
+        let gain = Math.pow(10, gainDb / 20);
+        if (peak > 0 && gain * peak > 1) {
+            gain = 1 / peak;
+        }
+        return gain;
+    }
+
+    // ReplayGain values from ID3v2 TXXX, APEv2, Vorbis comments (FLAC/Ogg), or null.
+    // Must run before decodeAudioData, which detaches the buffer.
+    static readReplayGainTags(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const headLength = Math.min(bytes.length, 512 * 1024);
+        const tailStart = Math.max(headLength, bytes.length - 64 * 1024);
+
+        // Tags live at the start of the file, APEv2 usually at the end. Dropping NUL
+        // bytes also turns UTF-16 frames into plain text and joins TXXX key/value pairs.
+        const decoder = new TextDecoder('latin1');
+        const text = (decoder.decode(bytes.subarray(0, headLength)) +
+            decoder.decode(bytes.subarray(tailStart))).replace(/\0/g, '');
+
+        const pattern = /REPLAYGAIN_(TRACK|ALBUM)_(GAIN|PEAK)[\s=:]{0,3}([-+]?\d*\.?\d+)/gi;
+        const tags = {};
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const key = match[1].toLowerCase() +
+                (match[2].toUpperCase() === 'GAIN' ? 'Gain' : 'Peak');
+            if (tags[key] === undefined) {
+                tags[key] = parseFloat(match[3]);
+            }
+        }
+
+        if (tags.trackGain === undefined && tags.albumGain === undefined) {
+            return null;
+        }
+        return tags;
+    }
+
+    static accumulateEnergy(data, start, end, coefficients, state, weight, stepFrames, stepEnergy) {
+        const [shelf, highPass] = coefficients;
+        // state: shelf x1, x2, y1, y2, high-pass x1, x2, y1, y2
+        let [sx1, sx2, sy1, sy2, hx1, hx2, hy1, hy2] = state;
+        let step = Math.floor(start / stepFrames);
+        let stepOffset = start - step * stepFrames;
+
+        for (let i = start; i < end; i++) {
+            const x = data[i];
+            const s = shelf.b0 * x + shelf.b1 * sx1 + shelf.b2 * sx2 - shelf.a1 * sy1 - shelf.a2 * sy2;
+            sx2 = sx1;
+            sx1 = x;
+            sy2 = sy1;
+            sy1 = s;
+
+            const y = highPass.b0 * s + highPass.b1 * hx1 + highPass.b2 * hx2 - highPass.a1 * hy1 - highPass.a2 * hy2;
+            hx2 = hx1;
+            hx1 = s;
+            hy2 = hy1;
+            hy1 = y;
+
+            if (step < stepEnergy.length) {
+                stepEnergy[step] += weight * y * y;
+            }
+            if (++stepOffset === stepFrames) {
+                stepOffset = 0;
+                step++;
+            }
+        }
+
+        state.set([sx1, sx2, sy1, sy2, hx1, hx2, hy1, hy2]);
+    }
+
+    // 4x oversampled peak (BS.1770 Annex 2). Only loud sample pairs next to a turning
+    // point are interpolated, elsewhere the waveform can't overshoot its samples.
+    static measureTruePeak(data, start, end) {
+        const taps = LoudnessAnalyzer.getInterpolationTaps();
+        const half = taps[0].length / 2;
+        let peak = 0;
+
+        for (let i = start; i < end; i++) {
+            const sample = Math.abs(data[i]);
+            if (sample > peak) {
+                peak = sample;
+            }
+        }
+
+        const threshold = peak * 0.5;
+        for (let i = Math.max(start, half - 1); i < Math.min(end, data.length - half); i++) {
+            if (Math.abs(data[i]) < threshold && Math.abs(data[i + 1]) < threshold) continue;
+            const before = data[i] - data[i - 1];
+            const between = data[i + 1] - data[i];
+            const after = data[i + 2] - data[i + 1];
+            if ((before > 0) === (between > 0) && (between > 0) === (after > 0)) continue;
+
+            for (let p = 0; p < taps.length; p++) {
+                const phase = taps[p];
+                let value = 0;
+                for (let k = 0; k < phase.length; k++) {
+                    value += phase[k] * data[i - half + 1 + k];
+                }
+                value = Math.abs(value);
+                if (value > peak) {
+                    peak = value;
+                }
+            }
+        }
+
+        return peak;
+    }
+
+    static getInterpolationTaps() {
+        // Windowed-sinc coefficients for the three points between two samples
+        if (!LoudnessAnalyzer.interpolationTaps) {
+            const width = 6; // samples each side
+            LoudnessAnalyzer.interpolationTaps = [1, 2, 3].map(p => {
+                const fraction = p / 4;
+                const phase = new Float32Array(width * 2);
+                let sum = 0;
+                for (let k = 0; k < phase.length; k++) {
+                    const t = fraction + width - 1 - k;
+                    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+                    const window = 0.5 * (1 + Math.cos(Math.PI * t / width));
+                    phase[k] = sinc * window;
+                    sum += phase[k];
+                }
+                return phase.map(value => value / sum);
+            });
+        }
+        return LoudnessAnalyzer.interpolationTaps;
+    }
+
+    // K-weighting pre-filter (high shelf + RLB high-pass) for any sample rate
+    static getKWeighting(sampleRate) {
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        return [shelf, highPass];
+    }
+
+    static getChannelWeights(channels) {
+        // 5.1 in Web Audio order (L, R, C, LFE, SL, SR): LFE is ignored, surrounds +1.5 dB
+        if (channels === 6) {
+            return [1, 1, 1, 0, 1.41, 1.41];
+        }
+        return new Array(channels).fill(1);
+    }
+
+    static toLoudness(power) {
+        return -0.691 + 10 * Math.log10(power);
+    }
+
+    static toPower(loudness) {
+        return Math.pow(10, (loudness + 0.691) / 10);
+    }
+}
+
+LoudnessAnalyzer.STEP_SECONDS = 0.1;
+LoudnessAnalyzer.ABSOLUTE_GATE = -70; // LUFS
+LoudnessAnalyzer.RELATIVE_GATE = -10; // LU below the absolute-gated loudness
+LoudnessAnalyzer.interpolationTaps = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LoudnessAnalyzer,
+        LOUDNESS_MODES,
+        MAX_ALBUM_TRACKS,
+        REPLAYGAIN_REFERENCE_LUFS
+    };
+}
@@ -0,0 +1,176 @@
+// Offline Renderer - Renders the loaded track through an engine's effect chain for export
+// Engines provide buildEffectChain(context), the same method that builds their live graph,
+// and getEffectTail(), how long reverb and echoes ring on after the last sample
+
+// Below this (about -100 dBFS) the rendered tail counts as silence and is trimmed
+const RENDER_SILENCE_THRESHOLD = 1e-5;
+
+class OfflineRenderer {
+    // Progress runs 0-100 over the whole export, time stretching takes the first half.
+    // options: { source, normalizationGain, signal } render another track than the loaded one
+    // with its own gain; aborting the signal rejects with an AbortError.
+    // { region, repeat, fadeIn, fadeOut } render only region ({ start, end } in seconds),
+    // looped repeat times, with fades in seconds of the rendered output.
+    static async render(engine, progressCallback, options = {}) {
+        const source = options.source || engine.audioBuffer;
+        const normalizationGain = options.normalizationGain ?? engine.normalizationGain;
+        const signal = options.signal || null;
+        const checkAborted = () => {
+            if (signal) signal.throwIfAborted();
+        };
+        const report = (progress) => {
+            checkAborted();
+            if (progressCallback) {
+                progressCallback(Math.min(100, progress));
+            }
+        };
+
+        // A streamed track has to be decoded in full for the render
+        let sourceBuffer = source instanceof StreamedAudio
+            ? await source.decode(engine.audioContext)
+            : source;
+        checkAborted();
+
+        if (options.region) {
+            sourceBuffer = OfflineRenderer.loopRegion(sourceBuffer, options.region, options.repeat || 1);
+        }
+
+        // Time-stretch up front so speed and pitch stay independent in the render
+        let inputBuffer = sourceBuffer;
+        let playbackRate = 1.0;
+        let detune = 0;
+        let renderStart = 0;
+        if (engine.shouldTimeStretch()) {
+            inputBuffer = await TimeStretchNode.render(sourceBuffer, {
+                tempo: engine.playbackRate,
+                pitchSemitones: engine.pitchShift
+            }, progress => report(progress * 0.5));
+            renderStart = 50;
+        } else {
+            // Same source settings as the live buffer source, detune speeds it up too
+            engine.updateActualPlaybackRate();
+            playbackRate = engine.actualPlaybackRate;
+            detune = engine.preservePitch ? engine.pitchShift * 100 : 0;
+        }
+        const effectiveRate = playbackRate * Math.pow(2, detune / 1200);
+
+        // The rendered buffer must match the live context, the reverb impulse was made for its rate
+        const sampleRate = engine.audioContext.sampleRate;
+        const playedFrames = Math.ceil(inputBuffer.duration / effectiveRate * sampleRate);
+        const tailFrames = Math.ceil(engine.getEffectTail() * sampleRate);
+        const length = Math.max(1, playedFrames + tailFrames);
+
+        const offlineContext = new OfflineAudioContext(
+            Math.max(inputBuffer.numberOfChannels, 2),
+            length,
+            sampleRate
+        );
+
+        const chain = engine.buildEffectChain(offlineContext);
+        chain.outputNode.connect(offlineContext.destination);
+
+        const bufferSource = offlineContext.createBufferSource();
+        bufferSource.buffer = inputBuffer;
+        bufferSource.playbackRate.value = playbackRate;
+        bufferSource.detune.value = detune;
+
+        // The track's loudness normalization, like the per-track gain in playback
+        const trackGain = offlineContext.createGain();
+        trackGain.gain.value = normalizationGain;
+        OfflineRenderer.scheduleFades(trackGain.gain, normalizationGain, playedFrames / sampleRate, options);
+        bufferSource.connect(trackGain);
+        trackGain.connect(chain.inputNode);
+        bufferSource.start(0);
+
+        // Rendering has no progress events, suspending at fixed points stands in for them.
+        // A started render can't be stopped, once aborted it runs out without reporting.
+        const quantum = 128;
+        const step = Math.ceil(length / 100 / quantum) * quantum;
+        for (let frame = step; frame < length; frame += step) {
+            offlineContext.suspend(frame / sampleRate).then(() => {
+                if (!signal || !signal.aborted) {
+                    report(renderStart + (frame / length) * (100 - renderStart));
+                }
+                offlineContext.resume();
+            });
+        }
+
+        const rendered = await offlineContext.startRendering();
+        report(100);
+
+        return OfflineRenderer.trimSilence(rendered, playedFrames);
+    }
+
+    // The frames between region.start and region.end, played back to back repeat times
+    static loopRegion(buffer, region, repeat) {
+        const start = Math.max(0, Math.min(buffer.length - 1, Math.floor(region.start * buffer.sampleRate)));
+        const end = Math.max(start + 1, Math.min(buffer.length, Math.ceil(region.end * buffer.sampleRate)));
+        const frames = end - start;
+
+        const looped = new AudioBuffer({
+            length: frames * repeat,
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c).subarray(start, end);
+            for (let r = 0; r < repeat; r++) {
+                looped.copyToChannel(data, c, r * frames);
+            }
+        }
+        return looped;
+    }
+
+    // Fade-in from the start, fade-out ending with the music so effect tails ring on after it
+    static scheduleFades(gain, level, duration, { fadeIn = 0, fadeOut = 0 }) {
+        const fadeInTime = Math.min(fadeIn, duration);
+        const fadeOutTime = Math.min(fadeOut, duration - fadeInTime);
+        if (fadeInTime > 0) {
+            gain.setValueAtTime(0, 0);
+            gain.linearRampToValueAtTime(level, fadeInTime);
+        }
+        if (fadeOutTime > 0) {
+            gain.setValueAtTime(level, duration - fadeOutTime);
+            gain.linearRampToValueAtTime(0, duration);
+        }
+    }
+
+    // Seconds a feedback loop takes to fall by 60 dB
+    static getFeedbackTail(delayTime, feedback) {
+        if (feedback <= 0) return delayTime;
+        if (feedback >= 1) return 30; // never decays, cap it
+        return delayTime * (1 + Math.log(0.001) / Math.log(feedback));
+    }
+
+    // Cut the silent part of the effect tail, never the music itself
+    static trimSilence(buffer, minimumLength) {
+        let end = minimumLength;
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = data.length - 1; i >= end; i--) {
+                if (Math.abs(data[i]) > RENDER_SILENCE_THRESHOLD) {
+                    end = i + 1;
+                    break;
+                }
+            }
+        }
+
+        end = Math.min(buffer.length, end);
+        if (end >= buffer.length) return buffer;
+
+        const trimmed = new AudioBuffer({
+            length: end,
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            trimmed.copyToChannel(buffer.getChannelData(c).subarray(0, end), c);
+        }
+        return trimmed;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineRenderer };
+}
@@ -1,29 +1,117 @@
 // Playlist Manager - Handle playlist operations and track management
+
+// Track fields kept when a playlist is saved, the rest (loudness, artwork) is rebuilt on load
+const PLAYLIST_TRACK_FIELDS = [
+    'path', 'name', 'artist', 'album', 'albumArtist', 'trackNumber', 'discNumber', 'year',
+    'genre', 'duration', 'codec', 'bitrate', 'sampleRate', 'channels', 'size', 'markerA', 'markerB',
+    'rating', 'playCount', 'addedAt'
+];
+
+// How shuffle orders a round of the playlist
+const SHUFFLE_STRATEGIES = {
+    track: 'Tracks',
+    album: 'Albums (in album order)',
+    artist: 'Tracks, spreading out artists',
+    weighted: 'Weighted by rating and plays'
+};
+const DEFAULT_SHUFFLE_STRATEGY = 'track';
+
+// M3U/M3U8, PLS and XSPF files shared with other players, read and written by the main process
+const PLAYLIST_FILE_PATTERN = /\.(m3u8?|pls|xspf)$/i;
+
+// Fields the search bar looks in, ties go to the earlier one
+const SEARCH_FIELDS = ['name', 'artist', 'album', 'path'];
+
+// Playlist columns that can be sorted on, keys of SMART_FIELDS
+const SORT_COLUMNS = {
+    name: 'Title',
+    artist: 'Artist',
+    album: 'Album',
+    duration: 'Time',
+    addedAt: 'Added',
+    playCount: 'Plays',
+    path: 'Path'
+};
+
+// Tracks remembered for Previous in shuffle mode
+const PLAYBACK_HISTORY_LIMIT = 500;
+
+// Created on first start and when the last playlist is deleted
+const DEFAULT_PLAYLIST_NAME = 'My Playlist';
+
 class PlaylistManager {
     constructor() {
         this.tracks = [];
         this.currentIndex = -1;
         this.shuffleMode = false;
+        this.shuffleStrategy = DEFAULT_SHUFFLE_STRATEGY;
         this.repeatMode = 'none'; // 'none', 'one', 'all'
         this.shuffledIndices = [];
+        this.sortKeys = []; // [{ field, descending }] of the last sort, until the next edit
+        
+        // Tracks in the order they were played, historyPosition is the current one.
+        // Holds track objects so edits that shift indices don't break it.
+        this.history = [];
+        this.historyPosition = -1;
+        
+        // Named playlists { id, name, tracks, currentIndex, position, query }.
+        // tracks and currentIndex above are the working copy of the active one.
+        // Smart playlists have a SmartPlaylist query and get their tracks from it, the rest null.
+        this.playlists = [];
+        this.activePlaylistId = null;
+        
+        // Up-next queue of tracks played before the playlist carries on, then dropped.
+        // queueReturnTrack is the playlist track the queue interrupted.
+        this.queue = [];
+        this.queueReturnTrack = null;
+        
+        // Set when the playing track is removed: { next } is the track that took its place,
+        // null at the end, so Next plays it while nothing is highlighted.
+        this.removedCurrent = null;
+        
+        // Called whenever tracks are added, removed, moved or renamed
+        this.onChange = null;
+        this.onQueueChange = null;
     }
     
-    addTrack(filePath, metadata = {}) {
-        const track = {
+    createTrack(filePath, metadata = {}) {
+        return {
             id: Date.now() + Math.random(),
             path: filePath,
-            name: metadata.name || this.getFileNameFromPath(filePath),
+            name: metadata.title || metadata.name || this.getFileNameFromPath(filePath),
             artist: metadata.artist || 'Unknown Artist',
+            album: metadata.album || null,
+            albumArtist: metadata.albumArtist || null,
+            trackNumber: metadata.trackNumber || null,
+            discNumber: metadata.discNumber || null,
+            year: metadata.year || null,
+            genre: metadata.genre || null,
             duration: metadata.duration || 0,
-            size: metadata.size || 0
+            codec: metadata.codec || null,
+            bitrate: metadata.bitrate || 0, // kbps
+            sampleRate: metadata.sampleRate || 0,
+            channels: metadata.channels || 0,
+            size: metadata.size || 0,
+            rating: metadata.rating ?? null, // 0-1, from the tags
+            playCount: metadata.playCount || 0,
+            addedAt: metadata.addedAt || Date.now(),
+            // A-B markers in seconds, null until set
+            markerA: null,
+            markerB: null
         };
-        
+    }
+    
+    addTrack(filePath, metadata = {}) {
+        const track = this.createTrack(filePath, metadata);
         this.tracks.push(track);
         
+        // Slot the new track into the rest of this shuffle round
         if (this.shuffleMode) {
-            this.updateShuffleOrder();
+            const position = Math.floor(Math.random() * (this.shuffledIndices.length + 1));
+            this.shuffledIndices.splice(position, 0, this.tracks.length - 1);
         }
         
+        this.notifyChange();
         return track;
     }
     
@@ -35,22 +123,29 @@ class PlaylistManager {
     removeTrack(index) {
         if (index < 0 || index >= this.tracks.length) return false;
         
-        this.tracks.splice(index, 1);
+        const [removed] = this.tracks.splice(index, 1);
+        if (this.queue.includes(removed)) {
+            this.queue = this.queue.filter(track => track !== removed);
+            this.notifyQueueChange();
+        }
+        this.removeFromHistory(removed);
         
         // Adjust current index if necessary
         if (index < this.currentIndex) {
             this.currentIndex--;
         } else if (index === this.currentIndex) {
-            // If we removed the current track, reset
-            if (this.currentIndex >= this.tracks.length) {
-                this.currentIndex = this.tracks.length - 1;
-            }
+            this.currentIndex = -1;
+            this.removedCurrent = { next: this.tracks[index] || null };
+        } else if (this.removedCurrent && this.removedCurrent.next === removed) {
+            this.removedCurrent.next = this.tracks[index] || null;
         }
         
-        if (this.shuffleMode) {
-            this.updateShuffleOrder();
-        }
+        // The rest of the shuffle round stays, indices above the removed one move down
+        this.shuffledIndices = this.shuffledIndices
+            .filter(i => i !== index)
+            .map(i => (i > index ? i - 1 : i));
         
+        this.notifyChange();
         return true;
     }
     
@@ -58,6 +153,9 @@ class PlaylistManager {
         this.tracks = [];
         this.currentIndex = -1;
         this.shuffledIndices = [];
+        this.resetQueue();
+        this.resetHistory();
+        this.notifyChange();
     }
     
     moveTrack(fromIndex, toIndex) {
@@ -69,18 +167,84 @@ class PlaylistManager {
         const [track] = this.tracks.splice(fromIndex, 1);
         this.tracks.splice(toIndex, 0, track);
         
-        // Adjust current index
-        if (fromIndex === this.currentIndex) {
-            this.currentIndex = toIndex;
-        } else if (fromIndex < this.currentIndex && toIndex >= this.currentIndex) {
-            this.currentIndex--;
-        } else if (fromIndex > this.currentIndex && toIndex <= this.currentIndex) {
-            this.currentIndex++;
-        }
+        // Where an index ends up after the move
+        const shift = (index) => {
+            if (index === fromIndex) return toIndex;
+            if (fromIndex < index && toIndex >= index) return index - 1;
+            if (fromIndex > index && toIndex <= index) return index + 1;
+            return index;
+        };
+        
+        // Adjust current index and the shuffle round
+        this.currentIndex = shift(this.currentIndex);
+        this.shuffledIndices = this.shuffledIndices.map(shift);
+        
+        this.notifyChange();
+        return true;
+    }
+    
+    // Moves several tracks, in their playlist order, into the gap before toIndex (0 to length,
+    // counted before the move). Returns the tracks' new indices.
+    moveTracks(indices, toIndex) {
+        const selected = [...new Set(indices)]
+            .filter(index => index >= 0 && index < this.tracks.length)
+            .sort((a, b) => a - b);
+        if (selected.length === 0) return [];
+        
+        const gap = Math.max(0, Math.min(toIndex, this.tracks.length));
+        const moving = selected.map(index => this.tracks[index]);
+        const staying = this.tracks.filter((track, index) => !selected.includes(index));
+        const insertAt = gap - selected.filter(index => index < gap).length;
+        const tracks = [...staying.slice(0, insertAt), ...moving, ...staying.slice(insertAt)];
+        
+        // Current index and shuffle round follow the track objects
+        const newIndex = new Map(tracks.map((track, index) => [track, index]));
+        const follow = (index) => newIndex.get(this.tracks[index]) ?? index;
+        this.currentIndex = follow(this.currentIndex);
+        this.shuffledIndices = this.shuffledIndices.map(follow);
+        this.tracks = tracks;
+        
+        this.notifyChange();
+        return moving.map(track => newIndex.get(track));
+    }
+    
+    // Stable sort on several keys, [{ field, descending }], the first deciding most. Albums keep
+    // their disc and track order within. The playing track and shuffle round follow the tracks.
+    sortTracks(keys) {
+        const comparators = keys.flatMap(key => (key.field === 'album'
+            ? [key, { field: 'discNumber', descending: false }, { field: 'trackNumber', descending: false }]
+            : [key]));
+        
+        const order = this.tracks.map((track, index) => index).sort((a, b) => {
+            for (const { field, descending } of comparators) {
+                const result = SmartPlaylist.compare(this.tracks[a], this.tracks[b], field, descending);
+                if (result !== 0) return result;
+            }
+            return a - b;
+        });
+        
+        const newIndex = new Array(order.length);
+        order.forEach((oldIndex, index) => {
+            newIndex[oldIndex] = index;
+        });
+        const follow = (index) => newIndex[index] ?? index;
+        this.currentIndex = follow(this.currentIndex);
+        this.shuffledIndices = this.shuffledIndices.map(follow);
+        this.tracks = order.map(index => this.tracks[index]);
         
+        this.notifyChange();
+        this.sortKeys = keys;
         return true;
     }
     
+    // Highest first, so the indices still to go stay valid
+    removeTracks(indices) {
+        return [...new Set(indices)]
+            .sort((a, b) => b - a)
+            .filter(index => this.removeTrack(index))
+            .length;
+    }
+    
     getCurrentTrack() {
         if (this.currentIndex >= 0 && this.currentIndex < this.tracks.length) {
             return this.tracks[this.currentIndex];
@@ -98,6 +262,7 @@ class PlaylistManager {
     setCurrentIndex(index) {
         if (index >= 0 && index < this.tracks.length) {
             this.currentIndex = index;
+            this.recordHistory();
             return true;
         }
         return false;
@@ -106,12 +271,29 @@ class PlaylistManager {
     next() {
         if (this.tracks.length === 0) return null;
         
+        if (this.queue.length > 0) {
+            const queued = this.takeFromQueue();
+            this.recordHistory();
+            return queued;
+        }
+        
+        // After going back in shuffle mode, Next retraces the history first
+        if (this.shuffleMode) {
+            const forward = this.stepHistory(1);
+            if (forward) return forward;
+        }
+        
+        // Back from the queue, the playlist carries on after the track it interrupted
+        const fromIndex = this.getQueueReturnIndex();
+        this.queueReturnTrack = null;
+        this.removedCurrent = null;
+        
         let nextIndex;
         
         if (this.shuffleMode) {
             nextIndex = this.getNextShuffleIndex();
         } else {
-            nextIndex = this.currentIndex + 1;
+            nextIndex = fromIndex + 1;
             
             if (nextIndex >= this.tracks.length) {
                 if (this.repeatMode === 'all') {
@@ -123,32 +305,151 @@ class PlaylistManager {
         }
         
         this.currentIndex = nextIndex;
+        this.recordHistory();
         return this.getCurrentTrack();
     }
     
+    peekNextIndex() {
+        // Index next() will move to, without moving (-1 at end of playlist)
+        if (this.tracks.length === 0) return -1;
+        
+        if (this.queue.length > 0) {
+            return this.tracks.indexOf(this.queue[0]);
+        }
+        
+        if (this.shuffleMode) {
+            const forward = this.peekHistory(1);
+            if (forward !== -1) return forward;
+            
+            if (this.shuffledIndices.length === 0) {
+                this.updateShuffleOrder();
+            }
+            return this.shuffledIndices.length > 0 ? this.shuffledIndices[0] : this.currentIndex;
+        }
+        
+        const nextIndex = this.getQueueReturnIndex() + 1;
+        if (nextIndex < this.tracks.length) {
+            return nextIndex;
+        }
+        return this.repeatMode === 'all' ? 0 : -1;
+    }
+    
     previous() {
         if (this.tracks.length === 0) return null;
         
-        let prevIndex;
+        const fromIndex = this.getRemovedCurrentIndex();
+        this.queueReturnTrack = null;
+        this.removedCurrent = null;
         
+        // In shuffle mode, back through the tracks actually played, staying put at the first one
         if (this.shuffleMode) {
-            prevIndex = this.getPreviousShuffleIndex();
-        } else {
-            prevIndex = this.currentIndex - 1;
-            
-            if (prevIndex < 0) {
-                if (this.repeatMode === 'all') {
-                    prevIndex = this.tracks.length - 1;
-                } else {
-                    prevIndex = 0; // Stay at beginning
-                }
+            return this.stepHistory(-1) || this.getCurrentTrack();
+        }
+        
+        let prevIndex = (fromIndex !== -1 ? fromIndex : this.currentIndex) - 1;
+        
+        if (prevIndex < 0) {
+            if (this.repeatMode === 'all') {
+                prevIndex = this.tracks.length - 1;
+            } else {
+                prevIndex = 0; // Stay at beginning
             }
         }
         
         this.currentIndex = prevIndex;
+        this.recordHistory();
         return this.getCurrentTrack();
     }
     
+    // Queues the track at index, in front of the queue for "play next"
+    queueTrack(index, playNext = false) {
+        const track = this.getTrackAt(index);
+        if (!track) return false;
+        
+        if (playNext) {
+            this.queue.unshift(track);
+        } else {
+            this.queue.push(track);
+        }
+        this.notifyQueueChange();
+        return true;
+    }
+    
+    moveQueueItem(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.queue.length ||
+            toIndex < 0 || toIndex >= this.queue.length) {
+            return false;
+        }
+        
+        const [track] = this.queue.splice(fromIndex, 1);
+        this.queue.splice(toIndex, 0, track);
+        this.notifyQueueChange();
+        return true;
+    }
+    
+    removeQueueItem(index) {
+        if (index < 0 || index >= this.queue.length) return false;
+        
+        this.queue.splice(index, 1);
+        this.notifyQueueChange();
+        return true;
+    }
+    
+    clearQueue() {
+        this.queue = [];
+        this.notifyQueueChange();
+    }
+    
+    // A track picked by hand ends the detour, the playlist goes on from there
+    clearQueueReturn() {
+        this.queueReturnTrack = null;
+    }
+    
+    resetQueue() {
+        this.queueReturnTrack = null;
+        this.removedCurrent = null;
+        if (this.queue.length > 0) {
+            this.clearQueue();
+        }
+    }
+    
+    takeFromQueue() {
+        const track = this.queue.shift();
+        if (!this.queueReturnTrack) {
+            this.queueReturnTrack = this.getCurrentTrack();
+        }
+        this.currentIndex = this.tracks.indexOf(track);
+        
+        // Don't play it again in this shuffle round
+        this.shuffledIndices = this.shuffledIndices.filter(index => index !== this.currentIndex);
+        
+        this.notifyQueueChange();
+        return track;
+    }
+    
+    getQueueReturnIndex() {
+        const index = this.queueReturnTrack ? this.tracks.indexOf(this.queueReturnTrack) : -1;
+        if (index !== -1) return index;
+        
+        // With the playing track removed, carry on just before the one that took its place
+        const removedIndex = this.getRemovedCurrentIndex();
+        return removedIndex !== -1 ? removedIndex - 1 : this.currentIndex;
+    }
+    
+    // Index of the track that took the removed playing track's place, the length at the end, or -1
+    getRemovedCurrentIndex() {
+        if (!this.removedCurrent || this.currentIndex !== -1) return -1;
+        
+        const { next } = this.removedCurrent;
+        return next ? this.tracks.indexOf(next) : this.tracks.length;
+    }
+    
+    notifyQueueChange() {
+        if (this.onQueueChange) {
+            this.onQueueChange(this.queue);
+        }
+    }
+    
     setShuffleMode(enabled) {
         this.shuffleMode = enabled;
         
@@ -159,26 +460,115 @@ class PlaylistManager {
         }
     }
     
+    setShuffleStrategy(strategy) {
+        this.shuffleStrategy = SHUFFLE_STRATEGIES[strategy] ? strategy : DEFAULT_SHUFFLE_STRATEGY;
+        
+        if (this.shuffleMode) {
+            this.updateShuffleOrder();
+        }
+    }
+    
     setRepeatMode(mode) {
         // mode can be 'none', 'one', 'all'
         this.repeatMode = mode;
     }
     
     updateShuffleOrder() {
-        this.shuffledIndices = [];
+        const indices = [];
         
         for (let i = 0; i < this.tracks.length; i++) {
             if (i !== this.currentIndex) {
-                this.shuffledIndices.push(i);
+                indices.push(i);
             }
         }
         
-        // Fisher-Yates shuffle
-        for (let i = this.shuffledIndices.length - 1; i > 0; i--) {
+        switch (this.shuffleStrategy) {
+            case 'album':
+                this.shuffledIndices = this.getAlbumShuffleOrder(indices);
+                break;
+            case 'artist':
+                this.shuffledIndices = this.getArtistSpreadOrder(this.shuffleArray(indices));
+                break;
+            case 'weighted':
+                this.shuffledIndices = this.getWeightedShuffleOrder(indices);
+                break;
+            default:
+                this.shuffledIndices = this.shuffleArray(indices);
+        }
+    }
+    
+    // Fisher-Yates shuffle, in place
+    shuffleArray(items) {
+        for (let i = items.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
-            [this.shuffledIndices[i], this.shuffledIndices[j]] = 
-            [this.shuffledIndices[j], this.shuffledIndices[i]];
+            [items[i], items[j]] = [items[j], items[i]];
         }
+        return items;
+    }
+    
+    // Albums in random order, each played through by disc and track number.
+    // The playing album finishes first, from the track after the current one.
+    getAlbumShuffleOrder(indices) {
+        const albums = new Map();
+        indices.forEach(index => {
+            const key = this.getAlbumKey(this.tracks[index]);
+            if (!albums.has(key)) {
+                albums.set(key, []);
+            }
+            albums.get(key).push(index);
+        });
+        
+        const position = (index) => {
+            const track = this.tracks[index];
+            return [track.discNumber || 0, track.trackNumber || 0, index];
+        };
+        const compare = (a, b) => {
+            const [pa, pb] = [position(a), position(b)];
+            return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+        };
+        albums.forEach(album => album.sort(compare));
+        
+        const current = this.getCurrentTrack();
+        const currentKey = current ? this.getAlbumKey(current) : null;
+        const rest = currentKey !== null && albums.has(currentKey)
+            ? albums.get(currentKey).filter(index => compare(index, this.currentIndex) > 0)
+            : [];
+        albums.delete(currentKey);
+        
+        return rest.concat(...this.shuffleArray([...albums.values()]));
+    }
+    
+    // Moves tracks so the same artist doesn't play twice in a row where another can go between.
+    // The artist playing now counts as the one before the first track.
+    getArtistSpreadOrder(order) {
+        const artistOf = (index) => (this.tracks[index].artist || '').toLowerCase();
+        const current = this.getCurrentTrack();
+        let previous = current ? (current.artist || '').toLowerCase() : null;
+        
+        for (let i = 0; i < order.length; i++) {
+            if (artistOf(order[i]) === previous) {
+                // Swap in the next track by someone else, if there still is one
+                const j = order.findIndex((index, k) => k > i && artistOf(index) !== previous);
+                if (j !== -1) {
+                    [order[i], order[j]] = [order[j], order[i]];
+                }
+            }
+            previous = artistOf(order[i]);
+        }
+        return order;
+    }
+    
+    // Weighted random order (Efraimidis-Spirakis): higher rated and more played tracks come earlier.
+    // Unrated tracks weigh as a middle rating, weights run from 1 to 5 before the play count.
+    getWeightedShuffleOrder(indices) {
+        const weight = (track) => {
+            const rating = track.rating ?? 0.5;
+            return (1 + 4 * rating) * (1 + Math.log2(1 + (track.playCount || 0)));
+        };
+        return indices
+            .map(index => ({ index, key: Math.pow(Math.random(), 1 / weight(this.tracks[index])) }))
+            .sort((a, b) => b.key - a.key)
+            .map(entry => entry.index);
     }
     
     getNextShuffleIndex() {
@@ -199,10 +589,100 @@ class PlaylistManager {
         return nextIndex;
     }
     
-    getPreviousShuffleIndex() {
-        // In shuffle mode, previous goes back in play history
-        // For simplicity, we'll just go to a random track
-        return this.getNextShuffleIndex();
+    // Notes the current track as played; going somewhere new drops the tracks ahead
+    recordHistory() {
+        const track = this.getCurrentTrack();
+        if (!track || this.history[this.historyPosition] === track) return;
+        
+        this.history.splice(this.historyPosition + 1);
+        this.history.push(track);
+        if (this.history.length > PLAYBACK_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+        this.historyPosition = this.history.length - 1;
+    }
+    
+    // Index of the history entry direction (-1 or 1) steps away, -1 if there is none.
+    // Entries of the current track are passed over, removals can leave them side by side.
+    findHistoryPosition(direction) {
+        const current = this.getCurrentTrack();
+        let position = this.historyPosition + direction;
+        while (position >= 0 && position < this.history.length && this.history[position] === current) {
+            position += direction;
+        }
+        return position >= 0 && position < this.history.length ? position : -1;
+    }
+    
+    peekHistory(direction) {
+        const position = this.findHistoryPosition(direction);
+        return position === -1 ? -1 : this.tracks.indexOf(this.history[position]);
+    }
+    
+    stepHistory(direction) {
+        const position = this.findHistoryPosition(direction);
+        if (position === -1) return null;
+        
+        this.historyPosition = position;
+        this.currentIndex = this.tracks.indexOf(this.history[position]);
+        return this.getCurrentTrack();
+    }
+    
+    removeFromHistory(track) {
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            if (this.history[i] !== track) continue;
+            this.history.splice(i, 1);
+            if (i <= this.historyPosition) {
+                this.historyPosition--;
+            }
+        }
+        if (this.historyPosition < 0 && this.history.length > 0) {
+            this.historyPosition = 0;
+        }
+    }
+    
+    resetHistory() {
+        this.history = [];
+        this.historyPosition = -1;
+    }
+    
+    getAlbumKey(track) {
+        // Tagged album when known, otherwise the folder the file lives in.
+        // Untagged album artists fall back to the folder so same-named albums stay apart.
+        const path = track.path.replace(/\\/g, '/');
+        const folder = path.slice(0, path.lastIndexOf('/'));
+        if (track.album) {
+            return `album:${track.album}\u0000${track.albumArtist || folder}`;
+        }
+        return `folder:${folder}`;
+    }
+    
+    getAlbumTracks(track) {
+        const key = this.getAlbumKey(track);
+        return this.tracks.filter(t => this.getAlbumKey(t) === key);
+    }
+    
+    updateTracksByPath(filePath, fields) {
+        // Per-file data (tags, loudness) is shared by every entry of the same file
+        this.tracks
+            .filter(track => track.path === filePath)
+            .forEach(track => Object.assign(track, fields));
+    }
+    
+    renameTrackPath(fromPath, toPath) {
+        // Keep entries playable when the file is renamed or moved on disk
+        let renamed = 0;
+        this.tracks.forEach(track => {
+            if (track.path !== fromPath) return;
+            if (track.name === this.getFileNameFromPath(fromPath)) {
+                track.name = this.getFileNameFromPath(toPath);
+            }
+            track.path = toPath;
+            renamed++;
+        });
+        if (renamed > 0) {
+            this.notifyChange();
+        }
+        return renamed;
     }
     
     getFileNameFromPath(filePath) {
@@ -220,14 +700,216 @@ class PlaylistManager {
         return this.tracks.length;
     }
     
+    notifyChange() {
+        // Any edit may undo the order of the last sort
+        this.sortKeys = [];
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+    
+    serializeTrack(track) {
+        const data = {};
+        PLAYLIST_TRACK_FIELDS.forEach(field => {
+            data[field] = track[field] ?? null;
+        });
+        return data;
+    }
+    
+    createTrackEntries(tracks) {
+        return tracks.map(track => ({
+            id: Date.now() + Math.random(),
+            ...track
+        }));
+    }
+    
+    createPlaylistId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+    
+    getPlaylist(id) {
+        return this.playlists.find(playlist => playlist.id === id) || null;
+    }
+    
+    getActivePlaylist() {
+        this.syncActivePlaylist();
+        return this.getPlaylist(this.activePlaylistId);
+    }
+    
+    // Writes the working copy back so the active playlist's record is current
+    syncActivePlaylist() {
+        const playlist = this.getPlaylist(this.activePlaylistId);
+        if (playlist) {
+            playlist.tracks = this.tracks;
+            playlist.currentIndex = this.currentIndex;
+        }
+    }
+    
+    createPlaylist(name, tracks = [], query = null) {
+        const playlist = {
+            id: this.createPlaylistId(),
+            name,
+            tracks: this.createTrackEntries(tracks),
+            currentIndex: -1,
+            position: 0,
+            query
+        };
+        this.playlists.push(playlist);
+        return playlist;
+    }
+    
+    renamePlaylist(id, name) {
+        const playlist = this.getPlaylist(id);
+        if (!playlist) return null;
+        
+        playlist.name = name;
+        return playlist;
+    }
+    
+    duplicatePlaylist(id, name) {
+        const source = id === this.activePlaylistId ? this.getActivePlaylist() : this.getPlaylist(id);
+        if (!source) return null;
+        
+        const copy = {
+            id: this.createPlaylistId(),
+            name,
+            tracks: this.createTrackEntries(source.tracks.map(track => this.serializeTrack(track))),
+            currentIndex: source.currentIndex,
+            position: source.position,
+            query: source.query ? JSON.parse(JSON.stringify(source.query)) : null
+        };
+        this.playlists.splice(this.playlists.indexOf(source) + 1, 0, copy);
+        return copy;
+    }
+    
+    deletePlaylist(id) {
+        const index = this.playlists.findIndex(playlist => playlist.id === id);
+        if (index === -1) return false;
+        
+        this.playlists.splice(index, 1);
+        if (id === this.activePlaylistId) {
+            this.activePlaylistId = null;
+        }
+        return true;
+    }
+    
+    switchPlaylist(id) {
+        const playlist = this.getPlaylist(id);
+        if (!playlist) return false;
+        
+        this.syncActivePlaylist();
+        this.activePlaylistId = id;
+        this.tracks = playlist.tracks;
+        this.currentIndex = playlist.currentIndex;
+        this.shuffledIndices = [];
+        this.sortKeys = [];
+        this.resetQueue();
+        this.resetHistory();
+        this.recordHistory();
+        
+        if (this.shuffleMode) {
+            this.updateShuffleOrder();
+        }
+        
+        return true;
+    }
+    
+    serializePlaylist(playlist) {
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            tracks: playlist.tracks.map(track => this.serializeTrack(track)),
+            currentIndex: playlist.currentIndex,
+            position: playlist.position,
+            query: playlist.query || null
+        };
+    }
+    
+    // Copies of the active playlist's tracks at the end of another playlist
+    copyTracksToPlaylist(id, indices) {
+        const playlist = this.getPlaylist(id);
+        if (!playlist || id === this.activePlaylistId) return null;
+        
+        const tracks = indices
+            .map(index => this.getTrackAt(index))
+            .filter(Boolean)
+            .map(track => this.serializeTrack(track));
+        playlist.tracks.push(...this.createTrackEntries(tracks));
+        return playlist;
+    }
+    
+    setPlaylistQuery(id, query) {
+        const playlist = this.getPlaylist(id);
+        if (!playlist) return null;
+        
+        playlist.query = query;
+        return playlist;
+    }
+    
+    // Puts a smart playlist's new results in place. The current track, the queue and the history
+    // follow their files into the new entries. Returns false when nothing changed.
+    replacePlaylistTracks(id, tracks) {
+        const playlist = id === this.activePlaylistId ? this.getActivePlaylist() : this.getPlaylist(id);
+        if (!playlist) return false;
+        
+        const paths = tracks.map(track => track.path);
+        if (paths.join('\u0000') === playlist.tracks.map(track => track.path).join('\u0000')) {
+            return false;
+        }
+        
+        const current = playlist.tracks[playlist.currentIndex];
+        const entries = this.createTrackEntries(tracks.map(track => this.serializeTrack(track)));
+        playlist.tracks = entries;
+        playlist.currentIndex = current ? paths.indexOf(current.path) : -1;
+        
+        if (id === this.activePlaylistId) {
+            const byPath = new Map(entries.map(entry => [entry.path, entry]));
+            const follow = (track) => (track ? byPath.get(track.path) || null : null);
+            
+            this.tracks = entries;
+            this.currentIndex = playlist.currentIndex;
+            this.queue = this.queue.map(follow).filter(Boolean);
+            this.queueReturnTrack = follow(this.queueReturnTrack);
+            this.history = this.history.map(follow).filter(Boolean);
+            this.historyPosition = Math.min(this.historyPosition, this.history.length - 1);
+            if (this.shuffleMode) {
+                this.updateShuffleOrder();
+            }
+            this.notifyQueueChange();
+        }
+        return true;
+    }
+    
+    // Play counts belong to the file, every entry of it in every playlist goes up.
+    // Returns the playlists that changed.
+    countPlay(filePath) {
+        this.syncActivePlaylist();
+        return this.playlists.filter(playlist => {
+            const entries = playlist.tracks.filter(track => track.path === filePath);
+            entries.forEach(track => {
+                track.playCount = (track.playCount || 0) + 1;
+            });
+            return entries.length > 0;
+        });
+    }
+    
+    loadPlaylists(state) {
+        // state as stored by the main process: { activeId, playlists }
+        this.playlists = (state.playlists || []).map(playlist => ({
+            ...playlist,
+            tracks: this.createTrackEntries(playlist.tracks || []),
+            currentIndex: playlist.currentIndex ?? -1,
+            position: playlist.position || 0
+        }));
+        this.activePlaylistId = null;
+        
+        const active = this.getPlaylist(state.activeId) || this.playlists[0];
+        return active ? this.switchPlaylist(active.id) : false;
+    }
+    
     exportPlaylist() {
         return {
-            tracks: this.tracks.map(track => ({
-                path: track.path,
-                name: track.name,
-                artist: track.artist,
-                duration: track.duration
-            })),
+            tracks: this.tracks.map(track => this.serializeTrack(track)),
             currentIndex: this.currentIndex,
             shuffleMode: this.shuffleMode,
             repeatMode: this.repeatMode
@@ -237,10 +919,9 @@ class PlaylistManager {
     importPlaylist(data) {
         if (!data || !data.tracks) return false;
         
-        this.tracks = data.tracks.map(track => ({
-            id: Date.now() + Math.random(),
-            ...track
-        }));
+        this.tracks = this.createTrackEntries(data.tracks);
+        this.resetQueue();
+        this.resetHistory();
         
         this.currentIndex = data.currentIndex || -1;
         this.shuffleMode = data.shuffleMode || false;
@@ -250,16 +931,76 @@ class PlaylistManager {
             this.updateShuffleOrder();
         }
         
+        this.notifyChange();
         return true;
     }
     
+    // Every word of the query has to match one of the fields. Best matches first, as
+    // { index, track, score, matches } with matches holding the matched positions per field.
     searchTracks(query) {
-        const lowerQuery = query.toLowerCase();
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+        
+        const results = [];
+        this.tracks.forEach((track, index) => {
+            const matches = {};
+            let score = 0;
+            const found = terms.every(term => {
+                let best = null;
+                SEARCH_FIELDS.forEach(field => {
+                    const value = SMART_FIELDS[field].get(track);
+                    const match = value ? PlaylistManager.fuzzyMatch(value.toString(), term) : null;
+                    if (match && (!best || match.score > best.score)) {
+                        best = { field, ...match };
+                    }
+                });
+                if (!best) return false;
+                
+                score += best.score;
+                matches[best.field] = (matches[best.field] || []).concat(best.positions);
+                return true;
+            });
+            if (found) {
+                results.push({ index, track, score, matches });
+            }
+        });
+        return results.sort((a, b) => b.score - a.score || a.index - b.index);
+    }
+    
+    // A substring scores best, more so at the start of a word. Otherwise the term's characters
+    // in order, as close together as possible; too scattered counts as no match unless each
+    // one starts a word.
+    static fuzzyMatch(text, term) {
+        const lower = text.toLowerCase();
+        const isWordStart = (i) => i === 0 || /[\s\-_.,/\\()[\]]/.test(lower[i - 1]);
+        
+        const start = lower.indexOf(term);
+        if (start !== -1) {
+            const positions = Array.from(term, (char, i) => start + i);
+            return { score: 100 + (isWordStart(start) ? 20 : 0) - Math.min(start, 50) * 0.2, positions };
+        }
+        
+        let best = null;
+        for (let first = lower.indexOf(term[0]); first !== -1; first = lower.indexOf(term[0], first + 1)) {
+            const positions = [first];
+            for (let i = 1; i < term.length; i++) {
+                const next = lower.indexOf(term[i], positions[i - 1] + 1);
+                if (next === -1) break;
+                positions.push(next);
+            }
+            if (positions.length < term.length) break;
+            
+            const span = positions[positions.length - 1] - first + 1;
+            if (!best || span < best.span) {
+                best = { span, positions };
+            }
+        }
+        if (!best) return null;
         
-        return this.tracks.filter(track => 
-            track.name.toLowerCase().includes(lowerQuery) ||
-            track.artist.toLowerCase().includes(lowerQuery)
-        );
+        // Initials ("omt" for One More Time) may be spread out
+        const wordStarts = best.positions.filter(isWordStart).length;
+        if (best.span > term.length * 3 && wordStarts < term.length) return null;
+        return { score: 50 * term.length / best.span + wordStarts * 5, positions: best.positions };
     }
 }
 
@@ -0,0 +1,154 @@
+// Smart Playlist - Rule queries over track fields, evaluated into a track list
+// A query is { match: 'all' | 'any', rules: [{ field, operator, value }], sort: { field, descending }, limit }.
+// Rule values are in the units shown in the editor: minutes, stars, days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field types decide the operators offered, get() reads the value in editor units
+const SMART_FIELDS = {
+    name: { label: 'Title', type: 'text', get: track => track.name },
+    artist: { label: 'Artist', type: 'text', get: track => (track.artist !== 'Unknown Artist' ? track.artist : null) },
+    album: { label: 'Album', type: 'text', get: track => track.album },
+    albumArtist: { label: 'Album Artist', type: 'text', get: track => track.albumArtist },
+    genre: { label: 'Genre', type: 'text', get: track => track.genre },
+    path: { label: 'File Path', type: 'text', get: track => track.path },
+    codec: { label: 'Format', type: 'text', get: track => track.codec },
+    year: { label: 'Year', type: 'number', get: track => track.year },
+    discNumber: { label: 'Disc Number', type: 'number', get: track => track.discNumber },
+    trackNumber: { label: 'Track Number', type: 'number', get: track => track.trackNumber },
+    duration: { label: 'Duration (min)', type: 'number', get: track => (track.duration ? track.duration / 60 : null) },
+    bitrate: { label: 'Bitrate (kbps)', type: 'number', get: track => track.bitrate || null },
+    playCount: { label: 'Play Count', type: 'number', get: track => track.playCount || 0 },
+    rating: { label: 'Rating (stars)', type: 'number', get: track => (typeof track.rating === 'number' ? track.rating * 5 : null) },
+    addedAt: { label: 'Date Added', type: 'date', get: track => track.addedAt || null }
+};
+
+const SMART_OPERATORS = {
+    text: {
+        contains: 'contains',
+        notContains: 'does not contain',
+        is: 'is',
+        isNot: 'is not',
+        startsWith: 'starts with'
+    },
+    number: {
+        eq: '=',
+        ne: '≠',
+        gt: '>',
+        gte: '≥',
+        lt: '<',
+        lte: '≤'
+    },
+    date: {
+        inLast: 'in the last (days)',
+        notInLast: 'not in the last (days)'
+    }
+};
+
+const DEFAULT_SMART_QUERY = {
+    match: 'all',
+    rules: [{ field: 'artist', operator: 'contains', value: '' }],
+    sort: { field: 'name', descending: false },
+    limit: 0
+};
+
+class SmartPlaylist {
+    // Matching tracks, sorted and cut to the limit. now is for testing date rules.
+    static evaluate(tracks, query, now = Date.now()) {
+        const rules = (query.rules || []).filter(rule => SMART_FIELDS[rule.field]);
+        const test = (track) => rule => SmartPlaylist.matches(track, rule, now);
+
+        let result = tracks.filter(track => {
+            if (rules.length === 0) return true;
+            return query.match === 'any' ? rules.some(test(track)) : rules.every(test(track));
+        });
+
+        if (query.sort && SMART_FIELDS[query.sort.field]) {
+            result = SmartPlaylist.sort(result, query.sort.field, query.sort.descending);
+        }
+        if (query.limit > 0) {
+            result = result.slice(0, query.limit);
+        }
+        return result;
+    }
+
+    static matches(track, rule, now = Date.now()) {
+        const field = SMART_FIELDS[rule.field];
+        const value = field.get(track);
+
+        switch (field.type) {
+            case 'text': {
+                const text = (value ?? '').toString().toLowerCase();
+                const target = (rule.value ?? '').toString().toLowerCase();
+                switch (rule.operator) {
+                    case 'contains': return text.includes(target);
+                    case 'notContains': return !text.includes(target);
+                    case 'is': return text === target;
+                    case 'isNot': return text !== target;
+                    case 'startsWith': return text.startsWith(target);
+                }
+                return false;
+            }
+            case 'number': {
+                // Unknown values (no rating, no duration yet) match nothing
+                const target = parseFloat(rule.value);
+                if (typeof value !== 'number' || isNaN(target)) return false;
+                switch (rule.operator) {
+                    case 'eq': return value === target;
+                    case 'ne': return value !== target;
+                    case 'gt': return value > target;
+                    case 'gte': return value >= target;
+                    case 'lt': return value < target;
+                    case 'lte': return value <= target;
+                }
+                return false;
+            }
+            case 'date': {
+                const days = parseFloat(rule.value);
+                if (typeof value !== 'number' || isNaN(days)) return false;
+                const inLast = value >= now - days * DAY_MS;
+                return rule.operator === 'notInLast' ? !inLast : inLast;
+            }
+        }
+        return false;
+    }
+
+    static sort(tracks, fieldKey, descending = false) {
+        return [...tracks].sort((a, b) => SmartPlaylist.compare(a, b, fieldKey, descending));
+    }
+
+    // Tracks without the field go last either way
+    static compare(a, b, fieldKey, descending = false) {
+        const field = SMART_FIELDS[fieldKey];
+        const valueA = field.get(a);
+        const valueB = field.get(b);
+        const missingA = valueA === null || valueA === undefined || valueA === '';
+        const missingB = valueB === null || valueB === undefined || valueB === '';
+        if (missingA || missingB) return missingA - missingB;
+
+        const direction = descending ? -1 : 1;
+        if (field.type === 'text') {
+            return direction * valueA.toString().localeCompare(valueB.toString(), undefined, { numeric: true, sensitivity: 'base' });
+        }
+        return direction * (valueA - valueB);
+    }
+
+    static getOperators(fieldKey) {
+        const field = SMART_FIELDS[fieldKey];
+        return field ? SMART_OPERATORS[field.type] : {};
+    }
+
+    // Fields a query reads, to know whether tags have to be loaded for it
+    static getFields(query) {
+        const fields = new Set((query.rules || []).map(rule => rule.field));
+        if (query.sort) {
+            fields.add(query.sort.field);
+        }
+        return fields;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SmartPlaylist, SMART_FIELDS, SMART_OPERATORS, DEFAULT_SMART_QUERY };
+}
@@ -0,0 +1,596 @@
+// Tag Reader - Embedded metadata from ID3v1/v2 (MP3), Vorbis comments (FLAC, Ogg) and RIFF INFO (WAV)
+
+// ID3v1 genre numbers, also used by "(17)" style ID3v2 TCON values
+const ID3_GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+    'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+    'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+    'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+    'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+    'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+    'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+    'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+    'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+    'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+    // Winamp extensions
+    'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin',
+    'Revival', 'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+    'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+    'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+    'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+    'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+    'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall'
+];
+
+// ID3v2.2 uses three-letter frame ids
+const ID3V22_FRAMES = {
+    TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS',
+    TYE: 'TYER', TCO: 'TCON', TXX: 'TXXX', PIC: 'APIC', POP: 'POPM'
+};
+
+const RIFF_INFO_FIELDS = {
+    INAM: 'title', IART: 'artist', IPRD: 'album', IGNR: 'genre', ICRD: 'year',
+    ITRK: 'trackNumber', IPRT: 'trackNumber'
+};
+
+class TagReader {
+    // Accepts an ArrayBuffer or a Uint8Array (e.g. the Buffer returned by readFile)
+    static read(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const tags = TagReader.createEmptyTags();
+
+        try {
+            if (TagReader.matches(bytes, 0, 'ID3')) {
+                const size = TagReader.readID3v2(bytes, 0, tags);
+                // FLAC files occasionally carry an ID3v2 tag in front
+                if (TagReader.matches(bytes, size, 'fLaC')) {
+                    TagReader.readFlac(bytes, size, tags);
+                }
+            } else if (TagReader.matches(bytes, 0, 'fLaC')) {
+                TagReader.readFlac(bytes, 0, tags);
+            } else if (TagReader.matches(bytes, 0, 'OggS')) {
+                TagReader.readOgg(bytes, tags);
+            } else if (TagReader.matches(bytes, 0, 'RIFF') && TagReader.matches(bytes, 8, 'WAVE')) {
+                TagReader.readRiff(bytes, tags);
+            }
+
+            // ID3v1 only fills what the richer tags left empty
+            TagReader.readID3v1(bytes, tags);
+        } catch (error) {
+            console.error('Failed to read tags:', error);
+        }
+
+        return tags;
+    }
+
+    static createEmptyTags() {
+        return {
+            title: null,
+            artist: null,
+            album: null,
+            albumArtist: null,
+            trackNumber: null,
+            trackTotal: null,
+            discNumber: null,
+            discTotal: null,
+            year: null,
+            genre: null,
+            rating: null, // 0-1
+            pictures: [], // { mimeType, type, description, data: Uint8Array }
+            custom: {} // TXXX frames and raw Vorbis comments, upper-case keys
+        };
+    }
+
+    // ---- ID3v2 ----
+
+    static readID3v2(bytes, offset, tags) {
+        const version = bytes[offset + 3];
+        const flags = bytes[offset + 5];
+        const tagSize = TagReader.readSyncsafe(bytes, offset + 6);
+        const end = Math.min(bytes.length, offset + 10 + tagSize);
+
+        let body = bytes.subarray(offset + 10, end);
+        // v2.2/v2.3 unsynchronisation applies to the whole tag
+        if ((flags & 0x80) && version < 4) {
+            body = TagReader.removeUnsync(body);
+        }
+
+        let position = 0;
+        if ((flags & 0x40) && version >= 3) {
+            // Skip the extended header
+            position = version === 4
+                ? TagReader.readSyncsafe(body, 0)
+                : TagReader.readUint32BE(body, 0) + 4;
+        }
+
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+
+        while (position + headerLength <= body.length) {
+            let id = TagReader.readLatin1(body, position, idLength);
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+            let size;
+            let frameFlags = 0;
+            if (version === 2) {
+                size = (body[position + 3] << 16) | (body[position + 4] << 8) | body[position + 5];
+                id = ID3V22_FRAMES[id] || id;
+            } else {
+                size = version === 4
+                    ? TagReader.readSyncsafe(body, position + 4)
+                    : TagReader.readUint32BE(body, position + 4);
+                frameFlags = (body[position + 8] << 8) | body[position + 9];
+            }
+
+            let data = body.subarray(position + headerLength, position + headerLength + size);
+            position += headerLength + size;
+
+            if (version === 4) {
+                if (frameFlags & 0x000C) continue; // Compressed or encrypted
+                if (frameFlags & 0x0001) data = data.subarray(4); // Data length indicator
+                if (frameFlags & 0x0002) data = TagReader.removeUnsync(data);
+            } else if (version === 3) {
+                if (frameFlags & 0x00C0) continue; // Compressed or encrypted
+                if (frameFlags & 0x0020) data = data.subarray(1); // Grouping id
+            }
+
+            TagReader.applyID3Frame(id, data, tags, version);
+        }
+
+        return 10 + tagSize + ((flags & 0x10) ? 10 : 0); // Footer
+    }
+
+    static applyID3Frame(id, data, tags, version) {
+        if (data.length === 0) return;
+
+        switch (id) {
+            case 'TIT2':
+                tags.title = TagReader.readID3Text(data);
+                break;
+            case 'TPE1':
+                tags.artist = TagReader.readID3Text(data);
+                break;
+            case 'TALB':
+                tags.album = TagReader.readID3Text(data);
+                break;
+            case 'TPE2':
+                tags.albumArtist = TagReader.readID3Text(data);
+                break;
+            case 'TRCK':
+                [tags.trackNumber, tags.trackTotal] = TagReader.parsePosition(TagReader.readID3Text(data));
+                break;
+            case 'TPOS':
+                [tags.discNumber, tags.discTotal] = TagReader.parsePosition(TagReader.readID3Text(data));
+                break;
+            case 'TDRC':
+            case 'TYER':
+                tags.year = TagReader.parseYear(TagReader.readID3Text(data));
+                break;
+            case 'TCON':
+                tags.genre = TagReader.parseGenre(TagReader.readID3Text(data));
+                break;
+            case 'TXXX': {
+                const [description, value] = TagReader.readID3Strings(data, 2);
+                if (description) {
+                    tags.custom[description.toUpperCase()] = value || '';
+                }
+                break;
+            }
+            case 'APIC':
+                TagReader.readID3Picture(data, tags, version);
+                break;
+            case 'POPM': {
+                // Owner e-mail, then the rating byte, 1-255 (0 is unrated)
+                const emailEnd = data.indexOf(0);
+                const rating = emailEnd >= 0 ? data[emailEnd + 1] : 0;
+                if (rating > 0 && tags.rating === null) {
+                    tags.rating = rating / 255;
+                }
+                break;
+            }
+        }
+    }
+
+    static readID3Picture(data, tags, version) {
+        const encoding = data[0];
+        let position = 1;
+        let mimeType;
+
+        if (version === 2) {
+            // PIC: three-letter image format instead of a MIME type
+            const format = TagReader.readLatin1(data, 1, 3).toLowerCase();
+            mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+            position = 4;
+        } else {
+            const mimeEnd = data.indexOf(0, position);
+            if (mimeEnd < 0) return;
+            mimeType = TagReader.readLatin1(data, position, mimeEnd - position) || 'image/jpeg';
+            if (!mimeType.includes('/')) {
+                mimeType = `image/${mimeType.toLowerCase()}`;
+            }
+            position = mimeEnd + 1;
+        }
+
+        const type = data[position];
+        position++;
+
+        const descriptionEnd = TagReader.findTerminator(data, position, encoding);
+        const description = TagReader.decodeText(data.subarray(position, descriptionEnd), encoding);
+        position = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+        tags.pictures.push({
+            mimeType,
+            type,
+            description,
+            data: data.slice(position)
+        });
+    }
+
+    // First value of a text frame, v2.4 multi-value lists are joined
+    static readID3Text(data) {
+        const values = TagReader.readID3Strings(data).filter(value => value !== '');
+        return values.length > 0 ? values.join(', ') : null;
+    }
+
+    static readID3Strings(data, limit = Infinity) {
+        const encoding = data[0];
+        const terminatorLength = encoding === 1 || encoding === 2 ? 2 : 1;
+        const values = [];
+        let position = 1;
+
+        while (position < data.length && values.length < limit) {
+            const end = values.length === limit - 1
+                ? data.length
+                : TagReader.findTerminator(data, position, encoding);
+            values.push(TagReader.decodeText(data.subarray(position, end), encoding).replace(/\0+$/, ''));
+            position = end + terminatorLength;
+        }
+
+        return values;
+    }
+
+    static findTerminator(data, start, encoding) {
+        if (encoding === 1 || encoding === 2) {
+            for (let i = start; i + 1 < data.length; i += 2) {
+                if (data[i] === 0 && data[i + 1] === 0) return i;
+            }
+            return data.length;
+        }
+        const end = data.indexOf(0, start);
+        return end < 0 ? data.length : end;
+    }
+
+    static decodeText(data, encoding) {
+        switch (encoding) {
+            case 1: // UTF-16 with BOM
+                if (data[0] === 0xFE && data[1] === 0xFF) {
+                    return new TextDecoder('utf-16be').decode(data.subarray(2));
+                }
+                if (data[0] === 0xFF && data[1] === 0xFE) {
+                    return new TextDecoder('utf-16le').decode(data.subarray(2));
+                }
+                return new TextDecoder('utf-16le').decode(data);
+            case 2:
+                return new TextDecoder('utf-16be').decode(data);
+            case 3:
+                return new TextDecoder('utf-8').decode(data);
+            default:
+                return new TextDecoder('latin1').decode(data);
+        }
+    }
+
+    static readID3v1(bytes, tags) {
+        const offset = bytes.length - 128;
+        if (offset < 0 || !TagReader.matches(bytes, offset, 'TAG')) return;
+
+        const field = (start, length) => {
+            const text = TagReader.readLatin1(bytes, offset + start, length)
+                .replace(/\0.*$/, '')
+                .trim();
+            return text || null;
+        };
+
+        tags.title = tags.title || field(3, 30);
+        tags.artist = tags.artist || field(33, 30);
+        tags.album = tags.album || field(63, 30);
+        tags.year = tags.year || TagReader.parseYear(field(93, 4));
+
+        // ID3v1.1 stores the track number in the last comment byte
+        if (!tags.trackNumber && bytes[offset + 125] === 0 && bytes[offset + 126] !== 0) {
+            tags.trackNumber = bytes[offset + 126];
+        }
+        if (!tags.genre && ID3_GENRES[bytes[offset + 127]]) {
+            tags.genre = ID3_GENRES[bytes[offset + 127]];
+        }
+    }
+
+    // ---- FLAC / Ogg ----
+
+    static readFlac(bytes, offset, tags) {
+        let position = offset + 4;
+        let isLast = false;
+
+        while (!isLast && position + 4 <= bytes.length) {
+            const header = bytes[position];
+            isLast = (header & 0x80) !== 0;
+            const type = header & 0x7F;
+            const length = (bytes[position + 1] << 16) | (bytes[position + 2] << 8) | bytes[position + 3];
+            const block = bytes.subarray(position + 4, position + 4 + length);
+            position += 4 + length;
+
+            if (type === 4) {
+                TagReader.readVorbisComments(block, tags);
+            } else if (type === 6) {
+                TagReader.readFlacPicture(block, tags);
+            }
+        }
+    }
+
+    static readOgg(bytes, tags) {
+        // The comment header is the second packet of the first logical stream
+        const packets = [];
+        let current = [];
+        let serial = null;
+        let position = 0;
+
+        while (packets.length < 2 && TagReader.matches(bytes, position, 'OggS')) {
+            const pageSerial = TagReader.readUint32LE(bytes, position + 14);
+            const segmentCount = bytes[position + 26];
+            const segments = bytes.subarray(position + 27, position + 27 + segmentCount);
+            let dataPosition = position + 27 + segmentCount;
+
+            if (serial === null) {
+                serial = pageSerial;
+            }
+            const ownPage = pageSerial === serial;
+
+            for (let i = 0; i < segments.length; i++) {
+                if (ownPage) {
+                    current.push(bytes.subarray(dataPosition, dataPosition + segments[i]));
+                    // A segment shorter than 255 bytes ends the packet
+                    if (segments[i] < 255) {
+                        packets.push(TagReader.concat(current));
+                        current = [];
+                        if (packets.length === 2) break;
+                    }
+                }
+                dataPosition += segments[i];
+            }
+            position = dataPosition;
+        }
+
+        const packet = packets[1];
+        if (!packet) return;
+
+        if (packet[0] === 3 && TagReader.matches(packet, 1, 'vorbis')) {
+            TagReader.readVorbisComments(packet.subarray(7), tags);
+        } else if (TagReader.matches(packet, 0, 'OpusTags')) {
+            TagReader.readVorbisComments(packet.subarray(8), tags);
+        }
+    }
+
+    static readVorbisComments(data, tags) {
+        const decoder = new TextDecoder('utf-8');
+        const vendorLength = TagReader.readUint32LE(data, 0);
+        let position = 4 + vendorLength;
+        const count = TagReader.readUint32LE(data, position);
+        position += 4;
+
+        const fields = {};
+        for (let i = 0; i < count && position + 4 <= data.length; i++) {
+            const length = TagReader.readUint32LE(data, position);
+            const comment = decoder.decode(data.subarray(position + 4, position + 4 + length));
+            position += 4 + length;
+
+            const separator = comment.indexOf('=');
+            if (separator <= 0) continue;
+            const key = comment.slice(0, separator).toUpperCase();
+            const value = comment.slice(separator + 1);
+            (fields[key] = fields[key] || []).push(value);
+        }
+
+        const first = (...keys) => {
+            const key = keys.find(name => fields[name]);
+            return key ? fields[key][0] : null;
+        };
+        const toNumber = (value) => {
+            const number = parseInt(value, 10);
+            return isNaN(number) ? null : number;
+        };
+
+        tags.title = first('TITLE');
+        tags.artist = fields.ARTIST ? fields.ARTIST.join(', ') : null;
+        tags.album = first('ALBUM');
+        tags.albumArtist = first('ALBUMARTIST', 'ALBUM ARTIST');
+        [tags.trackNumber, tags.trackTotal] = TagReader.parsePosition(first('TRACKNUMBER'));
+        [tags.discNumber, tags.discTotal] = TagReader.parsePosition(first('DISCNUMBER'));
+        tags.trackTotal = toNumber(first('TRACKTOTAL', 'TOTALTRACKS')) ?? tags.trackTotal;
+        tags.discTotal = toNumber(first('DISCTOTAL', 'TOTALDISCS')) ?? tags.discTotal;
+        tags.year = TagReader.parseYear(first('DATE', 'YEAR'));
+        tags.genre = first('GENRE');
+        tags.rating = TagReader.parseRating(first('FMPS_RATING'), 1) ?? TagReader.parseRating(first('RATING'));
+
+        (fields.METADATA_BLOCK_PICTURE || []).forEach(encoded => {
+            TagReader.readFlacPicture(TagReader.decodeBase64(encoded), tags);
+        });
+
+        Object.keys(fields).forEach(key => {
+            if (key !== 'METADATA_BLOCK_PICTURE') {
+                tags.custom[key] = fields[key][0];
+            }
+        });
+    }
+
+    static readFlacPicture(data, tags) {
+        if (data.length < 32) return;
+
+        const type = TagReader.readUint32BE(data, 0);
+        const mimeLength = TagReader.readUint32BE(data, 4);
+        const mimeType = TagReader.readLatin1(data, 8, mimeLength);
+        let position = 8 + mimeLength;
+        const descriptionLength = TagReader.readUint32BE(data, position);
+        const description = new TextDecoder('utf-8')
+            .decode(data.subarray(position + 4, position + 4 + descriptionLength));
+        position += 4 + descriptionLength + 16; // Width, height, depth, colors
+        const dataLength = TagReader.readUint32BE(data, position);
+        position += 4;
+
+        tags.pictures.push({
+            mimeType: mimeType || 'image/jpeg',
+            type,
+            description,
+            data: data.slice(position, position + dataLength)
+        });
+    }
+
+    // ---- RIFF / WAV ----
+
+    static readRiff(bytes, tags) {
+        let position = 12;
+
+        while (position + 8 <= bytes.length) {
+            const id = TagReader.readLatin1(bytes, position, 4);
+            const size = TagReader.readUint32LE(bytes, position + 4);
+            const start = position + 8;
+
+            if (id === 'LIST' && TagReader.matches(bytes, start, 'INFO')) {
+                TagReader.readRiffInfo(bytes.subarray(start + 4, start + size), tags);
+            } else if (id === 'id3 ' || id === 'ID3 ') {
+                TagReader.readID3v2(bytes, start, tags);
+            }
+
+            // Chunks are word aligned
+            position = start + size + (size % 2);
+        }
+    }
+
+    static readRiffInfo(data, tags) {
+        let position = 0;
+
+        while (position + 8 <= data.length) {
+            const id = TagReader.readLatin1(data, position, 4);
+            const size = TagReader.readUint32LE(data, position + 4);
+            const value = new TextDecoder('utf-8')
+                .decode(data.subarray(position + 8, position + 8 + size))
+                .replace(/\0+$/, '')
+                .trim();
+            position += 8 + size + (size % 2);
+
+            const field = RIFF_INFO_FIELDS[id];
+            if (!field || !value) continue;
+
+            if (field === 'trackNumber') {
+                [tags.trackNumber, tags.trackTotal] = TagReader.parsePosition(value);
+            } else if (field === 'year') {
+                tags.year = TagReader.parseYear(value);
+            } else {
+                tags[field] = value;
+            }
+        }
+    }
+
+    // ---- Value parsing ----
+
+    // "3/12" -> [3, 12]
+    static parsePosition(value) {
+        if (!value) return [null, null];
+        const [number, total] = value.split('/').map(part => parseInt(part, 10));
+        return [isNaN(number) ? null : number, isNaN(total) ? null : total];
+    }
+
+    static parseYear(value) {
+        const match = value ? /\d{4}/.exec(value) : null;
+        return match ? parseInt(match[0], 10) : null;
+    }
+
+    // FMPS_RATING is 0-1; RATING is 0-5 stars or 0-100 depending on the tagger
+    static parseRating(value, scale = null) {
+        const rating = parseFloat(value);
+        if (isNaN(rating) || rating <= 0) return null;
+        const max = scale ?? (rating <= 5 ? 5 : 100);
+        return Math.min(1, rating / max);
+    }
+
+    // "(17)", "17", "(17)Rock" or plain text
+    static parseGenre(value) {
+        if (!value) return null;
+        const match = /^\(?(\d+)\)?(.*)$/.exec(value);
+        if (match && ID3_GENRES[parseInt(match[1], 10)]) {
+            return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)];
+        }
+        return value;
+    }
+
+    // ---- Byte helpers ----
+
+    static matches(bytes, offset, text) {
+        if (offset < 0 || offset + text.length > bytes.length) return false;
+        for (let i = 0; i < text.length; i++) {
+            if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    static readLatin1(bytes, offset, length) {
+        let text = '';
+        const end = Math.min(bytes.length, offset + length);
+        for (let i = offset; i < end; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    static readSyncsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7F) << 21) | ((bytes[offset + 1] & 0x7F) << 14) |
+            ((bytes[offset + 2] & 0x7F) << 7) | (bytes[offset + 3] & 0x7F);
+    }
+
+    static readUint32BE(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) |
+            (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    static readUint32LE(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) |
+            (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    // Unsynchronisation inserts 0x00 after every 0xFF
+    static removeUnsync(data) {
+        const output = new Uint8Array(data.length);
+        let length = 0;
+        for (let i = 0; i < data.length; i++) {
+            output[length++] = data[i];
+            if (data[i] === 0xFF && data[i + 1] === 0x00) {
+                i++;
+            }
+        }
+        return output.subarray(0, length);
+    }
+
+    static concat(parts) {
+        const length = parts.reduce((total, part) => total + part.length, 0);
+        const output = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    static decodeBase64(text) {
+        const binary = atob(text.replace(/\s/g, ''));
+        const output = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            output[i] = binary.charCodeAt(i);
+        }
+        return output;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TagReader, ID3_GENRES };
+}
@@ -0,0 +1,211 @@
+// Time Stretch - SoundTouch-based tempo/pitch processing for independent speed and pitch control
+// SoundTouchJS is an ES module, index.html exposes it as window.SoundTouchJS
+
+// Feeds AudioBuffer samples to SoundTouch as interleaved stereo, padding the end with
+// silence so the last frames held in SoundTouch's internal buffers are flushed out
+class TimeStretchSource {
+    constructor(audioBuffer, paddingFrames = 0) {
+        this.left = audioBuffer.getChannelData(0);
+        this.right = audioBuffer.numberOfChannels > 1
+            ? audioBuffer.getChannelData(1)
+            : this.left;
+        this.length = audioBuffer.length;
+        this.paddingFrames = paddingFrames;
+    }
+
+    extract(target, numFrames = 0, position = 0) {
+        const end = this.length + this.paddingFrames;
+        const available = Math.max(0, Math.min(numFrames, end - position));
+
+        for (let i = 0; i < available; i++) {
+            const index = position + i;
+            const inRange = index < this.length;
+            target[i * 2] = inRange ? this.left[index] : 0;
+            target[i * 2 + 1] = inRange ? this.right[index] : 0;
+        }
+
+        return available;
+    }
+}
+
+// Source node replacement that behaves like an AudioBufferSourceNode
+// (connect/disconnect/start/stop/onended) but runs audio through SoundTouch
+class TimeStretchNode {
+    constructor(audioContext, audioBuffer, options = {}) {
+        const { SoundTouch, SimpleFilter } = window.SoundTouchJS;
+
+        this.audioContext = audioContext;
+        this.audioBuffer = audioBuffer;
+        this.bufferSize = options.bufferSize || 4096;
+        this.sampleRate = audioBuffer.sampleRate;
+
+        this.soundTouch = new SoundTouch();
+        this.source = new TimeStretchSource(audioBuffer, TimeStretchNode.FLUSH_FRAMES);
+        this.filter = new SimpleFilter(this.source, this.soundTouch);
+        this.processor = audioContext.createScriptProcessor(this.bufferSize, 2, 2);
+        this.samples = new Float32Array(this.bufferSize * 2);
+
+        this.position = 0; // Seconds into the original audio
+        this.startAt = 0; // AudioContext time at which output begins
+        this.ended = false;
+        this.onended = null;
+        this.loop = null; // { start, end } in seconds of the original audio
+
+        this.setTempo(options.tempo ?? 1.0);
+        this.setPitchSemitones(options.pitchSemitones ?? 0);
+    }
+
+    static isAvailable() {
+        return typeof window !== 'undefined' && !!window.SoundTouchJS;
+    }
+
+    setTempo(tempo) {
+        this.tempo = tempo;
+        this.soundTouch.tempo = tempo;
+    }
+
+    setPitchSemitones(semitones) {
+        this.pitchSemitones = semitones;
+        this.soundTouch.pitchSemitones = semitones;
+    }
+
+    get currentTime() {
+        return this.position;
+    }
+
+    setLoop(region) {
+        this.loop = region;
+    }
+
+    start(when = 0, offset = 0) {
+        const startFrame = Math.max(0, Math.floor(offset * this.sampleRate));
+        this.filter.sourcePosition = Math.min(startFrame, this.audioBuffer.length);
+        this.position = this.filter.sourcePosition / this.sampleRate;
+        this.startAt = when;
+        this.ended = false;
+        this.processor.onaudioprocess = (event) => this.process(event);
+    }
+
+    process(event) {
+        const left = event.outputBuffer.getChannelData(0);
+        const right = event.outputBuffer.getChannelData(1);
+
+        if (this.ended) {
+            left.fill(0);
+            right.fill(0);
+            return;
+        }
+
+        // Stay silent until the scheduled start, which may fall inside this block
+        const blockRate = event.outputBuffer.sampleRate;
+        const startOffset = Math.ceil((this.startAt - event.playbackTime) * blockRate);
+        if (startOffset >= this.bufferSize) {
+            left.fill(0);
+            right.fill(0);
+            return;
+        }
+        const skip = Math.max(0, startOffset);
+
+        const frames = this.filter.extract(this.samples, this.bufferSize - skip);
+
+        left.fill(0, 0, skip);
+        right.fill(0, 0, skip);
+        for (let i = 0; i < frames; i++) {
+            left[skip + i] = this.samples[i * 2];
+            right[skip + i] = this.samples[i * 2 + 1];
+        }
+        left.fill(0, skip + frames);
+        right.fill(0, skip + frames);
+
+        // Output frames map back to source time through the current tempo
+        this.position += (frames * this.tempo) / this.sampleRate;
+
+        if (this.loop && (frames === 0 || this.position >= this.loop.end)) {
+            // Moving the source position flushes SoundTouch, so the loop restarts cleanly at A
+            this.filter.sourcePosition = Math.floor(this.loop.start * this.sampleRate);
+            this.position = this.loop.start;
+            return;
+        }
+
+        if (frames === 0 || this.position >= this.audioBuffer.duration) {
+            this.position = Math.min(this.position, this.audioBuffer.duration);
+            this.ended = true;
+            // Leave the audio thread callback before notifying listeners
+            setTimeout(() => {
+                if (this.onended) {
+                    this.onended();
+                }
+            }, 0);
+        }
+    }
+
+    stop() {
+        this.ended = true;
+        this.processor.onaudioprocess = null;
+    }
+
+    connect(destination) {
+        this.processor.connect(destination);
+    }
+
+    disconnect() {
+        this.processor.disconnect();
+    }
+
+    // Offline render of a whole buffer, used by exportProcessedAudio
+    static async render(audioBuffer, options = {}, progressCallback) {
+        const { SoundTouch, SimpleFilter } = window.SoundTouchJS;
+        const tempo = options.tempo ?? 1.0;
+        const chunkFrames = 16384;
+
+        const soundTouch = new SoundTouch();
+        soundTouch.tempo = tempo;
+        soundTouch.pitchSemitones = options.pitchSemitones ?? 0;
+
+        const source = new TimeStretchSource(audioBuffer, TimeStretchNode.FLUSH_FRAMES);
+        const filter = new SimpleFilter(source, soundTouch);
+
+        const outputLength = Math.max(1, Math.round(audioBuffer.length / tempo));
+        // SoundTouch processes a stereo pair, so output is mono or stereo
+        const output = new AudioBuffer({
+            numberOfChannels: Math.min(audioBuffer.numberOfChannels, 2),
+            length: outputLength,
+            sampleRate: audioBuffer.sampleRate
+        });
+        const outLeft = output.getChannelData(0);
+        const outRight = output.numberOfChannels > 1 ? output.getChannelData(1) : null;
+        const samples = new Float32Array(chunkFrames * 2);
+
+        let written = 0;
+        while (written < outputLength) {
+            const frames = filter.extract(samples, Math.min(chunkFrames, outputLength - written));
+            if (frames === 0) break;
+
+            for (let i = 0; i < frames; i++) {
+                outLeft[written + i] = samples[i * 2];
+                if (outRight) {
+                    outRight[written + i] = samples[i * 2 + 1];
+                }
+            }
+            written += frames;
+
+            if (progressCallback) {
+                progressCallback((written / outputLength) * 100);
+            }
+
+            // Yield so long renders don't freeze the UI
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return output;
+    }
+}
+
+// Silence appended after the last frame, enough to push SoundTouch's
+// 16384-frame processing window and overlap buffers through
+TimeStretchNode.FLUSH_FRAMES = 32768;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeStretchNode, TimeStretchSource };
+}
@@ -1,10 +1,34 @@
 // UI Controller - Handle all UI interactions and updates
+
+// Playlist rows have a fixed height, so only the ones in view need to be in the DOM
+const PLAYLIST_ROW_HEIGHT = 50; // px, row plus the gap below it
+const PLAYLIST_OVERSCAN = 8; // rows rendered past each edge of the view
+const PLAYLIST_SEARCH_DELAY = 120; // ms after the last keystroke
+
 class UIController {
     constructor() {
         this.elements = {};
         this.progressDragging = false;
+        this.markerDragging = null; // 'a' or 'b' while an A-B marker is dragged
         this.throttleTimers = {};
         this.throttleDelay = 25; // ms
+        this.artworkUrl = null;
+        this.accentColors = new Map(); // artwork URL -> dominant colour
+        this.batchExcluded = new Set(); // track ids unticked in the batch export list
+        this.batchJobs = new Map(); // track id -> latest batch export job
+        this.batchRunning = false;
+        this.batchTracks = []; // playlist tracks listed in the batch panel
+        this.batchItemsStale = false; // list changed while the panel was closed
+        this.playlistTracks = []; // tracks as last shown in the playlist view
+        this.selectedTrackIds = new Set(); // track ids picked with Ctrl/Shift-click
+        this.selectionAnchorId = null; // last clicked track, where a Shift range starts
+        this.dragIndices = null; // playlist indices being dragged
+        this.playlistCurrentIndex = -1;
+        this.playlistRange = null; // rows currently rendered, { start, end }
+        this.playlistRenderFrame = null;
+        this.playlistFilter = null; // search results shown instead of the whole playlist
+        this.searchCursor = -1; // result picked with the arrow keys
+        this.searchTimer = null;
         this.initializeElements();
         this.attachEventListeners();
     }
@@ -28,6 +52,17 @@ class UIController {
         this.elements.progressFill = document.getElementById('progress-fill');
         this.elements.progressThumb = document.getElementById('progress-thumb');
         
+        // A-B markers
+        this.elements.progressRegion = document.getElementById('progress-region');
+        this.elements.markers = {
+            a: document.getElementById('progress-marker-a'),
+            b: document.getElementById('progress-marker-b')
+        };
+        this.elements.markerABtn = document.getElementById('marker-a-btn');
+        this.elements.markerBBtn = document.getElementById('marker-b-btn');
+        this.elements.abLoopBtn = document.getElementById('ab-loop-btn');
+        this.elements.clearMarkersBtn = document.getElementById('clear-markers-btn');
+        
         // Controls
         this.elements.shuffleBtn = document.getElementById('shuffle-btn');
         this.elements.prevBtn = document.getElementById('prev-btn');
@@ -59,13 +94,98 @@ class UIController {
         this.elements.presetSelector = document.getElementById('preset-selector');
         this.elements.savePresetBtn = document.getElementById('save-preset-btn');
         
+        // Equalizer
+        this.elements.eqHeader = document.getElementById('eq-header');
+        this.elements.eqContainer = document.getElementById('eq-container');
+        this.elements.eqBands = document.getElementById('eq-bands');
+        this.elements.eqPresetSelector = document.getElementById('eq-preset-selector');
+        this.elements.saveEQPresetBtn = document.getElementById('save-eq-preset-btn');
+        this.elements.eqSliders = [];
+        this.elements.eqValues = [];
+        this.buildEQBands();
+        
+        // Settings
+        this.elements.settingsHeader = document.getElementById('settings-header');
+        this.elements.settingsContainer = document.getElementById('settings-container');
+        this.elements.engineSelector = document.getElementById('engine-selector');
+        this.elements.crossfadeSlider = document.getElementById('crossfade-slider');
+        this.elements.crossfadeValue = document.getElementById('crossfade-value');
+        this.elements.gaplessToggle = document.getElementById('gapless-toggle');
+        this.elements.loudnessSelector = document.getElementById('loudness-selector');
+        this.elements.shuffleStrategySelector = document.getElementById('shuffle-strategy-selector');
+        this.elements.exportFormatSelector = document.getElementById('export-format-selector');
+        this.elements.exportBitDepthSelector = document.getElementById('export-bit-depth-selector');
+        this.elements.exportSampleRateSelector = document.getElementById('export-sample-rate-selector');
+        this.elements.exportDitherSelector = document.getElementById('export-dither-selector');
+        this.elements.regionFadeInSlider = document.getElementById('region-fade-in-slider');
+        this.elements.regionFadeInValue = document.getElementById('region-fade-in-value');
+        this.elements.regionFadeOutSlider = document.getElementById('region-fade-out-slider');
+        this.elements.regionFadeOutValue = document.getElementById('region-fade-out-value');
+        this.elements.regionRepeatSlider = document.getElementById('region-repeat-slider');
+        this.elements.regionRepeatValue = document.getElementById('region-repeat-value');
+        this.buildExportOptions();
+        
+        // Library
+        this.elements.libraryHeader = document.getElementById('library-header');
+        this.elements.libraryContainer = document.getElementById('library-container');
+        this.elements.libraryFolders = document.getElementById('library-folders');
+        this.elements.addLibraryFolderBtn = document.getElementById('add-library-folder-btn');
+        this.elements.rescanLibraryBtn = document.getElementById('rescan-library-btn');
+        this.elements.playLibraryBtn = document.getElementById('play-library-btn');
+        
         // Playlist
         this.elements.playlistHeader = document.getElementById('playlist-header');
         this.elements.playlistContainer = document.getElementById('playlist-container');
         this.elements.playlistItems = document.getElementById('playlist-items');
+        this.elements.playlistSpacer = document.getElementById('playlist-spacer');
+        this.elements.playlistWindow = document.getElementById('playlist-window');
+        this.elements.playlistSelector = document.getElementById('playlist-selector');
+        this.elements.playlistNameInput = document.getElementById('playlist-name-input');
+        this.elements.newPlaylistBtn = document.getElementById('new-playlist-btn');
+        this.elements.newSmartPlaylistBtn = document.getElementById('new-smart-playlist-btn');
+        this.elements.editSmartRulesBtn = document.getElementById('edit-smart-rules-btn');
+        this.elements.renamePlaylistBtn = document.getElementById('rename-playlist-btn');
+        this.elements.duplicatePlaylistBtn = document.getElementById('duplicate-playlist-btn');
+        this.elements.deletePlaylistBtn = document.getElementById('delete-playlist-btn');
+        this.elements.exportPlaylistBtn = document.getElementById('export-playlist-btn');
+        this.elements.smartEditor = document.getElementById('smart-editor');
+        this.elements.smartMatch = document.getElementById('smart-match');
+        this.elements.smartRules = document.getElementById('smart-rules');
+        this.elements.addSmartRuleBtn = document.getElementById('add-smart-rule-btn');
+        this.elements.smartSortField = document.getElementById('smart-sort-field');
+        this.elements.smartSortOrder = document.getElementById('smart-sort-order');
+        this.elements.smartLimit = document.getElementById('smart-limit');
+        this.elements.saveSmartRulesBtn = document.getElementById('save-smart-rules-btn');
+        this.elements.cancelSmartRulesBtn = document.getElementById('cancel-smart-rules-btn');
+        this.elements.playlistSearchInput = document.getElementById('playlist-search-input');
+        this.elements.playlistSearchCount = document.getElementById('playlist-search-count');
+        this.elements.selectionBar = document.getElementById('playlist-selection-bar');
+        this.elements.playlistColumns = document.getElementById('playlist-columns');
+        this.elements.selectionCount = document.getElementById('playlist-selection-count');
+        this.elements.moveSelectionTopBtn = document.getElementById('move-selection-top-btn');
+        this.elements.sendSelectionSelector = document.getElementById('send-selection-selector');
+        this.elements.removeSelectionBtn = document.getElementById('remove-selection-btn');
+        this.elements.queuePanel = document.getElementById('queue-panel');
+        this.elements.queueTitle = document.getElementById('queue-title');
+        this.elements.queueItems = document.getElementById('queue-items');
+        this.elements.clearQueueBtn = document.getElementById('clear-queue-btn');
         this.elements.addFilesBtn = document.getElementById('add-files-btn');
         this.elements.clearPlaylistBtn = document.getElementById('clear-playlist-btn');
         this.elements.exportBtn = document.getElementById('export-btn');
+        this.elements.exportBtnLabel = document.getElementById('export-btn-label');
+        
+        // Batch export
+        this.elements.batchHeader = document.getElementById('batch-header');
+        this.elements.batchContainer = document.getElementById('batch-container');
+        this.elements.batchFolderBtn = document.getElementById('batch-folder-btn');
+        this.elements.batchFolderPath = document.getElementById('batch-folder-path');
+        this.elements.batchTemplateInput = document.getElementById('batch-template-input');
+        this.elements.batchFormatSelector = document.getElementById('batch-format-selector');
+        this.elements.batchSelectAllBtn = document.getElementById('batch-select-all-btn');
+        this.elements.batchStartBtn = document.getElementById('batch-start-btn');
+        this.elements.batchStartLabel = document.getElementById('batch-start-label');
+        this.elements.batchCancelBtn = document.getElementById('batch-cancel-btn');
+        this.elements.batchItems = document.getElementById('batch-items');
         
         // Drop zone
         this.elements.dropZone = document.getElementById('drop-zone');
@@ -108,11 +228,47 @@ class UIController {
         document.addEventListener('mousemove', (e) => {
             if (this.progressDragging) {
                 this.handleProgressClick(e);
+            } else if (this.markerDragging) {
+                this.handleMarkerDrag(e);
             }
         });
         
         document.addEventListener('mouseup', () => {
             this.progressDragging = false;
+            this.markerDragging = null;
+        });
+        
+        // A-B markers, dragged along the bar or set at the playhead
+        Object.keys(this.elements.markers).forEach(marker => {
+            this.elements.markers[marker].addEventListener('mousedown', (e) => {
+                // Moving a marker shouldn't seek
+                e.stopPropagation();
+                this.markerDragging = marker;
+            });
+        });
+        
+        this.elements.markerABtn.addEventListener('click', () => {
+            if (this.onMarkerSet) {
+                this.onMarkerSet('a');
+            }
+        });
+        
+        this.elements.markerBBtn.addEventListener('click', () => {
+            if (this.onMarkerSet) {
+                this.onMarkerSet('b');
+            }
+        });
+        
+        this.elements.abLoopBtn.addEventListener('click', () => {
+            if (this.onLoopToggle) {
+                this.onLoopToggle();
+            }
+        });
+        
+        this.elements.clearMarkersBtn.addEventListener('click', () => {
+            if (this.onMarkersClear) {
+                this.onMarkersClear();
+            }
         });
         
         // Volume slider
@@ -214,16 +370,429 @@ class UIController {
             }
         });
         
+        // Equalizer collapsible
+        this.elements.eqHeader.addEventListener('click', () => {
+            this.elements.eqHeader.classList.toggle('expanded');
+            this.elements.eqContainer.classList.toggle('expanded');
+        });
+        
+        this.elements.eqSliders.forEach((slider, index) => {
+            slider.addEventListener('input', (e) => {
+                const gain = parseFloat(e.target.value);
+                this.elements.eqValues[index].textContent = this.formatGain(gain);
+                this.throttle(`eq-${index}`, () => {
+                    if (this.onEQBandChange) {
+                        this.onEQBandChange(index, gain);
+                    }
+                });
+            });
+        });
+        
+        this.elements.eqPresetSelector.addEventListener('change', (e) => {
+            if (this.onEQPresetChange) {
+                this.onEQPresetChange(e.target.value);
+            }
+        });
+        
+        // Settings collapsible
+        this.elements.settingsHeader.addEventListener('click', () => {
+            this.elements.settingsHeader.classList.toggle('expanded');
+            this.elements.settingsContainer.classList.toggle('expanded');
+        });
+        
+        this.elements.engineSelector.addEventListener('change', (e) => {
+            if (this.onEngineChange) {
+                this.onEngineChange(e.target.value);
+            }
+        });
+        
+        this.elements.crossfadeSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.elements.crossfadeValue.textContent = this.formatCrossfade(value);
+            this.throttle('crossfade', () => {
+                if (this.onCrossfadeChange) {
+                    this.onCrossfadeChange(value);
+                }
+            });
+        });
+        
+        this.elements.gaplessToggle.addEventListener('change', (e) => {
+            if (this.onGaplessChange) {
+                this.onGaplessChange(e.target.checked);
+            }
+        });
+        
+        this.elements.shuffleStrategySelector.addEventListener('change', (e) => {
+            if (this.onShuffleStrategyChange) {
+                this.onShuffleStrategyChange(e.target.value);
+            }
+        });
+        
+        this.elements.loudnessSelector.addEventListener('change', (e) => {
+            if (this.onLoudnessModeChange) {
+                this.onLoudnessModeChange(e.target.value);
+            }
+        });
+        
+        this.elements.exportFormatSelector.addEventListener('change', (e) => {
+            if (this.onExportFormatChange) {
+                this.onExportFormatChange(e.target.value);
+            }
+        });
+        
+        const regionSliders = {
+            fadeIn: [this.elements.regionFadeInSlider, this.elements.regionFadeInValue, this.formatCrossfade],
+            fadeOut: [this.elements.regionFadeOutSlider, this.elements.regionFadeOutValue, this.formatCrossfade],
+            repeat: [this.elements.regionRepeatSlider, this.elements.regionRepeatValue, this.formatRepeat]
+        };
+        Object.keys(regionSliders).forEach(option => {
+            const [slider, label, format] = regionSliders[option];
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                label.textContent = format(value);
+                this.throttle(`region-${option}`, () => {
+                    if (this.onRegionExportChange) {
+                        this.onRegionExportChange(option, value);
+                    }
+                });
+            });
+        });
+        
+        const exportOptionSelectors = {
+            bitDepth: this.elements.exportBitDepthSelector,
+            sampleRate: this.elements.exportSampleRateSelector,
+            dither: this.elements.exportDitherSelector
+        };
+        Object.keys(exportOptionSelectors).forEach(option => {
+            exportOptionSelectors[option].addEventListener('change', (e) => {
+                if (this.onExportOptionChange) {
+                    this.onExportOptionChange(option, e.target.value);
+                }
+            });
+        });
+        
+        // Library collapsible
+        this.elements.libraryHeader.addEventListener('click', () => {
+            this.elements.libraryHeader.classList.toggle('expanded');
+            this.elements.libraryContainer.classList.toggle('expanded');
+        });
+        
         // Playlist collapsible
         this.elements.playlistHeader.addEventListener('click', () => {
             this.elements.playlistHeader.classList.toggle('expanded');
             this.elements.playlistContainer.classList.toggle('expanded');
         });
         
+        // Named playlists
+        this.elements.playlistSelector.addEventListener('change', (e) => {
+            if (this.onPlaylistSelect) {
+                this.onPlaylistSelect(e.target.value);
+            }
+        });
+        
+        this.elements.newPlaylistBtn.addEventListener('click', () => {
+            if (this.onPlaylistCreate) {
+                this.onPlaylistCreate();
+            }
+        });
+        
+        this.elements.newSmartPlaylistBtn.addEventListener('click', () => {
+            if (this.onSmartPlaylistCreate) {
+                this.onSmartPlaylistCreate();
+            }
+        });
+        
+        this.elements.editSmartRulesBtn.addEventListener('click', () => {
+            if (this.onSmartPlaylistEdit) {
+                this.onSmartPlaylistEdit();
+            }
+        });
+        
+        this.elements.renamePlaylistBtn.addEventListener('click', () => {
+            this.startPlaylistRename();
+        });
+        
+        // Enter or leaving the field renames, Escape keeps the old name
+        this.elements.playlistNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.finishPlaylistRename(true);
+            } else if (e.key === 'Escape') {
+                this.finishPlaylistRename(false);
+            }
+        });
+        
+        this.elements.playlistNameInput.addEventListener('blur', () => {
+            this.finishPlaylistRename(true);
+        });
+        
+        this.elements.duplicatePlaylistBtn.addEventListener('click', () => {
+            if (this.onPlaylistDuplicate) {
+                this.onPlaylistDuplicate();
+            }
+        });
+        
+        this.elements.deletePlaylistBtn.addEventListener('click', () => {
+            if (this.onPlaylistDelete) {
+                this.onPlaylistDelete();
+            }
+        });
+        
+        this.elements.exportPlaylistBtn.addEventListener('click', () => {
+            if (this.onPlaylistExport) {
+                this.onPlaylistExport();
+            }
+        });
+        
+        // Smart playlist rule editor
+        Object.entries(SMART_FIELDS).forEach(([key, field]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = field.label;
+            this.elements.smartSortField.appendChild(option);
+        });
+        
+        this.elements.addSmartRuleBtn.addEventListener('click', () => {
+            this.addSmartRuleRow();
+        });
+        
+        this.elements.saveSmartRulesBtn.addEventListener('click', () => {
+            const query = this.readSmartEditor();
+            this.closeSmartEditor();
+            if (this.onSmartQuerySave) {
+                this.onSmartQuerySave(query);
+            }
+        });
+        
+        this.elements.cancelSmartRulesBtn.addEventListener('click', () => {
+            this.closeSmartEditor();
+        });
+        
+        this.attachPlaylistListeners();
+        
+        // Column headers: click sorts on that column, again reverses it, Shift+click adds a further key
+        Object.entries(SORT_COLUMNS).forEach(([field, label]) => {
+            const button = document.createElement('button');
+            button.className = 'playlist-column';
+            button.dataset.field = field;
+            button.title = `Sort by ${label.toLowerCase()} (Shift+click to add as a further key)`;
+            button.innerHTML = '<span class="playlist-column-label"></span><span class="playlist-column-order"></span>';
+            button.querySelector('.playlist-column-label').textContent = label;
+            this.elements.playlistColumns.appendChild(button);
+        });
+        
+        this.elements.playlistColumns.addEventListener('click', (e) => {
+            const button = e.target.closest('.playlist-column');
+            if (button && this.onPlaylistSort) {
+                this.onPlaylistSort(button.dataset.field, e.shiftKey);
+            }
+        });
+        
+        // Playlist search, filtering as you type
+        this.elements.playlistSearchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.applyPlaylistSearch();
+            }, PLAYLIST_SEARCH_DELAY);
+        });
+        
+        // Up/Down pick a result, Enter plays it, Escape clears the search
+        this.elements.playlistSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSearchCursor(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                clearTimeout(this.searchTimer);
+                this.applyPlaylistSearch(false);
+                const result = this.playlistFilter && this.playlistFilter[this.searchCursor];
+                if (result && this.onPlaylistItemClick) {
+                    this.onPlaylistItemClick(result.index);
+                }
+            } else if (e.key === 'Escape') {
+                this.clearPlaylistSearch();
+                e.target.blur();
+            }
+        });
+        
+        // Multi-select actions
+        this.elements.moveSelectionTopBtn.addEventListener('click', () => {
+            if (this.onTracksMove) {
+                this.onTracksMove(this.getSelectedIndices(), 0);
+            }
+        });
+        
+        this.elements.sendSelectionSelector.addEventListener('change', (e) => {
+            const playlistId = e.target.value;
+            e.target.value = '';
+            if (playlistId && this.onTracksSend) {
+                this.onTracksSend(playlistId, this.getSelectedIndices());
+            }
+        });
+        
+        this.elements.removeSelectionBtn.addEventListener('click', () => {
+            if (this.onTracksRemove) {
+                this.onTracksRemove(this.getSelectedIndices());
+            }
+        });
+        
+        // Alt+Up/Down moves the selection (or the last clicked track), Delete removes it
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, select, textarea')) return;
+            
+            if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                e.preventDefault();
+                this.focusPlaylistSearch();
+                return;
+            }
+            
+            if (e.key === 'Escape' && this.selectedTrackIds.size > 0) {
+                this.clearPlaylistSelection();
+                return;
+            }
+            
+            const indices = this.getSelectedIndices();
+            if (indices.length === 0) {
+                const anchor = this.playlistTracks.findIndex(track => track.id === this.selectionAnchorId);
+                if (anchor !== -1) indices.push(anchor);
+            }
+            if (indices.length === 0) return;
+            
+            // Neighbours in a filtered list aren't neighbours in the playlist
+            if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                if (this.playlistFilter) return;
+                const first = indices[0];
+                const last = indices[indices.length - 1];
+                const target = e.key === 'ArrowUp' ? first - 1 : last + 2;
+                if (target >= 0 && target <= this.playlistTracks.length && this.onTracksMove) {
+                    this.onTracksMove(indices, target);
+                    this.ensurePlaylistRowVisible(e.key === 'ArrowUp' ? first - 1 : last + 1);
+                }
+            } else if (e.key === 'Delete' && this.selectedTrackIds.size > 0 && this.onTracksRemove) {
+                e.preventDefault();
+                this.onTracksRemove(indices);
+            }
+        });
+        
+        // Up-next queue
+        this.elements.clearQueueBtn.addEventListener('click', () => {
+            if (this.onQueueClear) {
+                this.onQueueClear();
+            }
+        });
+        
+        // Batch export collapsible
+        this.elements.batchHeader.addEventListener('click', () => {
+            this.elements.batchHeader.classList.toggle('expanded');
+            this.elements.batchContainer.classList.toggle('expanded');
+            if (this.batchItemsStale && this.isBatchPanelOpen()) {
+                this.renderBatchItems();
+            }
+        });
+        
+        // One listener for every row's tick box
+        this.elements.batchItems.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) {
+                this.setBatchTrackSelected(Number(e.target.dataset.trackId), e.target.checked);
+            }
+        });
+        
+        this.elements.batchFolderBtn.addEventListener('click', () => {
+            if (this.onBatchFolderClick) {
+                this.onBatchFolderClick();
+            }
+        });
+        
+        this.elements.batchTemplateInput.addEventListener('change', (e) => {
+            if (this.onBatchTemplateChange) {
+                this.onBatchTemplateChange(e.target.value);
+            }
+        });
+        
+        this.elements.batchFormatSelector.addEventListener('change', (e) => {
+            if (this.onBatchFormatChange) {
+                this.onBatchFormatChange(e.target.value);
+            }
+        });
+        
+        this.elements.batchSelectAllBtn.addEventListener('click', () => {
+            // Ticks everything, or unticks everything when all are ticked already
+            const selectAll = this.batchTracks.some(track => this.batchExcluded.has(track.id));
+            this.batchTracks.forEach(track => this.setBatchTrackSelected(track.id, selectAll));
+            this.elements.batchItems.querySelectorAll('input[type="checkbox"]').forEach(box => {
+                box.checked = selectAll;
+            });
+        });
+        
+        this.elements.batchStartBtn.addEventListener('click', () => {
+            if (this.onBatchStart) {
+                this.onBatchStart();
+            }
+        });
+        
+        this.elements.batchCancelBtn.addEventListener('click', () => {
+            if (this.onBatchCancel) {
+                this.onBatchCancel();
+            }
+        });
+        
         // Drag and drop
         this.setupDragAndDrop();
     }
     
+    buildExportOptions() {
+        const fill = (select, entries, value) => {
+            Object.keys(entries).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = typeof entries[key] === 'string' ? entries[key] : entries[key].label;
+                select.appendChild(option);
+            });
+            select.value = value;
+        };
+        
+        fill(this.elements.exportFormatSelector, EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT);
+        fill(this.elements.batchFormatSelector, EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT);
+        fill(this.elements.exportBitDepthSelector, EXPORT_BIT_DEPTHS, DEFAULT_EXPORT_BIT_DEPTH);
+        fill(this.elements.exportSampleRateSelector, EXPORT_SAMPLE_RATES, 'source');
+        fill(this.elements.exportDitherSelector, DITHER_MODES, DEFAULT_DITHER_MODE);
+    }
+    
+    updateExportOptions(options) {
+        this.elements.exportBitDepthSelector.value = options.bitDepth;
+        this.elements.exportSampleRateSelector.value = options.sampleRate;
+        this.elements.exportDitherSelector.value = options.dither;
+    }
+    
+    buildEQBands() {
+        EQ_FREQUENCIES.forEach((frequency, index) => {
+            const band = document.createElement('div');
+            band.className = 'eq-band';
+            
+            const value = document.createElement('span');
+            value.className = 'eq-band-value';
+            value.textContent = '0';
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'slider eq-slider';
+            slider.min = -EQ_GAIN_RANGE;
+            slider.max = EQ_GAIN_RANGE;
+            slider.step = 0.5;
+            slider.value = 0;
+            slider.title = `${this.formatFrequency(frequency)} Hz`;
+            slider.dataset.band = index;
+            
+            const label = document.createElement('span');
+            label.className = 'eq-band-label';
+            label.textContent = this.formatFrequency(frequency);
+            
+            band.append(value, slider, label);
+            this.elements.eqBands.appendChild(band);
+            this.elements.eqSliders.push(slider);
+            this.elements.eqValues.push(value);
+        });
+    }
+    
     setupDragAndDrop() {
         let dragCounter = 0;
         
@@ -266,7 +835,7 @@ class UIController {
             
             const files = Array.from(e.dataTransfer.files || []);
             const audioFiles = files.filter(file => 
-                /\.(mp3|wav|ogg|flac)$/i.test(file.name)
+                /\.(mp3|wav|ogg|flac)$/i.test(file.name) || PLAYLIST_FILE_PATTERN.test(file.name)
             );
             
             if (audioFiles.length > 0 && this.onFilesDropped) {
@@ -304,6 +873,54 @@ class UIController {
         this.onSeek(percent);
     }
     
+    handleMarkerDrag(e) {
+        const rect = this.elements.progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        
+        // Follow the pointer right away, the app answers with updateMarkers
+        this.elements.markers[this.markerDragging].style.left = `${percent * 100}%`;
+        const marker = this.markerDragging;
+        this.throttle('marker', () => {
+            if (this.onMarkerMove) {
+                this.onMarkerMove(marker, percent);
+            }
+        });
+    }
+    
+    // A and B in seconds of the track (null when not set), shaded between them
+    updateMarkers(markerA, markerB, duration, looping) {
+        const toPercent = (time) => `${Math.max(0, Math.min(1, time / duration)) * 100}%`;
+        const hasDuration = duration > 0;
+        
+        [['a', markerA], ['b', markerB]].forEach(([marker, time]) => {
+            const element = this.elements.markers[marker];
+            const visible = hasDuration && time !== null;
+            element.style.display = visible ? 'block' : 'none';
+            if (visible && this.markerDragging !== marker) {
+                element.style.left = toPercent(time);
+            }
+        });
+        
+        const region = this.elements.progressRegion;
+        const hasRegion = hasDuration && markerA !== null && markerB !== null;
+        region.style.display = hasRegion ? 'block' : 'none';
+        if (hasRegion) {
+            region.style.left = toPercent(Math.min(markerA, markerB));
+            region.style.width = `${Math.abs(markerB - markerA) / duration * 100}%`;
+        }
+        region.classList.toggle('looping', hasRegion && looping);
+        this.elements.abLoopBtn.classList.toggle('active', looping);
+    }
+    
+    updateRegionExportSettings({ fadeIn, fadeOut, repeat }) {
+        this.elements.regionFadeInSlider.value = fadeIn;
+        this.elements.regionFadeInValue.textContent = this.formatCrossfade(fadeIn);
+        this.elements.regionFadeOutSlider.value = fadeOut;
+        this.elements.regionFadeOutValue.textContent = this.formatCrossfade(fadeOut);
+        this.elements.regionRepeatSlider.value = repeat;
+        this.elements.regionRepeatValue.textContent = this.formatRepeat(repeat);
+    }
+    
     throttle(key, callback) {
         if (this.throttleTimers[key]) {
             clearTimeout(this.throttleTimers[key]);
@@ -342,14 +959,135 @@ class UIController {
             if (this.elements.nowPlayingSection) {
                 this.elements.nowPlayingSection.classList.add('awaiting-track');
             }
+            this.updateAlbumArt(null);
             return;
         }
         
         this.elements.trackTitle.textContent = track.name;
-        this.elements.trackArtist.textContent = track.artist;
+        this.elements.trackArtist.textContent = track.album
+            ? `${track.artist} — ${track.album}`
+            : track.artist;
         if (this.elements.nowPlayingSection) {
             this.elements.nowPlayingSection.classList.remove('awaiting-track');
         }
+        this.updateAlbumArt(track.artwork || null);
+    }
+    
+    updateAlbumArt(url) {
+        if (url === this.artworkUrl) return;
+        this.artworkUrl = url;
+        
+        const container = this.elements.albumArt;
+        const placeholder = container.querySelector('.default-art');
+        const current = container.querySelector('img');
+        
+        if (!url) {
+            if (current) current.remove();
+            placeholder.style.display = '';
+            this.setAccentColor(null);
+            return;
+        }
+        
+        // Swap only once loaded so the old cover doesn't flash the placeholder
+        const image = document.createElement('img');
+        image.alt = '';
+        image.addEventListener('load', () => {
+            if (this.artworkUrl !== url) return;
+            container.querySelectorAll('img').forEach(other => other.remove());
+            placeholder.style.display = 'none';
+            container.appendChild(image);
+            
+            if (!this.accentColors.has(url)) {
+                this.accentColors.set(url, this.getDominantColor(image));
+            }
+            this.setAccentColor(this.accentColors.get(url));
+        });
+        image.addEventListener('error', () => {
+            if (this.artworkUrl !== url) return;
+            container.querySelectorAll('img').forEach(other => other.remove());
+            placeholder.style.display = '';
+            this.setAccentColor(null);
+        });
+        image.src = url;
+    }
+    
+    getDominantColor(image) {
+        // Most common colour bucket of a small copy. Saturated, bright pixels count
+        // more so a coloured cover on a dark or white background still wins.
+        const size = 24;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(image, 0, 0, size, size);
+        
+        let pixels;
+        try {
+            pixels = context.getImageData(0, 0, size, size).data;
+        } catch (error) {
+            // Tainted canvas, keep the default accent
+            return null;
+        }
+        
+        const buckets = new Map();
+        for (let i = 0; i < pixels.length; i += 4) {
+            const r = pixels[i];
+            const g = pixels[i + 1];
+            const b = pixels[i + 2];
+            const max = Math.max(r, g, b);
+            const saturation = max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+            
+            const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { score: 0, r: 0, g: 0, b: 0, count: 0 };
+                buckets.set(key, bucket);
+            }
+            bucket.score += (0.1 + saturation) * (max / 255);
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+            bucket.count++;
+        }
+        
+        let best = null;
+        buckets.forEach(bucket => {
+            if (!best || bucket.score > best.score) {
+                best = bucket;
+            }
+        });
+        if (!best || best.score === 0) return null;
+        
+        return [best.r, best.g, best.b].map(value => Math.round(value / best.count));
+    }
+    
+    setAccentColor(rgb) {
+        const root = document.documentElement.style;
+        if (!rgb) {
+            root.removeProperty('--accent');
+            root.removeProperty('--accent-hover');
+            return;
+        }
+        
+        // Keep the hue, but light enough to read on the black background
+        const [r, g, b] = rgb.map(value => value / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        let hue = 0;
+        if (delta > 0) {
+            if (max === r) hue = ((g - b) / delta) % 6;
+            else if (max === g) hue = (b - r) / delta + 2;
+            else hue = (r - g) / delta + 4;
+        }
+        hue = Math.round((hue * 60 + 360) % 360);
+        const lightness = (max + min) / 2;
+        const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+        
+        const s = Math.round(Math.min(saturation, 0.85) * 100);
+        const l = Math.round(Math.min(Math.max(lightness, 0.65), 0.85) * 100);
+        root.setProperty('--accent', `hsl(${hue}, ${s}%, ${l}%)`);
+        root.setProperty('--accent-hover', `hsla(${hue}, ${s}%, ${l}%, 0.8)`);
     }
     
     updatePlayButton(isPlaying) {
@@ -410,34 +1148,747 @@ class UIController {
         }
     }
     
+    updatePlaylistSelector(playlists, activeId) {
+        const selector = this.elements.playlistSelector;
+        selector.innerHTML = '';
+        playlists.forEach(playlist => {
+            const option = document.createElement('option');
+            option.value = playlist.id;
+            option.textContent = playlist.name;
+            selector.appendChild(option);
+        });
+        selector.value = activeId;
+        
+        // Selected tracks can be sent to any other playlist that isn't filled by rules
+        const sendSelector = this.elements.sendSelectionSelector;
+        sendSelector.length = 1;
+        playlists
+            .filter(playlist => playlist.id !== activeId && !playlist.query)
+            .forEach(playlist => {
+                const option = document.createElement('option');
+                option.value = playlist.id;
+                option.textContent = playlist.name;
+                sendSelector.appendChild(option);
+            });
+        sendSelector.disabled = sendSelector.length === 1;
+        
+        // Smart playlists fill themselves, files can't be added to them by hand
+        const active = playlists.find(playlist => playlist.id === activeId);
+        const isSmart = Boolean(active && active.query);
+        this.elements.editSmartRulesBtn.style.display = isSmart ? '' : 'none';
+        this.elements.addFilesBtn.disabled = isSmart;
+        this.elements.clearPlaylistBtn.disabled = isSmart;
+        if (!isSmart) {
+            this.closeSmartEditor();
+        }
+    }
+    
+    openSmartEditor(query) {
+        this.elements.smartMatch.value = query.match === 'any' ? 'any' : 'all';
+        this.elements.smartRules.innerHTML = '';
+        (query.rules || []).forEach(rule => this.addSmartRuleRow(rule));
+        
+        const sort = query.sort || DEFAULT_SMART_QUERY.sort;
+        this.elements.smartSortField.value = sort.field;
+        this.elements.smartSortOrder.value = sort.descending ? 'desc' : 'asc';
+        this.elements.smartLimit.value = query.limit > 0 ? query.limit : '';
+        this.elements.smartEditor.style.display = '';
+    }
+    
+    closeSmartEditor() {
+        this.elements.smartEditor.style.display = 'none';
+    }
+    
+    // Rows without a value are left out, an empty "contains" would match everything
+    readSmartEditor() {
+        const rules = [...this.elements.smartRules.querySelectorAll('.smart-rule')].map(row => ({
+            field: row.querySelector('.smart-rule-field').value,
+            operator: row.querySelector('.smart-rule-operator').value,
+            value: row.querySelector('.smart-rule-value').value.trim()
+        })).filter(rule => rule.value !== '');
+        
+        return {
+            match: this.elements.smartMatch.value,
+            rules,
+            sort: {
+                field: this.elements.smartSortField.value,
+                descending: this.elements.smartSortOrder.value === 'desc'
+            },
+            limit: Math.max(0, parseInt(this.elements.smartLimit.value, 10) || 0)
+        };
+    }
+    
+    addSmartRuleRow(rule = DEFAULT_SMART_QUERY.rules[0]) {
+        const row = document.createElement('div');
+        row.className = 'smart-rule';
+        row.innerHTML = `
+            <select class="preset-selector smart-rule-field"></select>
+            <select class="preset-selector smart-rule-operator"></select>
+            <input type="text" class="playlist-name-input smart-rule-value" spellcheck="false">
+            <button class="playlist-item-remove" title="Remove Rule">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 6L18 18M6 18L18 6" stroke="currentColor" stroke-width="2"/>
+                </svg>
+            </button>
+        `;
+        
+        const fieldSelect = row.querySelector('.smart-rule-field');
+        const operatorSelect = row.querySelector('.smart-rule-operator');
+        const valueInput = row.querySelector('.smart-rule-value');
+        Object.entries(SMART_FIELDS).forEach(([key, field]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = field.label;
+            fieldSelect.appendChild(option);
+        });
+        
+        // Operators and the value box follow the field's type
+        const fillOperators = (operator) => {
+            const operators = SmartPlaylist.getOperators(fieldSelect.value);
+            operatorSelect.innerHTML = '';
+            Object.entries(operators).forEach(([key, label]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = label;
+                operatorSelect.appendChild(option);
+            });
+            if (operators[operator]) {
+                operatorSelect.value = operator;
+            }
+            valueInput.type = SMART_FIELDS[fieldSelect.value].type === 'text' ? 'text' : 'number';
+        };
+        
+        fieldSelect.value = SMART_FIELDS[rule.field] ? rule.field : DEFAULT_SMART_QUERY.rules[0].field;
+        fillOperators(rule.operator);
+        valueInput.value = rule.value ?? '';
+        
+        fieldSelect.addEventListener('change', () => {
+            fillOperators(operatorSelect.value);
+        });
+        
+        row.querySelector('.playlist-item-remove').addEventListener('click', () => {
+            row.remove();
+        });
+        
+        this.elements.smartRules.appendChild(row);
+    }
+    
+    // The name field takes the selector's place while renaming
+    startPlaylistRename() {
+        const selector = this.elements.playlistSelector;
+        const option = selector.options[selector.selectedIndex];
+        if (!option) return;
+        
+        const input = this.elements.playlistNameInput;
+        input.value = option.textContent;
+        input.dataset.playlistId = option.value;
+        selector.style.display = 'none';
+        input.style.display = '';
+        input.focus();
+        input.select();
+    }
+    
+    finishPlaylistRename(commit) {
+        const input = this.elements.playlistNameInput;
+        if (input.style.display === 'none') return;
+        
+        input.style.display = 'none';
+        this.elements.playlistSelector.style.display = '';
+        
+        const name = input.value.trim();
+        if (commit && name && this.onPlaylistRename) {
+            this.onPlaylistRename(input.dataset.playlistId, name);
+        }
+    }
+    
     updatePlaylist(tracks, currentIndex) {
-        this.elements.playlistItems.innerHTML = '';
+        // The selection is kept by track id, so it outlives reordering and removals
+        this.playlistTracks = tracks;
+        this.playlistCurrentIndex = currentIndex;
+        const ids = new Set(tracks.map(track => track.id));
+        this.selectedTrackIds.forEach(id => {
+            if (!ids.has(id)) this.selectedTrackIds.delete(id);
+        });
         
-        tracks.forEach((track, index) => {
-            const item = document.createElement('div');
-            item.className = 'playlist-item';
-            if (index === currentIndex) {
-                item.classList.add('active');
+        // An active search is run again on the new tracks
+        if (this.playlistFilter) {
+            this.applyPlaylistSearch(false);
+        } else {
+            this.layoutPlaylistRows();
+        }
+        
+        this.updateSelectionBar();
+        this.updateBatchItems(tracks);
+    }
+    
+    // Playing another track only touches the rows that gain and lose the highlight
+    updatePlaylistCurrent(currentIndex) {
+        const previous = this.playlistCurrentIndex;
+        this.playlistCurrentIndex = currentIndex;
+        [previous, currentIndex].forEach(index => {
+            const row = this.elements.playlistWindow.querySelector(`[data-index="${index}"]`);
+            if (row) {
+                row.replaceWith(this.createPlaylistRow(Number(row.dataset.position)));
             }
+        });
+    }
+    
+    // Rows are positions in the list shown: the playlist, or the search results in their order
+    getPlaylistRowCount() {
+        return this.playlistFilter ? this.playlistFilter.length : this.playlistTracks.length;
+    }
+    
+    getPlaylistRowIndex(position) {
+        return this.playlistFilter ? this.playlistFilter[position].index : position;
+    }
+    
+    // The spacer keeps the full scroll height, only the rows in view exist
+    layoutPlaylistRows() {
+        this.elements.playlistSpacer.style.height = `${this.getPlaylistRowCount() * PLAYLIST_ROW_HEIGHT}px`;
+        this.renderPlaylistRows(true);
+    }
+    
+    // Rows for the visible range plus some overscan; skipped when the range hasn't changed
+    renderPlaylistRows(force = false) {
+        const list = this.elements.playlistItems;
+        const total = this.getPlaylistRowCount();
+        const height = list.clientHeight || window.innerHeight;
+        const start = Math.max(0, Math.floor(list.scrollTop / PLAYLIST_ROW_HEIGHT) - PLAYLIST_OVERSCAN);
+        const end = Math.min(total, Math.ceil((list.scrollTop + height) / PLAYLIST_ROW_HEIGHT) + PLAYLIST_OVERSCAN);
+        
+        const range = this.playlistRange;
+        if (!force && range && range.start === start && range.end === end) return;
+        this.playlistRange = { start, end };
+        
+        const fragment = document.createDocumentFragment();
+        for (let position = start; position < end; position++) {
+            fragment.appendChild(this.createPlaylistRow(position));
+        }
+        this.elements.playlistWindow.style.transform = `translateY(${start * PLAYLIST_ROW_HEIGHT}px)`;
+        this.elements.playlistWindow.replaceChildren(fragment);
+    }
+    
+    createPlaylistRow(position) {
+        const index = this.getPlaylistRowIndex(position);
+        const track = this.playlistTracks[index];
+        const matches = this.playlistFilter ? this.playlistFilter[position].matches : null;
+        
+        // Search results can't be dragged, the gaps between them aren't places in the playlist
+        const item = document.createElement('div');
+        item.className = 'playlist-item';
+        item.dataset.index = index;
+        item.dataset.position = position;
+        item.draggable = !this.playlistFilter;
+        item.classList.toggle('active', index === this.playlistCurrentIndex);
+        item.classList.toggle('selected', this.selectedTrackIds.has(track.id));
+        item.classList.toggle('dragging', Boolean(this.dragIndices) && this.dragIndices.includes(index));
+        item.classList.toggle('search-cursor', Boolean(matches) && position === this.searchCursor);
+        
+        item.innerHTML = `
+            <span class="playlist-item-index">${index + 1}</span>
+            <div class="playlist-item-art"></div>
+            <div class="playlist-item-info">
+                <div class="playlist-item-title"></div>
+                <div class="playlist-item-duration"></div>
+            </div>
+            <button class="playlist-item-action" data-action="play-next" title="Play Next">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M4 10h12v2H4zm0-4h12v2H4zm0 8h8v2H4zm10 0v6l5-3z"/>
+                </svg>
+            </button>
+            <button class="playlist-item-action" data-action="queue" title="Add to Queue">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M14 10H2v2h12v-2zm0-4H2v2h12V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM2 16h8v-2H2v2z"/>
+                </svg>
+            </button>
+            <button class="playlist-item-remove" data-action="remove" title="Remove">
+                <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                    <path d="M6 6L18 18M6 18L18 6" stroke="currentColor" stroke-width="2"/>
+                </svg>
+            </button>
+        `;
+        // Names and artists come from tags, so they only ever go in as text
+        const title = item.querySelector('.playlist-item-title');
+        this.appendHighlighted(title, track.name, matches && matches.name);
+        item.querySelector('.playlist-item-duration').textContent = this.formatTrackDetails(track);
+        if (track.artwork) {
+            item.querySelector('.playlist-item-art').style.backgroundImage = `url("${track.artwork}")`;
+        }
+        
+        // A match outside the title shows that field in place of the details
+        const field = matches && ['artist', 'album', 'path'].find(key => matches[key]);
+        if (field) {
+            const details = item.querySelector('.playlist-item-duration');
+            details.textContent = '';
+            this.appendHighlighted(details, SMART_FIELDS[field].get(track).toString(), matches[field]);
+        }
+        return item;
+    }
+    
+    // Text with the characters at the given positions wrapped in <mark>
+    appendHighlighted(element, text, positions) {
+        if (!positions) {
+            element.textContent = text;
+            return;
+        }
+        
+        const marked = new Set(positions);
+        let start = 0;
+        for (let i = 1; i <= text.length; i++) {
+            if (i < text.length && marked.has(i) === marked.has(start)) continue;
+            const part = text.slice(start, i);
+            if (marked.has(start)) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part));
+            }
+            start = i;
+        }
+    }
+    
+    ensurePlaylistRowVisible(position) {
+        const list = this.elements.playlistItems;
+        const top = position * PLAYLIST_ROW_HEIGHT;
+        if (top < list.scrollTop) {
+            list.scrollTop = top;
+        } else if (top + PLAYLIST_ROW_HEIGHT > list.scrollTop + list.clientHeight) {
+            list.scrollTop = top + PLAYLIST_ROW_HEIGHT - list.clientHeight;
+        }
+    }
+    
+    // Rows come and go while scrolling, so one set of listeners on the list handles them all
+    attachPlaylistListeners() {
+        const list = this.elements.playlistItems;
+        const rowIndex = (e) => {
+            const row = e.target.closest('.playlist-item');
+            return row ? Number(row.dataset.index) : -1;
+        };
+        const clearDropMarks = () => {
+            list.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+                row.classList.remove('drop-before', 'drop-after');
+            });
+        };
+        // Files dragged in from outside are left to the drop zone
+        const isTrackDrag = (e) => {
+            return Boolean(this.dragIndices) && !Array.from(e.dataTransfer.types || []).includes('Files');
+        };
+        
+        list.addEventListener('scroll', () => {
+            if (this.playlistRenderFrame) return;
+            this.playlistRenderFrame = requestAnimationFrame(() => {
+                this.playlistRenderFrame = null;
+                this.renderPlaylistRows();
+            });
+        });
+        
+        window.addEventListener('resize', () => {
+            this.renderPlaylistRows();
+        });
+        
+        // Click to play, Ctrl/Shift-click to select, buttons for the queue and removal
+        list.addEventListener('click', (e) => {
+            const index = rowIndex(e);
+            const track = this.playlistTracks[index];
+            if (!track) return;
+            
+            const button = e.target.closest('button');
+            if (button) {
+                if (button.dataset.action === 'remove') {
+                    if (this.onPlaylistItemRemove) {
+                        this.onPlaylistItemRemove(index);
+                    }
+                } else if (this.onQueueAdd) {
+                    this.onQueueAdd(index, button.dataset.action === 'play-next');
+                }
+                return;
+            }
+            
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                this.selectPlaylistItem(index, e.shiftKey, e.ctrlKey || e.metaKey);
+                return;
+            }
+            this.selectionAnchorId = track.id;
+            this.clearPlaylistSelection();
+            if (this.onPlaylistItemClick) {
+                this.onPlaylistItemClick(index);
+            }
+        });
+        
+        // Dragging an unselected row drags just that row, a selected one drags the whole selection
+        list.addEventListener('dragstart', (e) => {
+            const track = this.playlistTracks[rowIndex(e)];
+            if (!track) return;
             
+            if (!this.selectedTrackIds.has(track.id)) {
+                this.selectedTrackIds = new Set([track.id]);
+                this.selectionAnchorId = track.id;
+                this.renderPlaylistSelection();
+            }
+            this.dragIndices = this.getSelectedIndices();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragIndices.join(','));
+            e.target.closest('.playlist-item').classList.add('dragging');
+        });
+        
+        list.addEventListener('dragover', (e) => {
+            if (!isTrackDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearDropMarks();
+            
+            const row = e.target.closest('.playlist-item');
+            if (row) {
+                const rect = row.getBoundingClientRect();
+                row.classList.add(e.clientY > rect.top + rect.height / 2 ? 'drop-after' : 'drop-before');
+            }
+        });
+        
+        list.addEventListener('drop', (e) => {
+            if (!isTrackDrag(e)) return;
+            e.preventDefault();
+            
+            // Below the last row drops at the end
+            const row = list.querySelector('.drop-before, .drop-after');
+            let gap = this.playlistTracks.length;
+            if (row) {
+                gap = Number(row.dataset.index) + (row.classList.contains('drop-after') ? 1 : 0);
+            }
+            const indices = this.dragIndices;
+            this.dragIndices = null;
+            clearDropMarks();
+            if (this.onTracksMove) {
+                this.onTracksMove(indices, gap);
+            }
+        });
+        
+        // The dragged row may have been scrolled out and removed, so this can miss; drop resets too
+        list.addEventListener('dragend', () => {
+            this.dragIndices = null;
+            clearDropMarks();
+            list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+        });
+    }
+    
+    selectPlaylistItem(index, range, toggle) {
+        const track = this.playlistTracks[index];
+        
+        // Ranges run over the rows as shown, which may be search results
+        const shown = this.playlistFilter
+            ? this.playlistFilter.map(result => result.track)
+            : this.playlistTracks;
+        const anchor = shown.findIndex(entry => entry.id === this.selectionAnchorId);
+        const position = shown.indexOf(track);
+        
+        if (range && anchor !== -1) {
+            // Shift adds the range to a Ctrl selection, otherwise replaces it
+            if (!toggle) {
+                this.selectedTrackIds.clear();
+            }
+            const start = Math.min(anchor, position);
+            const end = Math.max(anchor, position);
+            shown.slice(start, end + 1).forEach(entry => this.selectedTrackIds.add(entry.id));
+        } else {
+            if (this.selectedTrackIds.has(track.id)) {
+                this.selectedTrackIds.delete(track.id);
+            } else {
+                this.selectedTrackIds.add(track.id);
+            }
+            this.selectionAnchorId = track.id;
+        }
+        this.renderPlaylistSelection();
+    }
+    
+    // Arrows on the sorted columns, numbered when there is more than one key
+    updatePlaylistSort(keys) {
+        this.elements.playlistColumns.querySelectorAll('.playlist-column').forEach(button => {
+            const position = keys.findIndex(key => key.field === button.dataset.field);
+            const key = keys[position];
+            button.classList.toggle('sorted', Boolean(key));
+            button.querySelector('.playlist-column-order').textContent = key
+                ? `${key.descending ? '▼' : '▲'}${keys.length > 1 ? position + 1 : ''}`
+                : '';
+        });
+    }
+    
+    // Runs the search box's query; an empty one shows the whole playlist again
+    applyPlaylistSearch(resetScroll = true) {
+        const query = this.elements.playlistSearchInput.value.trim();
+        const previous = this.playlistFilter;
+        this.playlistFilter = query && this.onPlaylistSearch ? this.onPlaylistSearch(query) : null;
+        
+        if (!this.playlistFilter || this.playlistFilter.length === 0) {
+            this.searchCursor = -1;
+        } else if (resetScroll || !previous) {
+            this.searchCursor = 0;
+        } else {
+            this.searchCursor = Math.min(Math.max(this.searchCursor, 0), this.playlistFilter.length - 1);
+        }
+        
+        this.elements.playlistSearchCount.textContent = this.playlistFilter
+            ? `${this.playlistFilter.length} of ${this.playlistTracks.length}`
+            : '';
+        if (resetScroll) {
+            this.elements.playlistItems.scrollTop = 0;
+        }
+        this.layoutPlaylistRows();
+    }
+    
+    clearPlaylistSearch() {
+        clearTimeout(this.searchTimer);
+        this.elements.playlistSearchInput.value = '';
+        this.applyPlaylistSearch();
+    }
+    
+    // The playlist section opens if it was collapsed
+    focusPlaylistSearch() {
+        this.elements.playlistHeader.classList.add('expanded');
+        this.elements.playlistContainer.classList.add('expanded');
+        this.elements.playlistSearchInput.focus();
+        this.elements.playlistSearchInput.select();
+    }
+    
+    moveSearchCursor(delta) {
+        if (!this.playlistFilter || this.playlistFilter.length === 0) return;
+        
+        this.searchCursor = Math.min(Math.max(this.searchCursor + delta, 0), this.playlistFilter.length - 1);
+        this.elements.playlistWindow.querySelectorAll('.playlist-item').forEach(item => {
+            item.classList.toggle('search-cursor', Number(item.dataset.position) === this.searchCursor);
+        });
+        this.ensurePlaylistRowVisible(this.searchCursor);
+    }
+    
+    clearPlaylistSelection() {
+        this.selectedTrackIds.clear();
+        this.renderPlaylistSelection();
+    }
+    
+    getSelectedIndices() {
+        return this.playlistTracks
+            .map((track, index) => (this.selectedTrackIds.has(track.id) ? index : -1))
+            .filter(index => index !== -1);
+    }
+    
+    // Marks rows without rebuilding the list
+    renderPlaylistSelection() {
+        this.elements.playlistItems.querySelectorAll('.playlist-item').forEach(item => {
+            const track = this.playlistTracks[Number(item.dataset.index)];
+            item.classList.toggle('selected', Boolean(track) && this.selectedTrackIds.has(track.id));
+        });
+        this.updateSelectionBar();
+    }
+    
+    updateSelectionBar() {
+        const count = this.selectedTrackIds.size;
+        this.elements.selectionBar.style.display = count > 0 ? '' : 'none';
+        this.elements.selectionCount.textContent = `${count} selected`;
+    }
+    
+    // Hidden while the queue is empty
+    updateQueue(queue) {
+        this.elements.queueItems.innerHTML = '';
+        this.elements.queuePanel.style.display = queue.length > 0 ? '' : 'none';
+        this.elements.queueTitle.textContent = `Up Next (${queue.length})`;
+        
+        queue.forEach((track, index) => {
+            const item = document.createElement('div');
+            item.className = 'playlist-item queue-item';
             item.innerHTML = `
                 <span class="playlist-item-index">${index + 1}</span>
                 <div class="playlist-item-info">
-                    <div class="playlist-item-title">${track.name}</div>
-                    <div class="playlist-item-duration">${this.formatTime(track.duration)}</div>
+                    <div class="playlist-item-title"></div>
+                    <div class="playlist-item-duration"></div>
+                </div>
+                <button class="playlist-item-action" data-move="-1" title="Move Up">
+                    <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                        <path d="M7 14l5-5 5 5z"/>
+                    </svg>
+                </button>
+                <button class="playlist-item-action" data-move="1" title="Move Down">
+                    <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                        <path d="M7 10l5 5 5-5z"/>
+                    </svg>
+                </button>
+                <button class="playlist-item-remove" title="Remove from Queue">
+                    <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
+                        <path d="M6 6L18 18M6 18L18 6" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                </button>
+            `;
+            item.querySelector('.playlist-item-title').textContent = track.name;
+            item.querySelector('.playlist-item-duration').textContent = this.formatTrackDetails(track);
+            
+            item.querySelectorAll('[data-move]').forEach(button => {
+                const target = index + Number(button.dataset.move);
+                button.disabled = target < 0 || target >= queue.length;
+                button.addEventListener('click', () => {
+                    if (this.onQueueMove) {
+                        this.onQueueMove(index, target);
+                    }
+                });
+            });
+            
+            item.querySelector('.playlist-item-remove').addEventListener('click', () => {
+                if (this.onQueueRemove) {
+                    this.onQueueRemove(index);
+                }
+            });
+            
+            this.elements.queueItems.appendChild(item);
+        });
+    }
+    
+    // Playlist tracks with a tick box each, and the status of their last batch export.
+    // Built only while the panel is open, playlist updates would otherwise rebuild it every time.
+    updateBatchItems(tracks) {
+        this.batchTracks = tracks;
+        if (this.isBatchPanelOpen()) {
+            this.renderBatchItems();
+        } else {
+            this.batchItemsStale = true;
+        }
+    }
+    
+    isBatchPanelOpen() {
+        return this.elements.batchContainer.classList.contains('expanded');
+    }
+    
+    renderBatchItems() {
+        const tracks = this.batchTracks;
+        this.batchItemsStale = false;
+        this.elements.batchItems.innerHTML = '';
+        
+        if (tracks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'library-empty';
+            empty.textContent = 'Add tracks to the playlist to export them';
+            this.elements.batchItems.appendChild(empty);
+            return;
+        }
+        
+        tracks.forEach((track) => {
+            const item = document.createElement('div');
+            item.className = 'playlist-item batch-item';
+            item.dataset.trackId = track.id;
+            
+            item.innerHTML = `
+                <input type="checkbox" data-track-id="${track.id}">
+                <div class="playlist-item-info">
+                    <div class="playlist-item-title library-folder-path"></div>
+                    <div class="playlist-item-duration batch-item-status"></div>
+                    <div class="batch-item-progress"><div class="batch-item-progress-fill"></div></div>
+                </div>
+            `;
+            // Names come from file names and tags
+            item.querySelector('.playlist-item-title').textContent = track.name;
+            
+            const checkbox = item.querySelector('input');
+            checkbox.checked = !this.batchExcluded.has(track.id);
+            checkbox.disabled = this.batchRunning;
+            
+            this.elements.batchItems.appendChild(item);
+            this.renderBatchJob(item, this.batchJobs.get(track.id), track);
+        });
+    }
+    
+    setBatchTrackSelected(trackId, selected) {
+        if (selected) {
+            this.batchExcluded.delete(trackId);
+        } else {
+            this.batchExcluded.add(trackId);
+        }
+    }
+    
+    getBatchSelection(tracks) {
+        return tracks.filter(track => !this.batchExcluded.has(track.id));
+    }
+    
+    updateBatchJob(job) {
+        this.batchJobs.set(job.track.id, job);
+        const item = this.elements.batchItems.querySelector(`[data-track-id="${job.track.id}"].batch-item`);
+        if (item) {
+            this.renderBatchJob(item, job, job.track);
+        }
+    }
+    
+    renderBatchJob(item, job, track) {
+        const status = item.querySelector('.batch-item-status');
+        const fill = item.querySelector('.batch-item-progress-fill');
+        const progress = job ? job.progress : 0;
+        const labels = {
+            pending: 'Queued',
+            rendering: `Rendering ${Math.floor(progress)}%`,
+            encoding: `Encoding ${Math.floor(progress)}%`,
+            done: job && job.clipped ? 'Exported, clips' : 'Exported',
+            failed: `Failed: ${job ? job.error : ''}`,
+            cancelled: 'Cancelled'
+        };
+        
+        status.textContent = job ? labels[job.status] : this.formatTrackDetails(track);
+        status.classList.toggle('failed', Boolean(job && (job.status === 'failed' || job.clipped)));
+        item.title = job && job.outputPath ? job.outputPath : '';
+        fill.style.width = `${job && job.status !== 'cancelled' ? progress : 0}%`;
+    }
+    
+    // Locks the selection while the queue runs, starting a run clears the last one's results
+    setBatchRunning(running) {
+        this.batchRunning = running;
+        if (running) {
+            this.batchJobs.clear();
+        }
+        this.elements.batchStartBtn.disabled = running;
+        this.elements.batchCancelBtn.disabled = !running;
+        this.elements.batchSelectAllBtn.disabled = running;
+        this.elements.batchStartLabel.textContent = running ? 'Exporting...' : 'Export Selected';
+        this.elements.batchItems.querySelectorAll('input[type="checkbox"]').forEach(box => {
+            box.disabled = running;
+        });
+    }
+    
+    updateBatchSettings({ folder, template, format }) {
+        this.elements.batchFolderPath.textContent = folder || 'Not selected';
+        this.elements.batchFolderPath.title = folder || '';
+        this.elements.batchTemplateInput.value = template;
+        this.elements.batchFormatSelector.value = format;
+    }
+    
+    updateLibrary(folders, tracks) {
+        this.elements.libraryFolders.innerHTML = '';
+        
+        if (folders.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'library-empty';
+            empty.textContent = 'Add a folder to keep its music in your library';
+            this.elements.libraryFolders.appendChild(empty);
+            return;
+        }
+        
+        folders.forEach((folder) => {
+            const count = tracks.filter(track => track.folder === folder).length;
+            const item = document.createElement('div');
+            item.className = 'playlist-item';
+            item.title = 'Add to playlist';
+            
+            item.innerHTML = `
+                <div class="playlist-item-info">
+                    <div class="playlist-item-title library-folder-path"></div>
+                    <div class="playlist-item-duration">${count} track${count === 1 ? '' : 's'}</div>
                 </div>
-                <button class="playlist-item-remove" data-index="${index}">
+                <button class="playlist-item-remove" title="Remove from library">
                     <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
                         <path d="M6 6L18 18M6 18L18 6" stroke="currentColor" stroke-width="2"/>
                     </svg>
                 </button>
             `;
+            // Paths can contain markup characters
+            item.querySelector('.library-folder-path').textContent = folder;
             
-            // Click to play
+            // Click to add the folder's tracks
             item.addEventListener('click', (e) => {
                 if (!e.target.closest('.playlist-item-remove')) {
-                    if (this.onPlaylistItemClick) {
-                        this.onPlaylistItemClick(index);
+                    if (this.onLibraryFolderClick) {
+                        this.onLibraryFolderClick(folder);
                     }
                 }
             });
@@ -446,15 +1897,21 @@ class UIController {
             const removeBtn = item.querySelector('.playlist-item-remove');
             removeBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                if (this.onPlaylistItemRemove) {
-                    this.onPlaylistItemRemove(index);
+                if (this.onLibraryFolderRemove) {
+                    this.onLibraryFolderRemove(folder);
                 }
             });
             
-            this.elements.playlistItems.appendChild(item);
+            this.elements.libraryFolders.appendChild(item);
         });
     }
     
+    // Streamed tracks play through a media element that can't shift pitch
+    setPitchAvailable(available) {
+        this.elements.pitchSlider.disabled = !available;
+        this.elements.pitchSlider.title = available ? '' : 'Pitch shift is not available for long, streamed tracks';
+    }
+    
     updateEffectSliders(speed, pitch, reverb, extras = {}) {
         this.elements.speedSlider.value = speed * 100;
         this.elements.speedValue.textContent = `${speed.toFixed(2)}x`;
@@ -478,6 +1935,43 @@ class UIController {
         }
     }
     
+    updateEQSliders(gains) {
+        gains.forEach((gain, index) => {
+            if (!this.elements.eqSliders[index]) return;
+            this.elements.eqSliders[index].value = gain;
+            this.elements.eqValues[index].textContent = this.formatGain(gain);
+        });
+    }
+    
+    updateTransitionSettings(crossfade, gapless) {
+        this.elements.crossfadeSlider.value = crossfade;
+        this.elements.crossfadeValue.textContent = this.formatCrossfade(crossfade);
+        this.elements.gaplessToggle.checked = gapless;
+    }
+    
+    formatTrackDetails(track) {
+        const duration = this.formatTime(track.duration);
+        return track.artist && track.artist !== 'Unknown Artist'
+            ? `${track.artist} · ${duration}`
+            : duration;
+    }
+    
+    formatCrossfade(seconds) {
+        return seconds > 0 ? `${seconds}s` : 'Off';
+    }
+    
+    formatRepeat(count) {
+        return `${count}x`;
+    }
+    
+    formatGain(gain) {
+        return gain > 0 ? `+${gain}` : gain.toString();
+    }
+    
+    formatFrequency(frequency) {
+        return frequency >= 1000 ? `${frequency / 1000}k` : frequency.toString();
+    }
+    
     formatTime(seconds) {
         if (!seconds || seconds < 0) return '0:00';
         
@@ -486,6 +1980,13 @@ class UIController {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
     
+    // Percentage on the export button while rendering and encoding, null when done
+    setExportProgress(percent) {
+        const exporting = percent !== null;
+        this.elements.exportBtn.disabled = exporting;
+        this.elements.exportBtnLabel.textContent = exporting ? `Exporting ${Math.floor(percent)}%` : 'Export';
+    }
+    
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
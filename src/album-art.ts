@@ -0,0 +1,128 @@
+import { nativeImage } from 'electron';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+
+// Renderer'ın etiketlerden çıkardığı gömülü resim (APIC / METADATA_BLOCK_PICTURE)
+export interface AlbumArtPicture {
+  data: Uint8Array;
+  mimeType: string;
+}
+
+// Dosyanın yanında aranan kapak resimleri, öncelik sırasıyla
+const FOLDER_IMAGE_NAMES = ['cover', 'folder', 'front', 'album', 'albumart', 'albumartlarge'];
+const FOLDER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const THUMBNAIL_SIZE = 320; // 160px kapak alanı, yüksek DPI ekranlar için 2x
+const THUMBNAIL_QUALITY = 85;
+
+// Kapakları küçültüp userData altında önbelleğe alır. Dosya adı kaynağın hash'i
+// olduğundan aynı albümün parçaları tek bir küçük resmi paylaşır.
+export class AlbumArtCache {
+  private pending = new Map<string, Promise<string | null>>();
+
+  constructor(private cacheDir: string) {}
+
+  // Önce gömülü resim, yoksa klasördeki kapak. Küçük resmin file:// URL'si ya da null döner.
+  async resolve(trackPath: string, picture?: AlbumArtPicture | null): Promise<string | null> {
+    if (picture && picture.data && picture.data.length > 0) {
+      const buffer = Buffer.from(picture.data);
+      const url = await this.getThumbnail(hash(buffer), async () => buffer);
+      if (url) {
+        return url;
+      }
+      // Desteklenmeyen biçim (GIF, BMP...), klasör resmine geç
+    }
+
+    const imagePath = await findFolderImage(path.dirname(trackPath));
+    if (!imagePath) {
+      return null;
+    }
+
+    let stats: fs.Stats;
+    try {
+      stats = await fs.promises.stat(imagePath);
+    } catch (error) {
+      return null;
+    }
+    // Resim değiştirilirse yeni bir küçük resim üretilsin
+    const key = hash(Buffer.from(`${imagePath}\0${stats.size}\0${stats.mtimeMs}`));
+    return this.getThumbnail(key, () => fs.promises.readFile(imagePath));
+  }
+
+  // Aynı kapak için eşzamanlı istekler tek bir işlemi bekler
+  private getThumbnail(key: string, read: () => Promise<Buffer>): Promise<string | null> {
+    let request = this.pending.get(key);
+    if (!request) {
+      request = this.createThumbnail(key, read).finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return request;
+  }
+
+  private async createThumbnail(key: string, read: () => Promise<Buffer>): Promise<string | null> {
+    const thumbnailPath = path.join(this.cacheDir, `${key}.jpg`);
+    try {
+      await fs.promises.access(thumbnailPath);
+      return pathToFileURL(thumbnailPath).href;
+    } catch (error) {
+      // Önbellekte yok, oluştur
+    }
+
+    try {
+      const image = nativeImage.createFromBuffer(await read());
+      if (image.isEmpty()) {
+        return null;
+      }
+
+      const size = image.getSize();
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(size.width, size.height));
+      const thumbnail = image.resize({
+        width: Math.max(1, Math.round(size.width * scale)),
+        height: Math.max(1, Math.round(size.height * scale)),
+        quality: 'good'
+      });
+
+      // Yarım kalan yazma önbellekte bozuk resim bırakmasın
+      const tempPath = `${thumbnailPath}.tmp`;
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, thumbnail.toJPEG(THUMBNAIL_QUALITY));
+      await fs.promises.rename(tempPath, thumbnailPath);
+      return pathToFileURL(thumbnailPath).href;
+    } catch (error) {
+      console.error('Album art thumbnail error:', error);
+      return null;
+    }
+  }
+}
+
+function hash(data: Buffer): string {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+async function findFolderImage(directory: string): Promise<string | null> {
+  let entries: fs.Dirent[];
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return null;
+  }
+
+  // Dosya adları büyük/küçük harf duyarsız eşleşir (Folder.jpg, COVER.PNG...)
+  const images = new Map<string, string>();
+  entries
+    .filter(entry => entry.isFile())
+    .forEach(entry => {
+      const extension = path.extname(entry.name).toLowerCase();
+      if (FOLDER_IMAGE_EXTENSIONS.includes(extension)) {
+        const base = path.basename(entry.name, path.extname(entry.name)).toLowerCase();
+        if (!images.has(base)) {
+          images.set(base, path.join(directory, entry.name));
+        }
+      }
+    });
+
+  const name = FOLDER_IMAGE_NAMES.find(candidate => images.has(candidate));
+  return name ? images.get(name)! : null;
+}
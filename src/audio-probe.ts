@@ -0,0 +1,390 @@
+import * as fs from 'fs';
+
+// Dosya başlıklarından okunan süre ve biçim bilgisi (tüm dosyayı decode etmeden)
+export interface AudioProbe {
+  codec: string; // MP3, FLAC, Vorbis, Opus, PCM...
+  duration: number; // saniye
+  sampleRate: number;
+  channels: number;
+  bitrate: number; // kbps, VBR dosyalarda ortalama
+  bitsPerSample?: number;
+  size?: number; // dosya boyutu (byte)
+}
+
+const HEAD_SIZE = 64 * 1024;
+const OGG_TAIL_SIZE = 64 * 1024; // Son Ogg sayfası en fazla ~64KB
+const MP3_SCAN_CHUNK = 256 * 1024;
+
+// MPEG bitrate tabloları (kbps): [MPEG1 L1, L2, L3, MPEG2/2.5 L1, L2/L3]
+const MPEG_BITRATES = [
+  [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+];
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+// WAV format etiketleri
+const WAVE_FORMATS: Record<number, string> = {
+  0x0001: 'PCM',
+  0x0003: 'PCM (float)',
+  0x0006: 'A-law',
+  0x0007: 'μ-law',
+  0x0055: 'MP3'
+};
+
+interface MpegFrame {
+  version: number; // 1, 2 ya da 2.5
+  layer: number;
+  bitrate: number; // kbps
+  sampleRate: number;
+  channels: number;
+  length: number; // byte
+  samples: number;
+}
+
+// Dosyanın yalnızca gereken kısımlarını okur
+class FileReader {
+  constructor(private handle: fs.promises.FileHandle, readonly size: number) {}
+
+  async read(position: number, length: number): Promise<Buffer> {
+    const available = Math.max(0, Math.min(length, this.size - position));
+    const buffer = Buffer.alloc(available);
+    if (available > 0) {
+      await this.handle.read(buffer, 0, available, position);
+    }
+    return buffer;
+  }
+}
+
+export async function probeAudioFile(filePath: string): Promise<AudioProbe | null> {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const reader = new FileReader(handle, size);
+
+    // ID3v2 etiketi (ve içindeki kapak) atlanır; FLAC dosyalarında da bulunabilir
+    let offset = 0;
+    let head = await reader.read(0, HEAD_SIZE);
+    if (head.length >= 10 && head.toString('latin1', 0, 3) === 'ID3') {
+      const tagSize = syncsafe(head, 6) + 10 + (head[5] & 0x10 ? 10 : 0);
+      offset = tagSize;
+      head = await reader.read(offset, HEAD_SIZE);
+    }
+
+    // Handle kapanmadan önce okumalar bitsin diye await ile beklenir
+    const magic = head.toString('latin1', 0, 4);
+    let probe: AudioProbe | null;
+    if (magic === 'fLaC') {
+      probe = await probeFlac(reader, head, offset);
+    } else if (magic === 'OggS') {
+      probe = await probeOgg(reader, head);
+    } else if ((magic === 'RIFF' || magic === 'RF64') && head.toString('latin1', 8, 12) === 'WAVE') {
+      probe = await probeWav(reader, head);
+    } else {
+      probe = await probeMp3(reader, offset);
+    }
+    return probe ? { ...probe, size } : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function syncsafe(buffer: Buffer, offset: number): number {
+  return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+// STREAMINFO her zaman ilk metadata bloğudur
+function parseStreamInfo(buffer: Buffer, offset: number, audioSize: number, codec: string): AudioProbe | null {
+  if (buffer.length < offset + 18) {
+    return null;
+  }
+  const sampleRate = (buffer[offset + 10] << 12) | (buffer[offset + 11] << 4) | (buffer[offset + 12] >> 4);
+  const channels = ((buffer[offset + 12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((buffer[offset + 12] & 0x01) << 4) | (buffer[offset + 13] >> 4)) + 1;
+  // 36 bit toplam örnek sayısı, 0 ise bilinmiyor
+  const totalSamples = (buffer[offset + 13] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(offset + 14);
+  if (sampleRate === 0) {
+    return null;
+  }
+
+  const duration = totalSamples / sampleRate;
+  return {
+    codec,
+    duration,
+    sampleRate,
+    channels,
+    bitsPerSample,
+    bitrate: duration > 0 ? Math.round(audioSize * 8 / duration / 1000) : 0
+  };
+}
+
+async function probeFlac(reader: FileReader, head: Buffer, start: number): Promise<AudioProbe | null> {
+  // "fLaC" + blok başlığı (4 byte) + STREAMINFO
+  if ((head[4] & 0x7f) !== 0) {
+    return null;
+  }
+
+  // Bitrate'e kapak resimleri karışmasın diye metadata bloklarının sonunu bul
+  let position = start + 4;
+  while (position + 4 <= reader.size) {
+    const header = await reader.read(position, 4);
+    position += 4 + header.readUIntBE(1, 3);
+    if (header[0] & 0x80) break; // Son blok
+  }
+
+  return parseStreamInfo(head, 8, reader.size - position, 'FLAC');
+}
+
+async function probeOgg(reader: FileReader, head: Buffer): Promise<AudioProbe | null> {
+  // İlk sayfanın ilk paketi codec'in tanıtım başlığıdır
+  const segments = head[26];
+  const packet = 27 + segments;
+  if (head.length < packet + 19) {
+    return null;
+  }
+  const serial = head.readUInt32LE(14);
+
+  let codec: string;
+  let sampleRate: number;
+  let channels: number;
+  let granuleRate: number;
+  let preSkip = 0;
+  let nominalBitrate = 0;
+
+  if (head.toString('latin1', packet, packet + 7) === '\x01vorbis') {
+    codec = 'Vorbis';
+    channels = head[packet + 11];
+    sampleRate = head.readUInt32LE(packet + 12);
+    nominalBitrate = head.readInt32LE(packet + 20);
+    granuleRate = sampleRate;
+  } else if (head.toString('latin1', packet, packet + 8) === 'OpusHead') {
+    // Opus granule pozisyonu her zaman 48 kHz'dir
+    codec = 'Opus';
+    channels = head[packet + 9];
+    preSkip = head.readUInt16LE(packet + 10);
+    sampleRate = head.readUInt32LE(packet + 12) || 48000;
+    granuleRate = 48000;
+  } else if (head.toString('latin1', packet, packet + 5) === '\x7fFLAC') {
+    // Ogg FLAC: eşleme başlığı (9 byte) + "fLaC" + blok başlığı
+    const info = parseStreamInfo(head, packet + 17, reader.size, 'FLAC');
+    if (!info) {
+      return null;
+    }
+    codec = 'FLAC';
+    channels = info.channels;
+    sampleRate = info.sampleRate;
+    granuleRate = sampleRate;
+  } else {
+    return null;
+  }
+
+  // Süre, aynı akışın son sayfasının granule pozisyonundan gelir
+  const tailStart = Math.max(0, reader.size - OGG_TAIL_SIZE);
+  const tail = await reader.read(tailStart, OGG_TAIL_SIZE);
+  let granule = -1;
+  for (let i = tail.length - 27; i >= 0; i--) {
+    if (tail[i] === 0x4f && tail.toString('latin1', i, i + 4) === 'OggS' && tail.readUInt32LE(i + 14) === serial) {
+      const value = tail.readBigInt64LE(i + 6);
+      if (value >= 0) {
+        granule = Number(value);
+        break;
+      }
+    }
+  }
+
+  const duration = granule > 0 ? Math.max(0, granule - preSkip) / granuleRate : 0;
+  let bitrate = duration > 0 ? Math.round(reader.size * 8 / duration / 1000) : 0;
+  if (!bitrate && nominalBitrate > 0) {
+    bitrate = Math.round(nominalBitrate / 1000);
+  }
+
+  return { codec, duration, sampleRate, channels, bitrate };
+}
+
+async function probeWav(reader: FileReader, head: Buffer): Promise<AudioProbe | null> {
+  let format: { tag: number; channels: number; sampleRate: number; byteRate: number; bitsPerSample: number } | null = null;
+  let dataSize = -1;
+  let ds64DataSize = -1;
+
+  // Chunk'lar sırayla gezilir; "data" büyük olabileceğinden başlığı dosyadan okunur
+  let position = 12;
+  while (position + 8 <= reader.size) {
+    const header = position + 8 <= head.length ? head.subarray(position, position + 8) : await reader.read(position, 8);
+    if (header.length < 8) break;
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+
+    if (id === 'fmt ' || id === 'ds64') {
+      const body = await reader.read(position + 8, Math.min(size, 64));
+      if (id === 'fmt ' && body.length >= 16) {
+        let tag = body.readUInt16LE(0);
+        // WAVE_FORMAT_EXTENSIBLE: asıl biçim alt format GUID'inin ilk iki byte'ı
+        if (tag === 0xfffe && body.length >= 26) {
+          tag = body.readUInt16LE(24);
+        }
+        format = {
+          tag,
+          channels: body.readUInt16LE(2),
+          sampleRate: body.readUInt32LE(4),
+          byteRate: body.readUInt32LE(8),
+          bitsPerSample: body.readUInt16LE(14)
+        };
+      } else if (id === 'ds64' && body.length >= 16) {
+        // RF64: 4GB üstü boyutlar ds64 içinde
+        ds64DataSize = Number(body.readBigUInt64LE(8));
+      }
+    } else if (id === 'data') {
+      dataSize = size === 0xffffffff && ds64DataSize >= 0 ? ds64DataSize : size;
+      // Yazımı yarım kalmış dosyalarda boyut dosyadan büyük olabilir
+      dataSize = Math.min(dataSize, reader.size - position - 8);
+      break;
+    }
+
+    position += 8 + size + (size & 1);
+  }
+
+  if (!format || dataSize < 0 || format.byteRate === 0) {
+    return null;
+  }
+
+  return {
+    codec: WAVE_FORMATS[format.tag] || `WAV (0x${format.tag.toString(16)})`,
+    duration: dataSize / format.byteRate,
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    bitsPerSample: format.bitsPerSample,
+    bitrate: Math.round(format.byteRate * 8 / 1000)
+  };
+}
+
+function parseMpegFrame(buffer: Buffer, offset: number): MpegFrame | null {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const table = version === 1 ? layer - 1 : layer === 1 ? 3 : 4;
+  const bitrate = MPEG_BITRATES[table][bitrateIndex];
+  const sampleRate = MPEG_SAMPLE_RATES[rateIndex] / (version === 1 ? 1 : version === 2 ? 2 : 4);
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channels = (buffer[offset + 3] >> 6) === 3 ? 1 : 2;
+
+  let samples: number;
+  let length: number;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor(12000 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && version !== 1 ? 576 : 1152;
+    length = Math.floor(samples / 8 * 1000 * bitrate / sampleRate) + padding;
+  }
+
+  return { version, layer, bitrate, sampleRate, channels, length, samples };
+}
+
+async function probeMp3(reader: FileReader, start: number): Promise<AudioProbe | null> {
+  // İlk geçerli frame'i bul; ardından gelen frame de geçerliyse senkron doğrudur
+  const head = await reader.read(start, HEAD_SIZE);
+  let first: MpegFrame | null = null;
+  let firstOffset = -1;
+  for (let i = 0; i + 4 <= head.length; i++) {
+    const frame = parseMpegFrame(head, i);
+    if (!frame) continue;
+    const following = i + frame.length + 4 <= head.length ? parseMpegFrame(head, i + frame.length) : frame;
+    if (following && following.sampleRate === frame.sampleRate) {
+      first = frame;
+      firstOffset = i;
+      break;
+    }
+  }
+  if (!first) {
+    return null;
+  }
+
+  const audioStart = start + firstOffset;
+  const audioEnd = reader.size - (await hasId3v1(reader) ? 128 : 0);
+  const audioSize = audioEnd - audioStart;
+  const result = (frames: number, trimmed = 0): AudioProbe => {
+    const duration = Math.max(0, frames * first!.samples - trimmed) / first!.sampleRate;
+    return {
+      codec: `MP${first!.layer}`,
+      duration,
+      sampleRate: first!.sampleRate,
+      channels: first!.channels,
+      bitrate: duration > 0 ? Math.round(audioSize * 8 / duration / 1000) : first!.bitrate
+    };
+  };
+
+  // Xing/Info başlığı yan bilginin (side info) hemen ardından gelir
+  const sideInfo = first.version === 1 ? (first.channels === 1 ? 17 : 32) : (first.channels === 1 ? 9 : 17);
+  const xing = firstOffset + 4 + sideInfo;
+  const xingId = head.toString('latin1', xing, xing + 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && head[xing + 7] & 0x01) {
+    const frames = head.readUInt32BE(xing + 8);
+    // LAME başlığındaki encoder gecikmesi ve dolgu, gapless çalmada atılan örneklerdir
+    let trimmed = 0;
+    const lame = xing + 8 + (head[xing + 7] & 0x01 ? 4 : 0) + (head[xing + 7] & 0x02 ? 4 : 0) +
+      (head[xing + 7] & 0x04 ? 100 : 0) + (head[xing + 7] & 0x08 ? 4 : 0);
+    if (lame + 24 <= head.length && /^(LAME|Lavc|Lavf)/.test(head.toString('latin1', lame, lame + 4))) {
+      const delay = (head[lame + 21] << 4) | (head[lame + 22] >> 4);
+      const padding = ((head[lame + 22] & 0x0f) << 8) | head[lame + 23];
+      trimmed = delay + padding;
+    }
+    return result(frames, trimmed);
+  }
+
+  // VBRI (Fraunhofer) her zaman 32 byte yan bilgiden sonra
+  const vbri = firstOffset + 36;
+  if (head.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+    return result(head.readUInt32BE(vbri + 14));
+  }
+
+  // Başlık yoksa frame'ler tek tek sayılır (CBR'de bile bitrate değişebilir)
+  return result(await countMpegFrames(reader, audioStart, audioEnd));
+}
+
+async function hasId3v1(reader: FileReader): Promise<boolean> {
+  if (reader.size < 128) {
+    return false;
+  }
+  const tag = await reader.read(reader.size - 128, 3);
+  return tag.toString('latin1') === 'TAG';
+}
+
+async function countMpegFrames(reader: FileReader, start: number, end: number): Promise<number> {
+  let frames = 0;
+  let position = start;
+  let chunkStart = -1;
+  let chunk: Buffer = Buffer.alloc(0);
+
+  while (position + 4 <= end) {
+    if (position < chunkStart || position + 4 > chunkStart + chunk.length) {
+      chunkStart = position;
+      chunk = await reader.read(position, Math.min(MP3_SCAN_CHUNK, end - position));
+      if (chunk.length < 4) break;
+    }
+
+    const frame = parseMpegFrame(chunk, position - chunkStart);
+    if (frame) {
+      frames++;
+      position += frame.length;
+    } else {
+      // Senkron kayboldu (bozuk veri, APE etiketi...), bir sonraki frame'i ara
+      position++;
+    }
+  }
+
+  return frames;
+}
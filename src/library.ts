@@ -0,0 +1,362 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Kütüphaneye alınan ses dosyası uzantıları
+export const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'flac'];
+
+export interface LibraryTrack {
+  path: string;
+  name: string;
+  folder: string; // Track'in ait olduğu izlenen klasör
+  size: number;
+  mtime: number;
+  addedAt: number;
+}
+
+export interface LibraryChange {
+  added: LibraryTrack[];
+  removed: string[];
+  renamed: { from: string; to: string }[];
+}
+
+interface LibraryIndex {
+  version: number;
+  folders: string[];
+  tracks: Record<string, LibraryTrack>;
+}
+
+const INDEX_VERSION = 1;
+const WATCH_DEBOUNCE_MS = 300; // Bir kopyalama/taşıma işleminin olaylarını topla
+const SAVE_DEBOUNCE_MS = 1000;
+
+export function isAudioFile(filePath: string): boolean {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return AUDIO_EXTENSIONS.includes(extension);
+}
+
+// `child` klasörün kendisi ya da altında mı?
+function isInside(child: string, folder: string): boolean {
+  const relative = path.relative(folder, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// İzlenen klasörleri tarayan, fs.watch ile güncel tutan ve JSON index'e kaydeden kütüphane
+export class MusicLibrary {
+  private index: LibraryIndex = { version: INDEX_VERSION, folders: [], tracks: {} };
+  private watchers = new Map<string, fs.FSWatcher>();
+  private pendingPaths = new Set<string>();
+  private watchTimer: NodeJS.Timeout | null = null;
+  private saveTimer: NodeJS.Timeout | null = null;
+  // Süren yazma, bitene kadar çıkış beklemeli
+  private saving: Promise<void> | null = null;
+
+  constructor(
+    private indexPath: string,
+    private onChange: (change: LibraryChange) => void
+  ) {}
+
+  // Kayıtlı index'i yükle, kapalıyken olan değişiklikler için klasörleri yeniden tara
+  async load(): Promise<void> {
+    try {
+      const raw = await fs.promises.readFile(this.indexPath, 'utf-8');
+      const data = JSON.parse(raw) as LibraryIndex;
+      if (data.version === INDEX_VERSION) {
+        this.index = data;
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Library index read error:', error);
+      }
+    }
+
+    await this.rescan();
+  }
+
+  getFolders(): string[] {
+    return [...this.index.folders];
+  }
+
+  getTracks(folder?: string): LibraryTrack[] {
+    const tracks = Object.values(this.index.tracks);
+    const filtered = folder ? tracks.filter(track => track.folder === folder) : tracks;
+    return filtered.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async addFolder(folder: string): Promise<boolean> {
+    const resolved = path.resolve(folder);
+    // Zaten izlenen bir klasörün alt klasörü eklenmez
+    if (this.index.folders.some(existing => isInside(resolved, existing))) {
+      return false;
+    }
+
+    // Yeni klasör mevcut klasörleri kapsıyorsa onları devral
+    const nested = this.index.folders.filter(existing => isInside(existing, resolved));
+    nested.forEach(existing => this.unwatchFolder(existing));
+    this.index.folders = this.index.folders.filter(existing => !nested.includes(existing));
+    Object.values(this.index.tracks)
+      .filter(track => nested.includes(track.folder))
+      .forEach(track => { track.folder = resolved; });
+
+    this.index.folders.push(resolved);
+    await this.scanFolder(resolved);
+    this.watchFolder(resolved);
+    this.scheduleSave();
+    return true;
+  }
+
+  removeFolder(folder: string): boolean {
+    const resolved = path.resolve(folder);
+    if (!this.index.folders.includes(resolved)) {
+      return false;
+    }
+
+    this.unwatchFolder(resolved);
+    this.index.folders = this.index.folders.filter(existing => existing !== resolved);
+
+    const removed = Object.values(this.index.tracks)
+      .filter(track => track.folder === resolved)
+      .map(track => track.path);
+    removed.forEach(trackPath => delete this.index.tracks[trackPath]);
+
+    this.emit({ added: [], removed, renamed: [] });
+    this.scheduleSave();
+    return true;
+  }
+
+  async rescan(): Promise<void> {
+    for (const folder of this.index.folders) {
+      await this.scanFolder(folder);
+      if (!this.watchers.has(folder)) {
+        this.watchFolder(folder);
+      }
+    }
+    this.scheduleSave();
+  }
+
+  hasPendingSave(): boolean {
+    return this.saveTimer !== null || this.saving !== null;
+  }
+
+  // Kapatmadan önce bekleyen kaydı yaz ve izleyicileri durdur
+  async close(): Promise<void> {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    if (this.watchTimer) {
+      clearTimeout(this.watchTimer);
+      this.watchTimer = null;
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    } else if (this.saving) {
+      await this.saving;
+    }
+  }
+
+  // Klasörü index ile karşılaştır: yeni/değişen dosyaları ekle, silinenleri çıkar
+  private async scanFolder(folder: string): Promise<void> {
+    const found = new Map<string, fs.Stats>();
+    await this.walk(folder, found);
+
+    const added: LibraryTrack[] = [];
+    const removed: string[] = [];
+
+    Object.values(this.index.tracks)
+      .filter(track => track.folder === folder && !found.has(track.path))
+      .forEach(track => {
+        removed.push(track.path);
+        delete this.index.tracks[track.path];
+      });
+
+    found.forEach((stats, filePath) => {
+      const existing = this.index.tracks[filePath];
+      if (existing && existing.size === stats.size && existing.mtime === stats.mtimeMs) {
+        return;
+      }
+      const track = this.createTrack(filePath, folder, stats, existing);
+      this.index.tracks[filePath] = track;
+      added.push(track);
+    });
+
+    this.emit({ added, removed, renamed: [] });
+  }
+
+  private async walk(directory: string, found: Map<string, fs.Stats>): Promise<void> {
+    let entries: fs.Dirent[];
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      // Klasör silinmiş ya da erişilemiyor olabilir
+      console.error('Library scan error:', directory, error);
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await this.walk(fullPath, found);
+      } else if (entry.isFile() && isAudioFile(fullPath)) {
+        try {
+          found.set(fullPath, await fs.promises.stat(fullPath));
+        } catch (error) {
+          // Tarama sırasında silindi
+        }
+      }
+    }
+  }
+
+  private createTrack(filePath: string, folder: string, stats: fs.Stats, existing?: LibraryTrack): LibraryTrack {
+    return {
+      path: filePath,
+      name: path.basename(filePath, path.extname(filePath)),
+      folder,
+      size: stats.size,
+      mtime: stats.mtimeMs,
+      addedAt: existing ? existing.addedAt : Date.now()
+    };
+  }
+
+  private watchFolder(folder: string): void {
+    try {
+      const watcher = fs.watch(folder, { recursive: true }, (eventType, fileName) => {
+        if (fileName) {
+          this.queuePath(path.join(folder, fileName.toString()));
+        } else {
+          // Bazı platformlar dosya adı vermez, klasörü yeniden tara
+          this.queuePath(folder);
+        }
+      });
+      watcher.on('error', (error) => {
+        console.error('Library watch error:', folder, error);
+        this.unwatchFolder(folder);
+      });
+      this.watchers.set(folder, watcher);
+    } catch (error) {
+      console.error('Library watch failed:', folder, error);
+    }
+  }
+
+  private unwatchFolder(folder: string): void {
+    const watcher = this.watchers.get(folder);
+    if (watcher) {
+      watcher.close();
+      this.watchers.delete(folder);
+    }
+  }
+
+  private queuePath(changedPath: string): void {
+    this.pendingPaths.add(changedPath);
+    if (this.watchTimer) {
+      clearTimeout(this.watchTimer);
+    }
+    this.watchTimer = setTimeout(() => {
+      this.watchTimer = null;
+      this.processPendingPaths().catch(error => console.error('Library update error:', error));
+    }, WATCH_DEBOUNCE_MS);
+  }
+
+  // Biriken fs.watch olaylarını index'e uygula. Yeniden adlandırma iki 'rename' olayı
+  // olarak gelir; aynı boyut ve tarihli silinen/eklenen çifti rename sayılır.
+  private async processPendingPaths(): Promise<void> {
+    const paths = [...this.pendingPaths];
+    this.pendingPaths.clear();
+
+    const added: LibraryTrack[] = [];
+    const removed: LibraryTrack[] = [];
+
+    for (const changedPath of paths) {
+      const folder = this.index.folders.find(existing => isInside(changedPath, existing));
+      if (!folder) continue;
+
+      let stats: fs.Stats | null = null;
+      try {
+        stats = await fs.promises.stat(changedPath);
+      } catch (error) {
+        stats = null;
+      }
+
+      if (!stats) {
+        // Dosya ya da klasör silindi/taşındı
+        Object.values(this.index.tracks)
+          .filter(track => isInside(track.path, changedPath))
+          .forEach(track => {
+            removed.push(track);
+            delete this.index.tracks[track.path];
+          });
+      } else if (stats.isDirectory()) {
+        // Klasör eklendi ya da içine taşındı
+        const found = new Map<string, fs.Stats>();
+        await this.walk(changedPath, found);
+        found.forEach((fileStats, filePath) => {
+          if (!this.index.tracks[filePath]) {
+            const track = this.createTrack(filePath, folder, fileStats);
+            this.index.tracks[filePath] = track;
+            added.push(track);
+          }
+        });
+      } else if (stats.isFile() && isAudioFile(changedPath)) {
+        const existing = this.index.tracks[changedPath];
+        if (!existing || existing.size !== stats.size || existing.mtime !== stats.mtimeMs) {
+          const track = this.createTrack(changedPath, folder, stats, existing);
+          this.index.tracks[changedPath] = track;
+          added.push(track);
+        }
+      }
+    }
+
+    const renamed: { from: string; to: string }[] = [];
+    removed.slice().forEach(oldTrack => {
+      const match = added.find(track => track.size === oldTrack.size && track.mtime === oldTrack.mtime);
+      if (match) {
+        match.addedAt = oldTrack.addedAt;
+        renamed.push({ from: oldTrack.path, to: match.path });
+        removed.splice(removed.indexOf(oldTrack), 1);
+        added.splice(added.indexOf(match), 1);
+      }
+    });
+
+    this.emit({ added, removed: removed.map(track => track.path), renamed });
+    this.scheduleSave();
+  }
+
+  private emit(change: LibraryChange): void {
+    if (change.added.length || change.removed.length || change.renamed.length) {
+      this.onChange(change);
+    }
+  }
+
+  private scheduleSave(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  // Yazmalar sırayla yapılır, aynı geçici dosyaya iki yazma çakışmaz
+  private save(): Promise<void> {
+    const saving = (this.saving || Promise.resolve()).then(() => this.write());
+    this.saving = saving;
+    saving.finally(() => {
+      if (this.saving === saving) {
+        this.saving = null;
+      }
+    });
+    return saving;
+  }
+
+  // Önce geçici dosyaya yaz, sonra taşı: yarım kalan yazma index'i bozmaz
+  private async write(): Promise<void> {
+    const tempPath = `${this.indexPath}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.indexPath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.index), 'utf-8');
+      await fs.promises.rename(tempPath, this.indexPath);
+    } catch (error) {
+      console.error('Library index write error:', error);
+    }
+  }
+}
@@ -1,10 +1,30 @@
 import { app, BrowserWindow, ipcMain, dialog, Menu, nativeTheme } from 'electron';
 import * as path from 'path';
 import * as fs from 'fs';
+import { AUDIO_EXTENSIONS, MusicLibrary } from './library';
+import { AlbumArtCache, AlbumArtPicture } from './album-art';
+import { probeAudioFile } from './audio-probe';
+import { PlaylistStore, StoredPlaylist } from './playlist-store';
+import { PLAYLIST_EXTENSIONS, PlaylistEntry, readPlaylistFile, writePlaylistFile } from './playlist-formats';
+import { handleStreamProtocol, registerStreamScheme } from './stream-protocol';
 
 let mainWindow: BrowserWindow | null = null;
 let isQuitting = false;
 
+// Kalıcı müzik kütüphanesi (userData/library.json)
+let library: MusicLibrary | null = null;
+let libraryReady: Promise<void> | null = null;
+
+// Kapak küçük resimleri (userData/artwork)
+let albumArt: AlbumArtCache | null = null;
+
+// İsimli çalma listeleri (userData/playlists.json)
+let playlistStore: PlaylistStore | null = null;
+let playlistsReady: Promise<void> | null = null;
+
+// Uzun parçaların akışla çalınması için desksong:// şeması
+registerStreamScheme();
+
 // Windows için glassmorphism efekti desteği
 if (process.platform === 'win32') {
   app.commandLine.appendSwitch('enable-transparent-visuals');
@@ -65,6 +85,19 @@ app.whenReady().then(() => {
   // Menüyü kaldır
   Menu.setApplicationMenu(null);
 
+  handleStreamProtocol();
+
+  // Kütüphane değişikliklerini renderer'a ilet
+  library = new MusicLibrary(path.join(app.getPath('userData'), 'library.json'), (change) => {
+    mainWindow?.webContents.send('library-changed', change);
+  });
+  libraryReady = library.load();
+
+  albumArt = new AlbumArtCache(path.join(app.getPath('userData'), 'artwork'));
+
+  playlistStore = new PlaylistStore(path.join(app.getPath('userData'), 'playlists.json'));
+  playlistsReady = playlistStore.load();
+
   createWindow();
 
   app.on('activate', () => {
@@ -85,6 +118,17 @@ app.on('before-quit', () => {
   isQuitting = true;
 });
 
+// Bekleyen kayıt varsa yazılana kadar çıkışı beklet; yoksa son konum ve düzenlemeler kaybolur
+app.on('will-quit', (event) => {
+  const pending = Boolean(library?.hasPendingSave() || playlistStore?.hasPendingSave());
+  const closing = Promise.all([library?.close(), playlistStore?.close()]);
+  if (!pending) {
+    return;
+  }
+  event.preventDefault();
+  closing.finally(() => app.exit());
+});
+
 // IPC Handlers
 
 // Pencere kontrolleri
@@ -109,7 +153,8 @@ ipcMain.handle('select-audio-files', async () => {
   const result = await dialog.showOpenDialog(mainWindow!, {
     properties: ['openFile', 'multiSelections'],
     filters: [
-      { name: 'Audio Files', extensions: ['mp3', 'wav', 'ogg', 'flac'] },
+      { name: 'Audio Files', extensions: AUDIO_EXTENSIONS },
+      { name: 'Playlists', extensions: PLAYLIST_EXTENSIONS },
       { name: 'All Files', extensions: ['*'] }
     ]
   });
@@ -120,14 +165,141 @@ ipcMain.handle('select-audio-files', async () => {
   return [];
 });
 
+// Kütüphane
+async function getLibrary(): Promise<MusicLibrary> {
+  await libraryReady;
+  return library!;
+}
+
+ipcMain.handle('library-get-folders', async () => {
+  return (await getLibrary()).getFolders();
+});
+
+ipcMain.handle('library-get-tracks', async (event, folder?: string) => {
+  return (await getLibrary()).getTracks(folder);
+});
+
+// Klasör seçici ile kütüphaneye klasör ekle
+ipcMain.handle('library-add-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow!, {
+    properties: ['openDirectory', 'multiSelections']
+  });
+
+  if (result.canceled) {
+    return null;
+  }
+
+  const musicLibrary = await getLibrary();
+  for (const folder of result.filePaths) {
+    await musicLibrary.addFolder(folder);
+  }
+  return musicLibrary.getFolders();
+});
+
+ipcMain.handle('library-remove-folder', async (event, folder: string) => {
+  return (await getLibrary()).removeFolder(folder);
+});
+
+ipcMain.handle('library-rescan', async () => {
+  await (await getLibrary()).rescan();
+  return true;
+});
+
+// Başlıklardan süre ve biçim bilgisi
+ipcMain.handle('probe-audio-file', async (event, filePath: string) => {
+  try {
+    return await probeAudioFile(filePath);
+  } catch (error) {
+    console.error('Audio probe error:', error);
+    return null;
+  }
+});
+
+// Çalma listeleri
+async function getPlaylistStore(): Promise<PlaylistStore> {
+  await playlistsReady;
+  return playlistStore!;
+}
+
+ipcMain.handle('playlists-get', async () => {
+  return (await getPlaylistStore()).getState();
+});
+
+ipcMain.handle('playlists-save', async (event, playlist: StoredPlaylist) => {
+  (await getPlaylistStore()).savePlaylist(playlist);
+  return true;
+});
+
+ipcMain.handle('playlists-delete', async (event, id: string) => {
+  return (await getPlaylistStore()).deletePlaylist(id);
+});
+
+ipcMain.handle('playlists-set-active', async (event, id: string) => {
+  (await getPlaylistStore()).setActive(id);
+  return true;
+});
+
+// Çalarken ve pencere kapanırken gelir, cevap beklenmez
+ipcMain.on('playlists-set-position', async (event, id: string, currentIndex: number, position: number) => {
+  (await getPlaylistStore()).setPosition(id, currentIndex, position);
+});
+
+// M3U/M3U8, PLS ve XSPF içe aktarma; bulunamayan satırlar ayrıca döner
+ipcMain.handle('playlist-file-import', async (event, filePath: string) => {
+  try {
+    return await readPlaylistFile(filePath);
+  } catch (error) {
+    console.error('Playlist import error:', error);
+    return null;
+  }
+});
+
+// Kaydetme diyaloğunda seçilen uzantının biçiminde yazar, yazılan yolu döndürür
+ipcMain.handle('playlist-file-export', async (event, name: string, entries: PlaylistEntry[]) => {
+  const result = await dialog.showSaveDialog(mainWindow!, {
+    defaultPath: `${name}.m3u8`,
+    filters: [
+      { name: 'M3U8 Playlist', extensions: ['m3u8'] },
+      { name: 'M3U Playlist', extensions: ['m3u'] },
+      { name: 'PLS Playlist', extensions: ['pls'] },
+      { name: 'XSPF Playlist', extensions: ['xspf'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  try {
+    await writePlaylistFile(result.filePath, name, entries);
+    return result.filePath;
+  } catch (error) {
+    console.error('Playlist export error:', error);
+    return null;
+  }
+});
+
+// Kapak resmi: gömülü resim ya da klasördeki cover.jpg/folder.png
+ipcMain.handle('album-art-resolve', async (event, trackPath: string, picture?: AlbumArtPicture | null) => {
+  if (!albumArt) {
+    return null;
+  }
+  return albumArt.resolve(trackPath, picture);
+});
+
 // Export dialog
 ipcMain.handle('save-audio-file', async (event, defaultName: string) => {
+  // Varsayılan adın uzantısı ilk filtre olsun, diyalog onu seçili açar
+  const extension = path.extname(defaultName).slice(1).toLowerCase();
+  const filters = [
+    { name: 'WAV Audio', extensions: ['wav'] },
+    { name: 'FLAC Audio', extensions: ['flac'] },
+    { name: 'MP3 Audio', extensions: ['mp3'] },
+    { name: 'Ogg Vorbis Audio', extensions: ['ogg'] }
+  ].sort((a, b) => Number(b.extensions[0] === extension) - Number(a.extensions[0] === extension));
+
   const result = await dialog.showSaveDialog(mainWindow!, {
     defaultPath: defaultName,
-    filters: [
-      { name: 'WAV Audio', extensions: ['wav'] },
-      { name: 'MP3 Audio', extensions: ['mp3'] }
-    ]
+    filters
   });
 
   if (!result.canceled) {
@@ -136,6 +308,40 @@ ipcMain.handle('save-audio-file', async (event, defaultName: string) => {
   return null;
 });
 
+// Toplu dışa aktarım için çıktı klasörü
+ipcMain.handle('select-export-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow!, {
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  return result.filePaths[0];
+});
+
+// Klasöre dosya yaz; aynı adda dosya varsa üzerine yazmak yerine "ad (2).uzantı" dener.
+// Yazılan dosyanın yolunu döndürür
+ipcMain.handle('write-export-file', async (event, folder: string, fileName: string, data: Uint8Array) => {
+  // Renderer'dan gelen ad klasörün dışına çıkamasın
+  const parsed = path.parse(path.basename(fileName));
+  for (let attempt = 1; attempt < 1000; attempt++) {
+    const suffix = attempt > 1 ? ` (${attempt})` : '';
+    const filePath = path.join(folder, `${parsed.name}${suffix}${parsed.ext}`);
+    try {
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+      return filePath;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'EEXIST') {
+        continue;
+      }
+      console.error('File write error:', error);
+      return null;
+    }
+  }
+  return null;
+});
+
 // Dosya okuma
 ipcMain.handle('read-file', async (event, filePath: string) => {
   try {
@@ -148,7 +354,7 @@ ipcMain.handle('read-file', async (event, filePath: string) => {
 });
 
 // Dosya yazma
-ipcMain.handle('write-file', async (event, filePath: string, data: Buffer) => {
+ipcMain.handle('write-file', async (event, filePath: string, data: Uint8Array) => {
   try {
     await fs.promises.writeFile(filePath, data);
     return true;
@@ -0,0 +1,314 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Diğer oynatıcılarla paylaşılan çalma listesi uzantıları
+export const PLAYLIST_EXTENSIONS = ['m3u', 'm3u8', 'pls', 'xspf'];
+
+// Listedeki bir satır; başlık ve süre listede yazıyorsa gelir
+export interface PlaylistEntry {
+  path: string;
+  title?: string;
+  artist?: string;
+  duration?: number; // saniye
+}
+
+export interface ImportedPlaylist {
+  name: string;
+  entries: PlaylistEntry[]; // Diskte bulunanlar
+  missing: string[]; // Bulunamayan ya da yerel dosya olmayan konumlar, listedeki haliyle
+}
+
+interface RawEntry {
+  location: string;
+  title?: string;
+  artist?: string;
+  duration?: number;
+}
+
+interface RawPlaylist {
+  name?: string;
+  entries: RawEntry[];
+  isUri: boolean; // XSPF konumları URI, diğerleri düz yol
+}
+
+// "Sanatçı - Başlık" biçimindeki görünen adı ayır
+function splitDisplayTitle(display: string): { title?: string; artist?: string } {
+  const text = display.trim();
+  if (!text) return {};
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { title: text };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+}
+
+function joinDisplayTitle(entry: PlaylistEntry): string {
+  return entry.artist && entry.title ? `${entry.artist} - ${entry.title}` : entry.title || '';
+}
+
+function parseDuration(value: string | undefined, scale = 1): number | undefined {
+  const duration = parseFloat(value ?? '');
+  return Number.isFinite(duration) && duration > 0 ? duration / scale : undefined;
+}
+
+// Extended M3U: #EXTINF:<süre>[ öznitelikler],<Sanatçı - Başlık> ve ardından konum satırı
+function parseM3U(text: string): RawPlaylist {
+  const entries: RawEntry[] = [];
+  let name: string | undefined;
+  let pending: Omit<RawEntry, 'location'> = {};
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const info = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+      if (info) {
+        pending = { duration: parseDuration(info[1]), ...splitDisplayTitle(info[2]) };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        name = line.slice('#PLAYLIST:'.length).trim() || undefined;
+      }
+      return;
+    }
+
+    entries.push({ location: line, ...pending });
+    pending = {};
+  });
+
+  return { name, entries, isUri: false };
+}
+
+// PLS: [playlist] altında FileN / TitleN / LengthN anahtarları
+function parsePLS(text: string): RawPlaylist {
+  const entries = new Map<number, RawEntry>();
+  const getEntry = (index: number) => {
+    if (!entries.has(index)) {
+      entries.set(index, { location: '' });
+    }
+    return entries.get(index)!;
+  };
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) return;
+
+    const entry = getEntry(parseInt(match[2], 10));
+    const key = match[1].toLowerCase();
+    if (key === 'file') {
+      entry.location = match[3];
+    } else if (key === 'title') {
+      Object.assign(entry, splitDisplayTitle(match[3]));
+    } else {
+      entry.duration = parseDuration(match[3]);
+    }
+  });
+
+  const sorted = [...entries.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, entry]) => entry)
+    .filter(entry => entry.location);
+  return { entries: sorted, isUri: false };
+}
+
+function decodeXml(text: string): string {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readXmlElement(xml: string, name: string): string | undefined {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : undefined;
+}
+
+// XSPF: <trackList> içinde <track><location/><title/><creator/><duration/></track>, süre milisaniye
+function parseXSPF(text: string): RawPlaylist {
+  const trackListStart = text.search(/<trackList[\s>]/i);
+  const header = trackListStart === -1 ? text : text.slice(0, trackListStart);
+  const entries: RawEntry[] = [];
+
+  for (const match of text.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+    const track = match[1];
+    const location = readXmlElement(track, 'location');
+    if (!location) continue;
+    entries.push({
+      location,
+      title: readXmlElement(track, 'title'),
+      artist: readXmlElement(track, 'creator'),
+      duration: parseDuration(readXmlElement(track, 'duration'), 1000)
+    });
+  }
+
+  return { name: readXmlElement(header, 'title'), entries, isUri: true };
+}
+
+// Liste dosyasının klasörüne göre yerel yola çevir; akış adresleri gibi yerel olmayanlar null
+function resolveLocation(location: string, baseDir: string, isUri: boolean): string | null {
+  if (/^file:/i.test(location)) {
+    try {
+      return fileURLToPath(location);
+    } catch {
+      return null;
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(location)) {
+    return null;
+  }
+
+  let relative = location;
+  if (isUri) {
+    try {
+      relative = decodeURIComponent(location);
+    } catch {
+      return null;
+    }
+  }
+  // Windows'ta yazılmış listeler başka sistemlerde de açılsın
+  if (process.platform !== 'win32') {
+    relative = relative.replace(/\\/g, '/');
+  }
+  return path.resolve(baseDir, relative);
+}
+
+async function isFile(filePath: string): Promise<boolean> {
+  try {
+    return (await fs.promises.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// .m3u dosyaları çoğu zaman sistemin kod sayfasında yazılır; UTF-8 değilse Latin-1 oku
+function decodeText(buffer: Buffer, extension: string): string {
+  let text = buffer.toString('utf-8');
+  if (extension !== 'm3u8' && extension !== 'xspf' && text.includes('\uFFFD')) {
+    text = buffer.toString('latin1');
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+export async function readPlaylistFile(filePath: string): Promise<ImportedPlaylist> {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const text = decodeText(await fs.promises.readFile(filePath), extension);
+
+  let raw: RawPlaylist;
+  if (extension === 'pls') {
+    raw = parsePLS(text);
+  } else if (extension === 'xspf') {
+    raw = parseXSPF(text);
+  } else {
+    raw = parseM3U(text);
+  }
+
+  const baseDir = path.dirname(filePath);
+  const entries: PlaylistEntry[] = [];
+  const missing: string[] = [];
+  for (const entry of raw.entries) {
+    const resolved = resolveLocation(entry.location, baseDir, raw.isUri);
+    if (resolved && await isFile(resolved)) {
+      entries.push({ path: resolved, title: entry.title, artist: entry.artist, duration: entry.duration });
+    } else {
+      missing.push(entry.location);
+    }
+  }
+
+  return {
+    name: raw.name || path.basename(filePath, path.extname(filePath)),
+    entries,
+    missing
+  };
+}
+
+// Liste klasörünün altındaki ya da yanındaki dosyalar göreli yazılır, liste klasörle taşınabilsin
+function relativeLocation(trackPath: string, baseDir: string): string {
+  const relative = path.relative(baseDir, trackPath);
+  if (!relative || path.isAbsolute(relative)) {
+    return trackPath;
+  }
+  // Üst klasörün de üstüne çıkan yollar taşınınca kırılır, onlar mutlak kalır
+  const climbs = relative.split(path.sep).filter(part => part === '..').length;
+  return climbs > 1 ? trackPath : relative;
+}
+
+function writeM3U(entries: PlaylistEntry[], baseDir: string, name: string): string {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  entries.forEach(entry => {
+    const duration = entry.duration ? Math.round(entry.duration) : -1;
+    lines.push(`#EXTINF:${duration},${joinDisplayTitle(entry)}`);
+    lines.push(relativeLocation(entry.path, baseDir));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function writePLS(entries: PlaylistEntry[], baseDir: string): string {
+  const lines = ['[playlist]'];
+  entries.forEach((entry, index) => {
+    const number = index + 1;
+    lines.push(`File${number}=${relativeLocation(entry.path, baseDir)}`);
+    const title = joinDisplayTitle(entry);
+    if (title) {
+      lines.push(`Title${number}=${title}`);
+    }
+    lines.push(`Length${number}=${entry.duration ? Math.round(entry.duration) : -1}`);
+  });
+  lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+  return lines.join('\n') + '\n';
+}
+
+function writeXSPF(entries: PlaylistEntry[], baseDir: string, name: string): string {
+  const location = (trackPath: string) => {
+    const relative = relativeLocation(trackPath, baseDir);
+    if (path.isAbsolute(relative)) {
+      return pathToFileURL(relative).href;
+    }
+    return relative.split(path.sep).map(encodeURIComponent).join('/');
+  };
+
+  const tracks = entries.map(entry => {
+    const fields = [`      <location>${encodeXml(location(entry.path))}</location>`];
+    if (entry.title) fields.push(`      <title>${encodeXml(entry.title)}</title>`);
+    if (entry.artist) fields.push(`      <creator>${encodeXml(entry.artist)}</creator>`);
+    if (entry.duration) fields.push(`      <duration>${Math.round(entry.duration * 1000)}</duration>`);
+    return `    <track>\n${fields.join('\n')}\n    </track>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${encodeXml(name)}</title>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+// Biçim dosya uzantısından seçilir
+export async function writePlaylistFile(filePath: string, name: string, entries: PlaylistEntry[]): Promise<void> {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const baseDir = path.dirname(filePath);
+
+  let text: string;
+  if (extension === 'pls') {
+    text = writePLS(entries, baseDir);
+  } else if (extension === 'xspf') {
+    text = writeXSPF(entries, baseDir, name);
+  } else {
+    text = writeM3U(entries, baseDir, name);
+  }
+
+  await fs.promises.writeFile(filePath, text, 'utf-8');
+}
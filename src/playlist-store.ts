@@ -0,0 +1,145 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Çalma listesindeki bir parça; alanlar renderer'daki PlaylistManager'dan gelir
+export interface StoredPlaylistTrack {
+  path: string;
+  name: string;
+  [field: string]: unknown;
+}
+
+export interface StoredPlaylist {
+  id: string;
+  name: string;
+  tracks: StoredPlaylistTrack[];
+  currentIndex: number;
+  position: number; // Geçerli parçada kalınan yer, saniye
+  query?: Record<string, unknown> | null; // Akıllı listelerin kural sorgusu, parçalar ondan hesaplanır
+}
+
+export interface PlaylistState {
+  activeId: string | null;
+  playlists: StoredPlaylist[];
+}
+
+interface PlaylistFile extends PlaylistState {
+  version: number;
+}
+
+const PLAYLIST_FILE_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 1000;
+
+// İsimli çalma listelerini userData altında tek bir JSON dosyasında saklar
+export class PlaylistStore {
+  private state: PlaylistState = { activeId: null, playlists: [] };
+  private saveTimer: NodeJS.Timeout | null = null;
+  // Süren yazma, bitene kadar çıkış beklemeli
+  private saving: Promise<void> | null = null;
+
+  constructor(private filePath: string) {}
+
+  async load(): Promise<void> {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf-8');
+      const data = JSON.parse(raw) as PlaylistFile;
+      if (data.version === PLAYLIST_FILE_VERSION && Array.isArray(data.playlists)) {
+        this.state = { activeId: data.activeId, playlists: data.playlists };
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Playlist file read error:', error);
+      }
+    }
+  }
+
+  getState(): PlaylistState {
+    return this.state;
+  }
+
+  // Yeni liste sona eklenir, var olan yerinde güncellenir
+  savePlaylist(playlist: StoredPlaylist): void {
+    const index = this.state.playlists.findIndex(existing => existing.id === playlist.id);
+    if (index === -1) {
+      this.state.playlists.push(playlist);
+    } else {
+      this.state.playlists[index] = playlist;
+    }
+    this.scheduleSave();
+  }
+
+  deletePlaylist(id: string): boolean {
+    const before = this.state.playlists.length;
+    this.state.playlists = this.state.playlists.filter(playlist => playlist.id !== id);
+    if (this.state.activeId === id) {
+      this.state.activeId = null;
+    }
+    this.scheduleSave();
+    return this.state.playlists.length !== before;
+  }
+
+  setActive(id: string): void {
+    this.state.activeId = id;
+    this.scheduleSave();
+  }
+
+  // Çalarken sık gelir, sadece sıra ve konum değişir
+  setPosition(id: string, currentIndex: number, position: number): void {
+    const playlist = this.state.playlists.find(existing => existing.id === id);
+    if (!playlist) {
+      return;
+    }
+    playlist.currentIndex = currentIndex;
+    playlist.position = position;
+    this.scheduleSave();
+  }
+
+  hasPendingSave(): boolean {
+    return this.saveTimer !== null || this.saving !== null;
+  }
+
+  // Kapatmadan önce bekleyen kaydı yaz
+  async close(): Promise<void> {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    } else if (this.saving) {
+      await this.saving;
+    }
+  }
+
+  private scheduleSave(): void {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+  }
+
+  // Yazmalar sırayla yapılır, aynı geçici dosyaya iki yazma çakışmaz
+  private save(): Promise<void> {
+    const saving = (this.saving || Promise.resolve()).then(() => this.write());
+    this.saving = saving;
+    saving.finally(() => {
+      if (this.saving === saving) {
+        this.saving = null;
+      }
+    });
+    return saving;
+  }
+
+  // Önce geçici dosyaya yaz, sonra taşı: yarım kalan yazma listeleri bozmaz
+  private async write(): Promise<void> {
+    const tempPath = `${this.filePath}.tmp`;
+    const data: PlaylistFile = { version: PLAYLIST_FILE_VERSION, ...this.state };
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(data), 'utf-8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Playlist file write error:', error);
+    }
+  }
+}
@@ -1,4 +1,9 @@
 import { contextBridge, ipcRenderer, webUtils } from 'electron';
+import type { LibraryChange, LibraryTrack } from './library';
+import type { AlbumArtPicture } from './album-art';
+import type { AudioProbe } from './audio-probe';
+import type { PlaylistState, StoredPlaylist } from './playlist-store';
+import type { ImportedPlaylist, PlaylistEntry } from './playlist-formats';
 
 // Renderer process'e güvenli API'ler expose et
 contextBridge.exposeInMainWorld('electronAPI', {
@@ -11,8 +16,37 @@ contextBridge.exposeInMainWorld('electronAPI', {
   selectAudioFiles: () => ipcRenderer.invoke('select-audio-files'),
   saveAudioFile: (defaultName: string) => ipcRenderer.invoke('save-audio-file', defaultName),
   readFile: (filePath: string) => ipcRenderer.invoke('read-file', filePath),
-  writeFile: (filePath: string, data: Buffer) => ipcRenderer.invoke('write-file', filePath, data),
+  writeFile: (filePath: string, data: Uint8Array) => ipcRenderer.invoke('write-file', filePath, data),
+  selectExportFolder: () => ipcRenderer.invoke('select-export-folder'),
+  writeExportFile: (folder: string, fileName: string, data: Uint8Array) =>
+    ipcRenderer.invoke('write-export-file', folder, fileName, data),
   getFilePathFromFile: (file: File) => webUtils.getPathForFile(file),
+  probeAudioFile: (filePath: string) => ipcRenderer.invoke('probe-audio-file', filePath),
+
+  // Müzik kütüphanesi
+  getLibraryFolders: () => ipcRenderer.invoke('library-get-folders'),
+  getLibraryTracks: (folder?: string) => ipcRenderer.invoke('library-get-tracks', folder),
+  addLibraryFolder: () => ipcRenderer.invoke('library-add-folder'),
+  removeLibraryFolder: (folder: string) => ipcRenderer.invoke('library-remove-folder', folder),
+  rescanLibrary: () => ipcRenderer.invoke('library-rescan'),
+  onLibraryChanged: (callback: (change: LibraryChange) => void) => {
+    ipcRenderer.on('library-changed', (event, change) => callback(change));
+  },
+
+  // Çalma listeleri
+  getPlaylists: () => ipcRenderer.invoke('playlists-get'),
+  savePlaylist: (playlist: StoredPlaylist) => ipcRenderer.invoke('playlists-save', playlist),
+  deletePlaylist: (id: string) => ipcRenderer.invoke('playlists-delete', id),
+  setActivePlaylist: (id: string) => ipcRenderer.invoke('playlists-set-active', id),
+  setPlaylistPosition: (id: string, currentIndex: number, position: number) =>
+    ipcRenderer.send('playlists-set-position', id, currentIndex, position),
+  importPlaylistFile: (filePath: string) => ipcRenderer.invoke('playlist-file-import', filePath),
+  exportPlaylistFile: (name: string, entries: PlaylistEntry[]) =>
+    ipcRenderer.invoke('playlist-file-export', name, entries),
+
+  // Kapak resimleri
+  getAlbumArt: (trackPath: string, picture?: AlbumArtPicture | null) =>
+    ipcRenderer.invoke('album-art-resolve', trackPath, picture),
 
   // Tema değişiklikleri
   onThemeChanged: (callback: (isDark: boolean) => void) => {
@@ -33,8 +67,25 @@ declare global {
       selectAudioFiles: () => Promise<string[]>;
       saveAudioFile: (defaultName: string) => Promise<string | null>;
       readFile: (filePath: string) => Promise<Buffer | null>;
-      writeFile: (filePath: string, data: Buffer) => Promise<boolean>;
+      writeFile: (filePath: string, data: Uint8Array) => Promise<boolean>;
+      selectExportFolder: () => Promise<string | null>;
+      writeExportFile: (folder: string, fileName: string, data: Uint8Array) => Promise<string | null>;
       getFilePathFromFile: (file: File) => string;
+      probeAudioFile: (filePath: string) => Promise<AudioProbe | null>;
+      getLibraryFolders: () => Promise<string[]>;
+      getLibraryTracks: (folder?: string) => Promise<LibraryTrack[]>;
+      addLibraryFolder: () => Promise<string[] | null>;
+      removeLibraryFolder: (folder: string) => Promise<boolean>;
+      rescanLibrary: () => Promise<boolean>;
+      onLibraryChanged: (callback: (change: LibraryChange) => void) => void;
+      getPlaylists: () => Promise<PlaylistState>;
+      savePlaylist: (playlist: StoredPlaylist) => Promise<boolean>;
+      deletePlaylist: (id: string) => Promise<boolean>;
+      setActivePlaylist: (id: string) => Promise<boolean>;
+      setPlaylistPosition: (id: string, currentIndex: number, position: number) => void;
+      importPlaylistFile: (filePath: string) => Promise<ImportedPlaylist | null>;
+      exportPlaylistFile: (name: string, entries: PlaylistEntry[]) => Promise<string | null>;
+      getAlbumArt: (trackPath: string, picture?: AlbumArtPicture | null) => Promise<string | null>;
       onThemeChanged: (callback: (isDark: boolean) => void) => void;
       platform: NodeJS.Platform;
     };
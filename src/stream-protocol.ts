@@ -0,0 +1,84 @@
+import { protocol } from 'electron';
+import * as fs from 'fs';
+import * as path from 'path';
+import { Readable } from 'stream';
+import { isAudioFile } from './library';
+
+// Uzun parçalar renderer'a tek seferde kopyalanmaz, <audio> bu şema üzerinden
+// ihtiyaç duyduğu aralığı ister: desksong://file/<encodeURIComponent(yol)>
+export const STREAM_SCHEME = 'desksong';
+
+const CONTENT_TYPES: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+
+// app ready olmadan önce çağrılmalı; stream olmadan medya elementi seek edemez
+export function registerStreamScheme(): void {
+  protocol.registerSchemesAsPrivileged([{
+    scheme: STREAM_SCHEME,
+    privileges: {
+      standard: true,
+      secure: true,
+      stream: true,
+      supportFetchAPI: true,
+      corsEnabled: true
+    }
+  }]);
+}
+
+export function handleStreamProtocol(): void {
+  protocol.handle(STREAM_SCHEME, serveAudioFile);
+}
+
+async function serveAudioFile(request: Request): Promise<Response> {
+  const url = new URL(request.url);
+  const filePath = decodeURIComponent(url.pathname.slice(1));
+  // Yalnızca ses dosyaları sunulur
+  if (url.host !== 'file' || !path.isAbsolute(filePath) || !isAudioFile(filePath)) {
+    return new Response(null, { status: 404 });
+  }
+
+  let size: number;
+  try {
+    size = (await fs.promises.stat(filePath)).size;
+  } catch (error) {
+    return new Response(null, { status: 404 });
+  }
+
+  const headers: Record<string, string> = {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).slice(1).toLowerCase()] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    // Sayfa file:// kökenli; CORS olmadan MediaElementSource sessizlik verir
+    'Access-Control-Allow-Origin': '*'
+  };
+
+  // Range: bytes=başlangıç-bitiş (ya da bytes=-sondan)
+  let start = 0;
+  let end = size - 1;
+  let status = 200;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+  if (range && (range[1] || range[2])) {
+    if (range[1]) {
+      start = parseInt(range[1], 10);
+      end = range[2] ? Math.min(parseInt(range[2], 10), size - 1) : size - 1;
+    } else {
+      start = Math.max(0, size - parseInt(range[2], 10));
+    }
+    if (start >= size || start > end) {
+      return new Response(null, { status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` } });
+    }
+    status = 206;
+    headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  }
+  headers['Content-Length'] = String(end - start + 1);
+
+  if (request.method === 'HEAD' || size === 0) {
+    return new Response(null, { status, headers });
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  return new Response(Readable.toWeb(stream) as unknown as ReadableStream, { status, headers });
+}